@@ -9,7 +9,12 @@ import logger from "./utils/logger.js";
 import { validateEnvironment, getConfig } from "./config/validation.js";
 import chatRoutes from "./routes/chat.js";
 import sessionRoutes from "./routes/session.js";
+import sharedRoutes from "./routes/shared.js";
 import healthRoutes from "./routes/health.js";
+import openAIRoutes from "./routes/openai.js";
+import { attachChatSocket } from "./routes/chatSocket.js";
+import { getSessionManager } from "./services/sessionManager.js";
+import { authenticate } from "./middleware/auth.js";
 import { initializeServices } from "./config/services.js";
 
 // Load environment variables
@@ -49,8 +54,13 @@ app.use(
   cors({
     origin: process.env.FRONTEND_URL || "http://localhost:5173",
     credentials: true,
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-API-Key",
+      "Last-Event-ID",
+    ],
   }),
 );
 
@@ -66,6 +76,7 @@ const limiter = rateLimit({
 });
 
 app.use("/api/", limiter);
+app.use("/v1/", limiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: "10mb" }));
@@ -82,9 +93,11 @@ app.use((req, res, next) => {
 });
 
 // Routes
-app.use("/api/chat", chatRoutes);
-app.use("/api/session", sessionRoutes);
+app.use("/api/chat", authenticate, chatRoutes);
+app.use("/api/session", authenticate, sessionRoutes);
+app.use("/api/shared", sharedRoutes);
 app.use("/api/health", healthRoutes);
+app.use("/v1", authenticate, openAIRoutes);
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -129,12 +142,20 @@ async function startServer() {
     // Initialize external services (Redis, etc.)
     await initializeServices();
 
-    app.listen(config.port, () => {
+    // Sessions use the SESSION_STORE backend (Redis by default, memory
+    // when Redis didn't come up)
+    const sessionManager = getSessionManager();
+    await sessionManager.initialize();
+    sessionManager.startCleanupTimer();
+
+    const server = app.listen(config.port, () => {
       logger.info(`🚀 Server running on port ${config.port}`, {
         environment: config.nodeEnv,
         port: config.port,
       });
     });
+
+    attachChatSocket(server);
   } catch (error) {
     logger.error("Failed to start server:", error);
     process.exit(1);
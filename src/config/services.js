@@ -1,7 +1,9 @@
 import Redis from "ioredis";
+import pg from "pg";
 import logger from "../utils/logger.js";
 
 let redisClient = null;
+let postgresPool = null;
 
 // Initialize Redis connection
 async function initializeRedis() {
@@ -70,6 +72,43 @@ async function initializeRedis() {
   }
 }
 
+// Initialize the Postgres pool when DATABASE_URL is set. Like Redis it is
+// optional: without it sessions only live as long as their cache TTL.
+async function initializePostgres() {
+  const connectionString = process.env.DATABASE_URL;
+  if (!connectionString) {
+    return null;
+  }
+
+  try {
+    postgresPool = new pg.Pool({
+      connectionString,
+      max: parseInt(process.env.DATABASE_POOL_SIZE) || 10,
+      ssl:
+        process.env.DATABASE_SSL === "true"
+          ? { rejectUnauthorized: false }
+          : undefined,
+    });
+
+    postgresPool.on("error", (err) => {
+      // Idle client errors must not crash the process
+      logger.warn("Postgres pool error", { error: err.message });
+    });
+
+    await postgresPool.query("SELECT 1");
+    logger.info("Postgres connected successfully");
+
+    return postgresPool;
+  } catch (error) {
+    logger.error("Failed to initialize Postgres:", error);
+    try {
+      await postgresPool?.end();
+    } catch {}
+    postgresPool = null;
+    return null;
+  }
+}
+
 // Initialize all external services
 export async function initializeServices() {
   logger.info("Initializing external services...");
@@ -83,6 +122,8 @@ export async function initializeServices() {
     });
   }
 
+  await initializePostgres();
+
   logger.info("Services initialization completed");
 }
 
@@ -91,10 +132,20 @@ export function getRedisClient() {
   return redisClient;
 }
 
+// Get Postgres pool, null when DATABASE_URL is unset or unreachable
+export function getPostgresPool() {
+  return postgresPool;
+}
+
 // Graceful shutdown
 export async function closeServices() {
   if (redisClient) {
     await redisClient.quit();
     logger.info("Redis connection closed");
   }
+  if (postgresPool) {
+    await postgresPool.end();
+    postgresPool = null;
+    logger.info("Postgres pool closed");
+  }
 }
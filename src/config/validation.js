@@ -1,12 +1,26 @@
 import logger from "../utils/logger.js";
 
 export function validateEnvironment() {
-  const requiredEnvVars = [
-    "GEMINI_API_KEY",
-    "JINA_API_KEY",
-    "QDRANT_URL",
-    "QDRANT_API_KEY",
-  ];
+  const requiredEnvVars = ["JINA_API_KEY", "QDRANT_URL", "QDRANT_API_KEY"];
+
+  // Credentials depend on the configured LLM provider
+  const llmProvider = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+  if (llmProvider === "gemini") {
+    requiredEnvVars.push("GEMINI_API_KEY");
+  } else if (llmProvider === "openai") {
+    requiredEnvVars.push("OPENAI_COMPAT_BASE_URL");
+  } else if (llmProvider !== "stub") {
+    throw new Error(
+      `Unsupported LLM_PROVIDER "${llmProvider}". Expected gemini, openai or stub`,
+    );
+  }
+
+  const sessionStore = (process.env.SESSION_STORE || "redis").toLowerCase();
+  if (!["redis", "memory", "file"].includes(sessionStore)) {
+    throw new Error(
+      `Unsupported SESSION_STORE "${sessionStore}". Expected redis, memory or file`,
+    );
+  }
 
   const missingVars = [];
   const warnings = [];
@@ -18,8 +32,28 @@ export function validateEnvironment() {
     }
   }
 
+  // Authentication is opt-in (AUTH_MODE=required) and then needs at least
+  // one way to verify callers
+  const authMode = (process.env.AUTH_MODE || "off").toLowerCase();
+  if (!["required", "off"].includes(authMode)) {
+    throw new Error(
+      `Unsupported AUTH_MODE "${authMode}". Expected required or off`,
+    );
+  }
+  if (authMode === "off") {
+    warnings.push(
+      "AUTH_MODE is off - requests are not authenticated and all sessions are shared",
+    );
+  } else if (
+    !process.env.API_KEYS &&
+    !process.env.JWT_SECRET &&
+    !process.env.JWT_PUBLIC_KEY
+  ) {
+    missingVars.push("API_KEYS or JWT_SECRET or JWT_PUBLIC_KEY");
+  }
+
   // Check optional but recommended variables
-  if (!process.env.REDIS_URL) {
+  if (sessionStore === "redis" && !process.env.REDIS_URL) {
     warnings.push("REDIS_URL not set - using in-memory session storage");
   }
 
@@ -56,11 +90,22 @@ export function getConfig() {
     nodeEnv: process.env.NODE_ENV || "development",
 
     // AI Services
+    llm: {
+      provider: (process.env.LLM_PROVIDER || "gemini").toLowerCase(),
+      model: process.env.LLM_MODEL,
+    },
+
     gemini: {
       apiKey: process.env.GEMINI_API_KEY,
       model: process.env.GEMINI_MODEL || "gemini-1.5-flash",
     },
 
+    openaiCompat: {
+      baseURL: process.env.OPENAI_COMPAT_BASE_URL,
+      apiKey: process.env.OPENAI_COMPAT_API_KEY,
+      model: process.env.OPENAI_COMPAT_MODEL,
+    },
+
     // Embeddings
     jina: {
       apiKey: process.env.JINA_API_KEY,
@@ -0,0 +1,70 @@
+import { readdir, readFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import logger from "../utils/logger.js";
+
+const MIGRATIONS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "migrations",
+);
+
+// Arbitrary constant shared by every instance so only one of them migrates
+// at a time
+const MIGRATION_LOCK_ID = 727001;
+
+// Apply the numbered .sql files in src/db/migrations that haven't run yet,
+// each in its own transaction, and record them in schema_migrations.
+// Returns the names of the migrations applied.
+export async function runMigrations(pool) {
+  const client = await pool.connect();
+  const applied = [];
+
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+
+    const { rows } = await client.query(
+      "SELECT version FROM schema_migrations",
+    );
+    const done = new Set(rows.map((row) => row.version));
+    const files = (await readdir(MIGRATIONS_DIR))
+      .filter((file) => file.endsWith(".sql"))
+      .sort();
+
+    for (const file of files) {
+      const version = file.replace(/\.sql$/, "");
+      if (done.has(version)) {
+        continue;
+      }
+
+      const sql = await readFile(path.join(MIGRATIONS_DIR, file), "utf8");
+      try {
+        await client.query("BEGIN");
+        await client.query(sql);
+        await client.query(
+          "INSERT INTO schema_migrations (version) VALUES ($1)",
+          [version],
+        );
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw new Error(`Migration ${version} failed: ${error.message}`);
+      }
+
+      logger.info(`Applied database migration ${version}`);
+      applied.push(version);
+    }
+
+    return applied;
+  } finally {
+    await client
+      .query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID])
+      .catch(() => {});
+    client.release();
+  }
+}
@@ -0,0 +1,38 @@
+-- Durable copy of chat sessions and their full message history.
+-- Redis keeps the hot copy; these rows outlive CHAT_HISTORY_TTL.
+
+CREATE TABLE chat_sessions (
+  id TEXT PRIMARY KEY,
+  owner_id TEXT NOT NULL,
+  title TEXT,
+  title_source TEXT,
+  pinned BOOLEAN NOT NULL DEFAULT FALSE,
+  archived BOOLEAN NOT NULL DEFAULT FALSE,
+  archived_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_activity TIMESTAMPTZ NOT NULL DEFAULT now(),
+  message_count INTEGER NOT NULL DEFAULT 0,
+  ttl INTEGER NOT NULL
+);
+
+CREATE INDEX chat_sessions_owner_idx
+  ON chat_sessions (owner_id, pinned DESC, last_activity DESC);
+
+-- One row per message. The columns are there for querying and analytics;
+-- `data` holds the message exactly as the API returns it.
+CREATE TABLE chat_messages (
+  seq BIGSERIAL PRIMARY KEY,
+  session_id TEXT NOT NULL REFERENCES chat_sessions (id) ON DELETE CASCADE,
+  id TEXT NOT NULL,
+  role TEXT NOT NULL,
+  content TEXT NOT NULL DEFAULT '',
+  status TEXT,
+  provider TEXT,
+  model TEXT,
+  data JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (session_id, id)
+);
+
+CREATE INDEX chat_messages_session_idx ON chat_messages (session_id, seq);
+CREATE INDEX chat_messages_created_idx ON chat_messages (created_at);
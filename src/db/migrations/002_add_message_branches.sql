@@ -0,0 +1,25 @@
+-- Conversation branches. Each message points at the message it answers or
+-- follows; regenerating or editing a turn adds a sibling under the same
+-- parent. active_leaf_id is the last message of the branch the session shows.
+
+ALTER TABLE chat_sessions ADD COLUMN active_leaf_id TEXT;
+ALTER TABLE chat_messages ADD COLUMN parent_id TEXT;
+
+-- Existing conversations are a single branch in insertion order
+UPDATE chat_messages AS message
+SET parent_id = previous.id
+FROM (
+  SELECT seq, lag(id) OVER (PARTITION BY session_id ORDER BY seq) AS id
+  FROM chat_messages
+) AS previous
+WHERE previous.seq = message.seq AND previous.id IS NOT NULL;
+
+UPDATE chat_sessions AS session
+SET active_leaf_id = (
+  SELECT id FROM chat_messages
+  WHERE session_id = session.id
+  ORDER BY seq DESC
+  LIMIT 1
+);
+
+CREATE INDEX chat_messages_parent_idx ON chat_messages (session_id, parent_id);
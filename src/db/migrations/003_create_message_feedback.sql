@@ -0,0 +1,24 @@
+-- Ratings of assistant messages, one per user and message, with what the
+-- answer was built from so quality can be compared across sources, topics
+-- and prompt versions. Kept when the conversation is deleted.
+
+CREATE TABLE message_feedback (
+  session_id TEXT NOT NULL,
+  message_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  rating TEXT NOT NULL CHECK (rating IN ('up', 'down')),
+  reason TEXT,
+  comment TEXT,
+  prompt_version TEXT,
+  provider TEXT,
+  model TEXT,
+  sources TEXT[] NOT NULL DEFAULT '{}',
+  topics TEXT[] NOT NULL DEFAULT '{}',
+  -- Chunks in the prompt: chunkId, source, category, scores, cited
+  chunks JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (session_id, message_id, user_id)
+);
+
+CREATE INDEX message_feedback_updated_idx ON message_feedback (updated_at);
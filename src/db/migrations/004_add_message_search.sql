@@ -0,0 +1,17 @@
+-- History search. search_terms holds the distinct lowercase words of the
+-- message content (see src/utils/messageSearch.js); the GIN index answers
+-- "contains all of these words" without scanning the messages.
+
+ALTER TABLE chat_messages ADD COLUMN search_terms TEXT[] NOT NULL DEFAULT '{}';
+
+-- Existing messages: the same words, split on anything that is not a letter
+-- or digit. Stopwords are kept here, which only costs index space since
+-- searches never ask for them.
+UPDATE chat_messages
+SET search_terms = ARRAY(
+  SELECT DISTINCT word
+  FROM regexp_split_to_table(normalize(lower(content), NFKC), '[^[:alnum:]]+') AS word
+  WHERE word <> ''
+);
+
+CREATE INDEX chat_messages_search_idx ON chat_messages USING GIN (search_terms);
@@ -0,0 +1,4 @@
+-- Rolling summary of long conversations: { text, throughMessageId,
+-- messageCount, updatedAt }, see src/services/sessionSummarizer.js
+
+ALTER TABLE chat_sessions ADD COLUMN summary JSONB;
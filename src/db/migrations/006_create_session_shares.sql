@@ -0,0 +1,15 @@
+-- Read-only share links. Only the SHA-256 of a link's token is stored; the
+-- snapshot is the sanitised transcript as it was when the link was made.
+-- Revoking a link deletes its row.
+
+CREATE TABLE session_shares (
+  id TEXT PRIMARY KEY,
+  token_hash TEXT NOT NULL UNIQUE,
+  session_id TEXT NOT NULL,
+  owner_id TEXT NOT NULL,
+  snapshot JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ
+);
+
+CREATE INDEX session_shares_session_idx ON session_shares (session_id, created_at);
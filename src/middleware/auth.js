@@ -0,0 +1,214 @@
+import { createHash, createHmac, timingSafeEqual, verify } from "crypto";
+import logger from "../utils/logger.js";
+import {
+  ANONYMOUS_USER_ID,
+  getSessionManager,
+} from "../services/sessionManager.js";
+
+// Off unless AUTH_MODE=required, so existing deployments keep working
+export function isAuthEnabled() {
+  return (process.env.AUTH_MODE || "off").toLowerCase() !== "off";
+}
+
+export function hashApiKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+// API_KEYS="<userId>:<sha256 hex of key>,..."; keys themselves are never stored
+function loadApiKeys() {
+  return (process.env.API_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.lastIndexOf(":");
+      return {
+        userId: entry.substring(0, separator),
+        hash: Buffer.from(entry.substring(separator + 1).toLowerCase(), "hex"),
+      };
+    })
+    .filter((entry) => entry.userId && entry.hash.length === 32);
+}
+
+function verifyApiKey(key) {
+  const presented = Buffer.from(hashApiKey(key), "hex");
+  // Compare against every entry so timing doesn't reveal which one matched
+  let match = null;
+  for (const entry of loadApiKeys()) {
+    if (timingSafeEqual(presented, entry.hash) && !match) {
+      match = entry;
+    }
+  }
+  return match ? { id: match.userId, method: "api-key" } : null;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+// HS256 with JWT_SECRET and/or RS256 with JWT_PUBLIC_KEY. The algorithm must
+// match a configured key, so an HS256 token can't be checked with the RSA
+// public key as its secret.
+function verifyJwt(token) {
+  const [headerPart, payloadPart, signaturePart] = token.split(".");
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(headerPart);
+    claims = decodeSegment(payloadPart);
+  } catch {
+    throw new Error("Malformed token");
+  }
+
+  const signingInput = `${headerPart}.${payloadPart}`;
+  const signature = Buffer.from(signaturePart, "base64url");
+  const secret = process.env.JWT_SECRET;
+  const publicKey = process.env.JWT_PUBLIC_KEY?.replace(/\\n/g, "\n");
+
+  let valid = false;
+  if (header.alg === "HS256" && secret) {
+    const expected = createHmac("sha256", secret).update(signingInput).digest();
+    valid =
+      expected.length === signature.length &&
+      timingSafeEqual(expected, signature);
+  } else if (header.alg === "RS256" && publicKey) {
+    valid = verify(
+      "RSA-SHA256",
+      Buffer.from(signingInput),
+      publicKey,
+      signature,
+    );
+  } else {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  if (!valid) {
+    throw new Error("Invalid token signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = parseInt(process.env.JWT_CLOCK_TOLERANCE || "30", 10);
+  if (typeof claims.exp === "number" && now - tolerance >= claims.exp) {
+    throw new Error("Token expired");
+  }
+  if (typeof claims.nbf === "number" && now + tolerance < claims.nbf) {
+    throw new Error("Token not yet valid");
+  }
+  if (process.env.JWT_ISSUER && claims.iss !== process.env.JWT_ISSUER) {
+    throw new Error("Unexpected token issuer");
+  }
+  if (process.env.JWT_AUDIENCE) {
+    const audiences = [].concat(claims.aud || []);
+    if (!audiences.includes(process.env.JWT_AUDIENCE)) {
+      throw new Error("Unexpected token audience");
+    }
+  }
+  if (typeof claims.sub !== "string" || !claims.sub) {
+    throw new Error("Token has no subject");
+  }
+
+  return { id: claims.sub, method: "jwt", claims };
+}
+
+// Credentials come from `Authorization: Bearer <token>`, `X-API-Key`, or —
+// for browser WebSocket clients, which can't set headers — an `access_token`
+// query parameter on the upgrade request. Other URLs end up in access logs,
+// so the parameter is ignored everywhere else.
+function extractCredential(req) {
+  const header = req.headers.authorization;
+  if (header?.startsWith("Bearer ")) {
+    return header.substring(7).trim();
+  }
+  if (req.headers["x-api-key"]) {
+    return String(req.headers["x-api-key"]).trim();
+  }
+  if (req.headers.upgrade?.toLowerCase() === "websocket") {
+    const url = new URL(req.url, "http://localhost");
+    return url.searchParams.get("access_token");
+  }
+  return null;
+}
+
+// Resolve the caller of a request: { user } or { status, error }
+export function authenticateRequest(req) {
+  if (!isAuthEnabled()) {
+    return { user: { id: ANONYMOUS_USER_ID, method: "none" } };
+  }
+
+  const credential = extractCredential(req);
+  if (!credential) {
+    return { status: 401, error: "Authentication required" };
+  }
+
+  try {
+    // JWTs have three dot-separated segments, API keys have none
+    const user =
+      credential.split(".").length === 3
+        ? verifyJwt(credential)
+        : verifyApiKey(credential);
+
+    if (!user) {
+      return { status: 401, error: "Invalid API key" };
+    }
+    return { user };
+  } catch (error) {
+    logger.warn("Rejected bearer token", { error: error.message });
+    return { status: 401, error: error.message };
+  }
+}
+
+// Express middleware: sets req.user or answers 401
+export function authenticate(req, res, next) {
+  const result = authenticateRequest(req);
+  if (result.error) {
+    res.set("WWW-Authenticate", 'Bearer realm="newsflow"');
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  req.user = result.user;
+  next();
+}
+
+// Aggregate analytics span every user's conversations, so with auth on they
+// are limited to the user ids listed in ANALYTICS_USERS
+export function canReadAnalytics(user) {
+  if (!isAuthEnabled()) {
+    return true;
+  }
+  return (process.env.ANALYTICS_USERS || "")
+    .split(",")
+    .map((id) => id.trim())
+    .includes(user.id);
+}
+
+// Whether user may use the session. Unknown sessions are created for the
+// user with options.create (unless the session store is down, see
+// canCreateMissingSessions), or let through with options.allowMissing;
+// sessions from before ownership existed belong to the anonymous user.
+export async function authorizeSession(user, sessionId, options = {}) {
+  const sessionManager = getSessionManager();
+  const session = await sessionManager.getSession(sessionId);
+
+  if (!session) {
+    if (options.create && sessionManager.canCreateMissingSessions()) {
+      await sessionManager.createSession(sessionId, user.id);
+      return true;
+    }
+    if (options.create) {
+      logger.warn("Session store unavailable, not creating session", {
+        sessionId: sessionId.substring(0, 8),
+      });
+      return false;
+    }
+    return options.allowMissing === true;
+  }
+
+  const allowed = (session.ownerId || ANONYMOUS_USER_ID) === user.id;
+  if (!allowed) {
+    logger.warn("Session access denied", {
+      sessionId: sessionId.substring(0, 8),
+      userId: user.id,
+    });
+  }
+  return allowed;
+}
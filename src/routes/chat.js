@@ -2,32 +2,50 @@ import express from "express";
 import { v4 as uuidv4 } from "uuid";
 import logger from "../utils/logger.js";
 import { ChatService } from "../services/chatService.js";
-import { SessionManager } from "../services/sessionManager.js";
+import { getSessionManager } from "../services/sessionManager.js";
+import { prepareTurn, runStreamingTurn } from "../services/chatTurn.js";
+import { getSessionSummarizer } from "../services/sessionSummarizer.js";
+import { StreamBufferService } from "../services/streamBuffer.js";
+import {
+  FeedbackService,
+  buildFeedbackRecord,
+} from "../services/feedbackService.js";
+import {
+  validateChatRequest,
+  validateFeedbackRequest,
+} from "../utils/requestValidation.js";
+import { authorizeSession, canReadAnalytics } from "../middleware/auth.js";
 
 const router = express.Router();
-const sessionManager = new SessionManager();
+const sessionManager = getSessionManager();
+const streamBuffer = new StreamBufferService();
+const feedbackService = new FeedbackService();
+
+const HEARTBEAT_INTERVAL_MS = parseInt(
+  process.env.SSE_HEARTBEAT_MS || "15000",
+  10,
+);
+const RECONNECT_DELAY_MS = 3000;
+const RESUME_POLL_MS = 250;
+const STREAM_RESUME_GRACE_MS = parseInt(
+  process.env.STREAM_RESUME_GRACE_MS || "10000",
+  10,
+);
+
+// Streams being generated by this process: messageId -> { controller, watchers, timer }
+const activeStreams = new Map();
 
 // Regular chat endpoint
 router.post("/", async (req, res) => {
   try {
-    const { sessionId, message } = req.body;
-
-    if (!sessionId || !message) {
-      return res.status(400).json({
-        error: "Missing required fields: sessionId and message",
-      });
-    }
-
-    if (typeof message !== "string" || message.trim().length === 0) {
-      return res.status(400).json({
-        error: "Message must be a non-empty string",
-      });
+    const chat = validateChatRequest(req.body);
+    if (chat.error) {
+      return res.status(400).json({ error: chat.error });
     }
+    const { sessionId, message, provider, model } = chat;
 
-    if (message.length > 4000) {
-      return res.status(400).json({
-        error: "Message too long. Maximum 4000 characters allowed.",
-      });
+    if (!(await authorizeSession(req.user, sessionId, { create: true }))) {
+      return res.status(404).json({ error: "Session not found" });
     }
 
     logger.info("Processing chat message", {
@@ -35,34 +53,46 @@ router.post("/", async (req, res) => {
       messageLength: message.length,
     });
 
-    // Add user message to session
-    const userMessage = {
-      id: uuidv4(),
-      role: "user",
-      content: message,
-      timestamp: new Date().toISOString(),
-    };
+    // Earlier turns are read before the new message is stored
+    const { history, summary, userMessage } = await prepareTurn(chat);
 
+    // Add user message to session
     await sessionManager.addMessage(sessionId, userMessage);
 
     // Generate AI response (new instance to ensure fresh model/env)
-    const chatService = new ChatService();
-    const aiResponse = await chatService.generateResponse(sessionId, message);
+    const chatService = new ChatService({ provider, model });
+    const aiResponse = await chatService.generateResponse(sessionId, message, {
+      history,
+      summary,
+      filters: chat.filters,
+      retrieval: chat.retrieval,
+    });
 
     // Add AI message to session
     const assistantMessage = {
       id: uuidv4(),
+      parentId: userMessage.id,
       role: "assistant",
       content: aiResponse.content,
+      status: "complete",
       timestamp: new Date().toISOString(),
       sources: aiResponse.sources || [],
+      citations: aiResponse.citations || [],
+      provider: aiResponse.provider,
+      model: aiResponse.model,
+      promptVersion: aiResponse.promptVersion || null,
+      timeWindow: aiResponse.timeWindow || null,
+      cached: aiResponse.cached || false,
+      grounding: aiResponse.grounding || null,
     };
 
     await sessionManager.addMessage(sessionId, assistantMessage);
+    getSessionSummarizer().schedule(sessionId);
 
     res.json({
       message: assistantMessage,
       sessionId,
+      usage: aiResponse.usage,
     });
   } catch (error) {
     logger.error("Chat endpoint error:", {
@@ -78,87 +108,88 @@ router.post("/", async (req, res) => {
   }
 });
 
-// Streaming chat endpoint
-router.get("/stream", async (req, res) => {
-  try {
-    const { sessionId, message } = req.query;
+// Streaming chat endpoints. Events carry `id: <messageId>:<seq>`; a client
+// reconnecting with Last-Event-ID gets the events it missed replayed.
+router.post("/stream", (req, res) => {
+  const lastEventId = req.get("Last-Event-ID") || req.body?.lastEventId;
+  if (lastEventId) {
+    return resumeStream(req, res, lastEventId);
+  }
+  return streamChat(req, res, req.body);
+});
 
-    if (!sessionId || !message) {
-      return res.status(400).json({
-        error: "Missing required query parameters: sessionId and message",
-      });
-    }
+// Kept for EventSource clients; prefer POST so messages stay out of URLs
+router.get("/stream", (req, res) => {
+  const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+  if (lastEventId) {
+    return resumeStream(req, res, lastEventId);
+  }
+  return streamChat(req, res, req.query);
+});
 
-    logger.info("Starting streaming chat", {
-      sessionId: sessionId.substring(0, 8),
-      messageLength: message.length,
-    });
+// Answer the user message before an assistant message again; the new reply
+// is stored next to the earlier ones. { sessionId, messageId?, provider?,
+// model?, filters?, retrieval? }, messageId defaulting to the latest reply.
+router.post("/regenerate", (req, res) => {
+  return streamChat(req, res, req.body, "regenerate");
+});
 
-    // Set up SSE headers
-    res.writeHead(200, {
-      "Content-Type": "text/event-stream",
-      "Cache-Control": "no-cache",
-      Connection: "keep-alive",
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Headers": "Cache-Control",
-    });
+// Replace an earlier user message and answer it, branching the conversation
+// at that point. { sessionId, messageId, message, provider?, ... }
+router.post("/edit", (req, res) => {
+  return streamChat(req, res, req.body, "edit");
+});
 
-    // Send initial status
-    res.write(`event: status\n`);
-    res.write(
-      `data: ${JSON.stringify({
-        status: "processing",
-        message: "Processing your message...",
-      })}\n\n`,
-    );
+// mode: "send", "regenerate" or "edit" (see prepareTurn)
+async function streamChat(req, res, input, mode = "send") {
+  let send = null;
+  let messageId = null;
 
-    // Add user message to session
-    const userMessage = {
-      id: uuidv4(),
-      role: "user",
-      content: message,
-      timestamp: new Date().toISOString(),
-    };
+  try {
+    const chat = validateChatRequest(input, {
+      requireMessage: mode !== "regenerate",
+    });
+    if (chat.error) {
+      return res.status(400).json({ error: chat.error });
+    }
 
-    await sessionManager.addMessage(sessionId, userMessage);
+    // Only new conversations can start here
+    if (
+      !(await authorizeSession(req.user, chat.sessionId, {
+        create: mode === "send",
+      }))
+    ) {
+      return res.status(404).json({ error: "Session not found" });
+    }
 
-    const messageId = uuidv4();
-    let fullContent = "";
+    const turn = await prepareTurn(chat, { mode, messageId: input.messageId });
+    if (turn.error) {
+      return res.status(turn.status).json({ error: turn.error });
+    }
 
-    // Stream response (new instance per request)
-    const chatService = new ChatService();
-    await chatService.generateStreamingResponse(sessionId, message, (chunk) => {
-      fullContent += chunk;
-      res.write(`event: chunk\n`);
-      res.write(
-        `data: ${JSON.stringify({
-          messageId,
-          content: fullContent,
-          isChunk: true,
-        })}\n\n`,
-      );
+    logger.info("Starting streaming chat", {
+      sessionId: chat.sessionId.substring(0, 8),
+      mode,
+      messageLength: turn.message.length,
     });
 
-    // Add final message to session
-    const assistantMessage = {
-      id: messageId,
-      role: "assistant",
-      content: fullContent,
-      timestamp: new Date().toISOString(),
-    };
+    messageId = uuidv4();
+    openEventStream(res);
+    send = createEventSender(res, messageId);
 
-    await sessionManager.addMessage(sessionId, assistantMessage);
+    // Generation is cancelled once no client is attached to the stream
+    const controller = new AbortController();
+    activeStreams.set(messageId, { controller, watchers: 0, timer: null });
+    attachWatcher(messageId, res);
 
-    // Send completion event
-    res.write(`event: complete\n`);
-    res.write(
-      `data: ${JSON.stringify({
-        messageId,
-        content: fullContent,
-        done: true,
-      })}\n\n`,
-    );
+    await runStreamingTurn(chat, {
+      messageId,
+      turn,
+      signal: controller.signal,
+      onEvent: send,
+    });
 
+    await finishStream(messageId);
     res.end();
   } catch (error) {
     logger.error("Streaming chat error:", {
@@ -166,18 +197,144 @@ router.get("/stream", async (req, res) => {
       stack: error.stack,
     });
 
-    res.write(`event: error\n`);
-    res.write(
-      `data: ${JSON.stringify({
-        error: "Failed to process streaming message",
-        details:
-          process.env.NODE_ENV !== "production" ? error.message : undefined,
-      })}\n\n`,
-    );
+    const payload = {
+      error: "Failed to process streaming message",
+      details:
+        process.env.NODE_ENV !== "production" ? error.message : undefined,
+    };
+
+    if (send) {
+      send("error", payload);
+      await finishStream(messageId);
+    } else if (!res.headersSent) {
+      return res.status(500).json(payload);
+    }
 
     res.end();
   }
-});
+}
+
+// A response following an active stream. When the last one disconnects the
+// generation is aborted, after a grace period that lets the client resume.
+function attachWatcher(streamId, res) {
+  const active = activeStreams.get(streamId);
+  if (!active) return;
+
+  active.watchers += 1;
+  clearTimeout(active.timer);
+
+  res.on("close", () => {
+    if (res.writableFinished) return;
+    active.watchers -= 1;
+    if (active.watchers > 0) return;
+
+    clearTimeout(active.timer);
+    active.timer = setTimeout(() => {
+      logger.info("Client disconnected, cancelling stream", {
+        messageId: streamId.substring(0, 8),
+      });
+      active.controller.abort();
+    }, STREAM_RESUME_GRACE_MS);
+  });
+}
+
+async function finishStream(streamId) {
+  const active = activeStreams.get(streamId);
+  if (active) {
+    clearTimeout(active.timer);
+    activeStreams.delete(streamId);
+  }
+  await streamBuffer.markDone(streamId);
+}
+
+// Replay buffered events after Last-Event-ID, then follow the stream until
+// it finishes (it may be produced by another request or process)
+async function resumeStream(req, res, lastEventId) {
+  const match = /^(.+):(\d+)$/.exec(lastEventId);
+  if (!match) {
+    return res.status(400).json({ error: "Invalid Last-Event-ID" });
+  }
+
+  const streamId = match[1];
+  let lastSeq = parseInt(match[2], 10);
+
+  try {
+    let buffered = await streamBuffer.read(streamId, 0);
+    const status = buffered?.events.find((entry) => entry.event === "status");
+    if (!status || !(await authorizeSession(req.user, status.data.sessionId))) {
+      return res.status(404).json({ error: "Stream not found or expired" });
+    }
+
+    logger.info("Resuming chat stream", {
+      messageId: streamId.substring(0, 8),
+      lastSeq,
+    });
+
+    openEventStream(res);
+    attachWatcher(streamId, res);
+    let closed = false;
+    req.on("close", () => {
+      closed = true;
+    });
+
+    while (buffered && !closed) {
+      for (const entry of buffered.events) {
+        if (entry.seq > lastSeq) {
+          writeEvent(res, streamId, entry);
+          lastSeq = entry.seq;
+        }
+      }
+      if (buffered.done) break;
+
+      await new Promise((resolve) => setTimeout(resolve, RESUME_POLL_MS));
+      buffered = await streamBuffer.read(streamId, lastSeq);
+    }
+
+    res.end();
+  } catch (error) {
+    logger.error("Stream resume error:", error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: "Failed to resume stream" });
+    }
+    res.end();
+  }
+}
+
+// SSE headers plus periodic comment lines so idle proxies keep it open
+function openEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Cache-Control, Last-Event-ID",
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const heartbeat = setInterval(() => {
+    res.write(`: heartbeat ${Date.now()}\n\n`);
+  }, HEARTBEAT_INTERVAL_MS);
+  res.on("close", () => clearInterval(heartbeat));
+}
+
+function writeEvent(res, streamId, entry) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(
+    `id: ${streamId}:${entry.seq}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`,
+  );
+}
+
+// Writes numbered events to the client and buffers them for resumption. The
+// answer keeps being buffered if the client drops mid-stream.
+function createEventSender(res, streamId) {
+  let seq = 0;
+  return (event, data) => {
+    const entry = { seq: ++seq, event, data };
+    writeEvent(res, streamId, entry);
+    streamBuffer.append(streamId, entry);
+  };
+}
 
 // Get chat history
 router.get("/history/:sessionId", async (req, res) => {
@@ -185,14 +342,39 @@ router.get("/history/:sessionId", async (req, res) => {
     const { sessionId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
 
+    // Unknown sessions just have no history yet
+    if (
+      !(await authorizeSession(req.user, sessionId, { allowMissing: true }))
+    ) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    // The active branch; siblingIds lists the alternatives at each message
+    const session = await sessionManager.getSession(sessionId);
     const messages = await sessionManager.getMessages(sessionId, {
       limit: parseInt(limit),
       offset: parseInt(offset),
+      withSiblings: true,
     });
 
+    // The caller's own ratings of the answers
+    const feedback = await feedbackService.getForMessages(
+      sessionId,
+      messages
+        .filter((message) => message.role === "assistant")
+        .map((message) => message.id),
+      req.user.id,
+    );
+    for (const message of messages) {
+      if (feedback.has(message.id)) {
+        message.feedback = feedback.get(message.id);
+      }
+    }
+
     res.json({
       messages,
       sessionId,
+      activeLeafId: session ? await sessionManager.activeLeafId(session) : null,
       total: messages.length,
     });
   } catch (error) {
@@ -203,4 +385,111 @@ router.get("/history/:sessionId", async (req, res) => {
   }
 });
 
+// Show another branch: the one through messageId (typically a sibling from
+// siblingIds), continued to its most recent reply. Returns the new branch.
+router.post("/branch", async (req, res) => {
+  try {
+    const { sessionId, messageId } = req.body || {};
+    if (typeof sessionId !== "string" || typeof messageId !== "string") {
+      return res
+        .status(400)
+        .json({ error: "Missing required fields: sessionId and messageId" });
+    }
+
+    if (!(await authorizeSession(req.user, sessionId))) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    const session = await sessionManager.switchBranch(sessionId, messageId);
+    if (!session) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    const messages = await sessionManager.getMessages(sessionId, {
+      withSiblings: true,
+    });
+    res.json({ sessionId, activeLeafId: session.activeLeafId, messages });
+  } catch (error) {
+    logger.error("Switch branch error:", error);
+    res.status(500).json({ error: "Failed to switch branch" });
+  }
+});
+
+// Rate an answer: { sessionId, rating: "up" | "down", reason?, comment? }.
+// Stored with the answer's prompt version and retrieved chunks; rating the
+// same message again replaces the earlier rating.
+router.post("/messages/:messageId/feedback", async (req, res) => {
+  try {
+    const feedback = validateFeedbackRequest(req.body);
+    if (feedback.error) {
+      return res.status(400).json({ error: feedback.error });
+    }
+    const { sessionId } = feedback;
+
+    if (!(await authorizeSession(req.user, sessionId))) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    const message = await sessionManager.getMessage(
+      sessionId,
+      req.params.messageId,
+    );
+    if (!message) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+    if (message.role !== "assistant") {
+      return res
+        .status(400)
+        .json({ error: "Only assistant messages can be rated" });
+    }
+
+    const record = await feedbackService.record(
+      buildFeedbackRecord(sessionId, message, req.user.id, feedback),
+    );
+
+    logger.info("Feedback recorded", {
+      sessionId: sessionId.substring(0, 8),
+      messageId: message.id,
+      rating: record.rating,
+      reason: record.reason,
+    });
+    res.json({ feedback: record });
+  } catch (error) {
+    logger.error("Feedback error:", error);
+    res.status(500).json({ error: "Failed to record feedback" });
+  }
+});
+
+// Feedback rates by source, topic and prompt version, optionally for
+// ratings updated between ?from and ?to (ISO 8601)
+router.get("/feedback/stats", async (req, res) => {
+  try {
+    if (!canReadAnalytics(req.user)) {
+      return res.status(403).json({ error: "Not allowed to read analytics" });
+    }
+
+    const range = {};
+    for (const key of ["from", "to"]) {
+      if (req.query[key] !== undefined) {
+        const timestamp = Date.parse(req.query[key]);
+        if (Number.isNaN(timestamp)) {
+          return res
+            .status(400)
+            .json({ error: `${key} must be an ISO 8601 date` });
+        }
+        range[key] = new Date(timestamp).toISOString();
+      }
+    }
+
+    res.json({
+      from: range.from || null,
+      to: range.to || null,
+      ...(await feedbackService.stats(range)),
+    });
+  } catch (error) {
+    logger.error("Feedback stats error:", error);
+    res.status(500).json({ error: "Failed to compute feedback stats" });
+  }
+});
+
 export default router;
@@ -0,0 +1,276 @@
+import { WebSocketServer, WebSocket } from "ws";
+import { v4 as uuidv4 } from "uuid";
+import logger from "../utils/logger.js";
+import { prepareTurn, runStreamingTurn } from "../services/chatTurn.js";
+import { validateChatRequest } from "../utils/requestValidation.js";
+import { authenticateRequest, authorizeSession } from "../middleware/auth.js";
+
+const SOCKET_PATH = "/api/chat/ws";
+const MAX_FRAME_BYTES = 64 * 1024;
+const PING_INTERVAL_MS = parseInt(
+  process.env.WS_PING_INTERVAL_MS || "30000",
+  10,
+);
+const MAX_ACTIVE_TURNS = parseInt(process.env.WS_MAX_ACTIVE_TURNS || "3", 10);
+
+// Sockets that have used a session, for relaying typing indicators
+const sessionSockets = new Map();
+
+// WebSocket chat transport. One socket can carry several conversations:
+// every frame names its sessionId. Client frames:
+//   { type: "send", sessionId, message, provider?, model?, filters?, retrieval?, requestId? }
+//   { type: "regenerate", sessionId, messageId?, provider?, model?, filters?, retrieval?, requestId? }
+//   { type: "edit", sessionId, messageId, message, provider?, model?, filters?, retrieval?, requestId? }
+//   { type: "cancel", sessionId, messageId? }
+//   { type: "typing", sessionId, isTyping }
+// Server frames mirror the SSE events (status, chunk, sources, complete,
+// interrupted, error) plus typing, each with sessionId and the requestId of
+// the frame that started the turn. regenerate and edit work like the HTTP
+// endpoints: messageId names the reply to redo or the user message to replace.
+// The reply is streamed under a new messageId, announced in the status frame.
+export function attachChatSocket(server) {
+  const wss = new WebSocketServer({
+    server,
+    path: SOCKET_PATH,
+    maxPayload: MAX_FRAME_BYTES,
+    // Same credentials as the HTTP routes, checked on the upgrade request
+    verifyClient: (info, done) => {
+      const result = authenticateRequest(info.req);
+      if (result.error) {
+        return done(false, result.status, result.error);
+      }
+      info.req.user = result.user;
+      done(true);
+    },
+  });
+
+  wss.on("connection", (ws, req) => {
+    const connection = {
+      user: req.user,
+      turns: new Map(),
+      sessions: new Set(),
+    };
+    ws.isAlive = true;
+
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+
+    ws.on("message", (data, isBinary) => {
+      handleFrame(ws, connection, data, isBinary);
+    });
+
+    ws.on("close", () => {
+      // Same as an HTTP client going away: stop generating, keep the partial
+      for (const turn of connection.turns.values()) {
+        turn.controller.abort();
+      }
+      for (const sessionId of connection.sessions) {
+        const sockets = sessionSockets.get(sessionId);
+        sockets?.delete(ws);
+        if (sockets?.size === 0) {
+          sessionSockets.delete(sessionId);
+        }
+      }
+    });
+
+    ws.on("error", (error) => {
+      logger.warn("WebSocket error", { error: error.message });
+    });
+
+    sendFrame(ws, { type: "ready" });
+  });
+
+  // Drop sockets that stopped answering pings
+  const pingTimer = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, PING_INTERVAL_MS);
+  wss.on("close", () => clearInterval(pingTimer));
+
+  logger.info(`WebSocket chat endpoint listening on ${SOCKET_PATH}`);
+  return wss;
+}
+
+async function handleFrame(ws, connection, data, isBinary) {
+  let frame;
+  try {
+    frame = isBinary ? null : JSON.parse(data.toString("utf8"));
+  } catch {
+    frame = null;
+  }
+
+  if (!frame || typeof frame !== "object" || Array.isArray(frame)) {
+    return sendError(ws, {}, "Frames must be JSON objects");
+  }
+
+  try {
+    switch (frame.type) {
+      case "send":
+      case "regenerate":
+      case "edit":
+        return await startTurn(ws, connection, frame);
+      case "cancel":
+        return cancelTurn(ws, connection, frame);
+      case "typing":
+        return await relayTyping(ws, connection, frame);
+      default:
+        return sendError(
+          ws,
+          frame,
+          "Unknown frame type. Expected one of: send, regenerate, edit, cancel, typing",
+        );
+    }
+  } catch (error) {
+    logger.error("WebSocket frame error:", error);
+    sendError(ws, frame, "Failed to process frame", error);
+  }
+}
+
+// frame.type is the turn's mode: send, regenerate or edit
+async function startTurn(ws, connection, frame) {
+  const mode = frame.type;
+  const chat = validateChatRequest(frame, {
+    requireMessage: mode !== "regenerate",
+  });
+  if (chat.error) {
+    return sendError(ws, frame, chat.error);
+  }
+
+  // Only new conversations can start here
+  if (
+    !(await authorizeSession(connection.user, chat.sessionId, {
+      create: mode === "send",
+    }))
+  ) {
+    return sendError(ws, frame, "Session not found");
+  }
+
+  const turn = await prepareTurn(chat, { mode, messageId: frame.messageId });
+  if (turn.error) {
+    return sendError(ws, frame, turn.error);
+  }
+
+  const turns = [...connection.turns.values()];
+  if (turns.some((active) => active.sessionId === chat.sessionId)) {
+    return sendError(
+      ws,
+      frame,
+      "A reply is already being generated for this session",
+    );
+  }
+  if (turns.length >= MAX_ACTIVE_TURNS) {
+    return sendError(
+      ws,
+      frame,
+      `At most ${MAX_ACTIVE_TURNS} replies can be generated at once per connection`,
+    );
+  }
+
+  subscribe(ws, connection, chat.sessionId);
+
+  const messageId = uuidv4();
+  const controller = new AbortController();
+  connection.turns.set(messageId, { sessionId: chat.sessionId, controller });
+
+  logger.info("Starting WebSocket chat turn", {
+    sessionId: chat.sessionId.substring(0, 8),
+    mode,
+  });
+
+  try {
+    await runStreamingTurn(chat, {
+      messageId,
+      turn,
+      signal: controller.signal,
+      onEvent: (event, payload) =>
+        sendFrame(ws, {
+          type: event,
+          sessionId: chat.sessionId,
+          requestId: frame.requestId,
+          ...payload,
+        }),
+    });
+  } catch (error) {
+    logger.error("WebSocket chat error:", {
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(ws, { ...frame, messageId }, "Failed to process message", error);
+  } finally {
+    connection.turns.delete(messageId);
+  }
+}
+
+function cancelTurn(ws, connection, frame) {
+  const matches = [...connection.turns.entries()].filter(
+    ([messageId, turn]) =>
+      turn.sessionId === frame.sessionId &&
+      (!frame.messageId || frame.messageId === messageId),
+  );
+
+  if (matches.length === 0) {
+    return sendError(ws, frame, "No reply in progress for this session");
+  }
+
+  // The turn reports "interrupted" once the provider has stopped
+  for (const [, turn] of matches) {
+    turn.controller.abort();
+  }
+}
+
+async function relayTyping(ws, connection, frame) {
+  if (typeof frame.sessionId !== "string" || !frame.sessionId) {
+    return sendError(ws, frame, "Missing required field: sessionId");
+  }
+
+  if (!(await authorizeSession(connection.user, frame.sessionId))) {
+    return sendError(ws, frame, "Session not found");
+  }
+
+  subscribe(ws, connection, frame.sessionId);
+
+  for (const socket of sessionSockets.get(frame.sessionId)) {
+    if (socket !== ws) {
+      sendFrame(socket, {
+        type: "typing",
+        sessionId: frame.sessionId,
+        isTyping: frame.isTyping !== false,
+      });
+    }
+  }
+}
+
+function subscribe(ws, connection, sessionId) {
+  connection.sessions.add(sessionId);
+  if (!sessionSockets.has(sessionId)) {
+    sessionSockets.set(sessionId, new Set());
+  }
+  sessionSockets.get(sessionId).add(ws);
+}
+
+function sendFrame(ws, frame) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(frame));
+  }
+}
+
+function sendError(ws, frame, message, error) {
+  sendFrame(ws, {
+    type: "error",
+    sessionId: frame.sessionId,
+    requestId: frame.requestId,
+    messageId: frame.messageId,
+    error: message,
+    details:
+      error && process.env.NODE_ENV !== "production"
+        ? error.message
+        : undefined,
+  });
+}
@@ -1,5 +1,5 @@
 import express from 'express';
-import { getRedisClient } from '../config/services.js';
+import { getPostgresPool, getRedisClient } from '../config/services.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -35,6 +35,23 @@ router.get('/db', async (req, res) => {
     overallStatus = 'unhealthy';
   }
 
+  // Check Postgres (only when configured)
+  if (process.env.DATABASE_URL) {
+    try {
+      const pool = getPostgresPool();
+      if (pool) {
+        await pool.query('SELECT 1');
+        checks.postgres = { status: 'connected' };
+      } else {
+        checks.postgres = { status: 'disconnected', error: 'Postgres pool not initialized' };
+        overallStatus = 'unhealthy';
+      }
+    } catch (error) {
+      checks.postgres = { status: 'error', error: error.message };
+      overallStatus = 'unhealthy';
+    }
+  }
+
   res.status(overallStatus === 'unhealthy' ? 503 : 200).json({
     status: overallStatus,
     timestamp: new Date().toISOString(),
@@ -76,12 +93,17 @@ router.get('/services', async (req, res) => {
     overallStatus = 'unhealthy';
   }
 
-  // Check environment variables
-  const requiredEnvVars = ['GEMINI_API_KEY'];
+  // Check environment variables for the configured LLM provider
+  const llmProvider = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const requiredEnvVars = {
+    gemini: ['GEMINI_API_KEY'],
+    openai: ['OPENAI_COMPAT_BASE_URL'],
+  }[llmProvider] || [];
   const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
   
   checks.environment = {
     status: missingEnvVars.length === 0 ? 'configured' : 'misconfigured',
+    llmProvider,
     missingVariables: missingEnvVars,
   };
 
@@ -0,0 +1,207 @@
+import express from "express";
+import { v4 as uuidv4 } from "uuid";
+import logger from "../utils/logger.js";
+import { ChatService } from "../services/chatService.js";
+import {
+  getDefaultProviderName,
+  listProviders,
+} from "../services/llm/index.js";
+import { validateCompletionRequest } from "../utils/requestValidation.js";
+
+const router = express.Router();
+
+// OpenAI-style error body so SDKs surface the message
+function sendError(res, status, message, param = null, type) {
+  res.status(status).json({
+    error: {
+      message,
+      type: type || (status < 500 ? "invalid_request_error" : "server_error"),
+      param,
+      code: null,
+    },
+  });
+}
+
+function toOpenAIUsage(usage = {}) {
+  return {
+    prompt_tokens: usage.promptTokens || 0,
+    completion_tokens: usage.completionTokens || 0,
+    total_tokens: usage.totalTokens || 0,
+  };
+}
+
+// Models SDKs can pick: the default pipeline and each provider's default
+router.get("/models", (req, res) => {
+  const created = Math.floor(Date.now() / 1000);
+  const ids = ["newsflow", ...listProviders()];
+
+  res.json({
+    object: "list",
+    data: ids.map((id) => ({
+      id,
+      object: "model",
+      created,
+      owned_by: "newsflow",
+    })),
+  });
+});
+
+// Chat completions backed by the news RAG pipeline. The conversation comes
+// from `messages` (nothing is stored server-side); sources, citations and
+// grounding are returned in extension fields next to the standard ones.
+router.post("/chat/completions", async (req, res) => {
+  const request = validateCompletionRequest(req.body);
+  if (request.error) {
+    return sendError(res, 400, request.error, request.param);
+  }
+
+  const id = `chatcmpl-${uuidv4()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const chatService = new ChatService({
+    provider: request.provider,
+    model: request.model,
+  });
+  const modelName = () =>
+    chatService.llm
+      ? `${chatService.llm.name}/${chatService.llm.model}`
+      : request.provider || getDefaultProviderName();
+
+  logger.info("Processing chat completion", {
+    id: id.substring(9, 17),
+    stream: request.stream,
+    historyMessages: request.history.length,
+  });
+
+  if (request.stream) {
+    return streamCompletion(req, res, request, chatService, {
+      id,
+      created,
+      modelName,
+    });
+  }
+
+  try {
+    const response = await chatService.generateResponse(id, request.message, {
+      history: request.history,
+      filters: request.filters,
+      retrieval: request.retrieval,
+    });
+
+    res.json({
+      id,
+      object: "chat.completion",
+      created,
+      model: modelName(),
+      choices: [
+        {
+          index: 0,
+          message: { role: "assistant", content: response.content },
+          finish_reason: "stop",
+        },
+      ],
+      usage: toOpenAIUsage(response.usage),
+      citations: response.citations || [],
+      sources: response.sources || [],
+      grounding: response.grounding || null,
+    });
+  } catch (error) {
+    logger.error("Chat completion error:", {
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, 500, "Failed to generate completion");
+  }
+});
+
+// SSE in the OpenAI chunk format, terminated by `data: [DONE]`
+async function streamCompletion(req, res, request, chatService, meta) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  const writeData = (payload) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  const writeChunk = (delta, finishReason = null, extra = {}) =>
+    writeData({
+      id: meta.id,
+      object: "chat.completion.chunk",
+      created: meta.created,
+      model: meta.modelName(),
+      choices: [{ index: 0, delta, finish_reason: finishReason }],
+      ...extra,
+    });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  try {
+    writeChunk({ role: "assistant", content: "" });
+
+    const result = await chatService.generateStreamingResponse(
+      meta.id,
+      request.message,
+      (chunk) => writeChunk({ content: chunk }),
+      {
+        history: request.history,
+        filters: request.filters,
+        retrieval: request.retrieval,
+        signal: controller.signal,
+      },
+    );
+
+    if (result?.interrupted) {
+      logger.info("Chat completion stream cancelled by client", {
+        id: meta.id.substring(9, 17),
+      });
+      return res.end();
+    }
+
+    // Citation positions refer to the resolved content, not the raw deltas,
+    // so the final chunk carries that content for clients to swap in
+    writeChunk({}, "stop", {
+      content: result?.content ?? null,
+      citations: result?.citations || [],
+      sources: result?.sources || [],
+      grounding: result?.grounding || null,
+    });
+
+    if (request.includeUsage) {
+      writeData({
+        id: meta.id,
+        object: "chat.completion.chunk",
+        created: meta.created,
+        model: meta.modelName(),
+        choices: [],
+        usage: toOpenAIUsage(result?.usage),
+      });
+    }
+  } catch (error) {
+    logger.error("Chat completion stream error:", {
+      error: error.message,
+      stack: error.stack,
+    });
+    writeData({
+      error: {
+        message: "Failed to generate completion",
+        type: "server_error",
+        param: null,
+        code: null,
+      },
+    });
+  }
+
+  if (!res.destroyed) {
+    res.write("data: [DONE]\n\n");
+  }
+  res.end();
+}
+
+export default router;
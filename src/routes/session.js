@@ -1,17 +1,151 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../utils/logger.js';
-import { SessionManager } from '../services/sessionManager.js';
+import { searchTerms } from '../utils/messageSearch.js';
+import { getSessionManager } from '../services/sessionManager.js';
+import { authorizeSession } from '../middleware/auth.js';
+import { ShareService, describeShare } from '../services/shareService.js';
+import {
+  EXPORT_FORMATS,
+  buildSharedTranscript,
+  buildTranscript,
+  parseTranscript,
+  renderHTML,
+  renderMarkdown,
+  transcriptTitle,
+} from '../utils/transcript.js';
 
 const router = express.Router();
-const sessionManager = new SessionManager();
+const sessionManager = getSessionManager();
+const shareService = new ShareService();
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_SESSION_TTL = parseInt(process.env.SESSION_MAX_TTL) || 2592000; // 30 days
+const MAX_SHARE_TTL = parseInt(process.env.SHARE_MAX_TTL) || 31536000; // 1 year
+const MAX_SEARCH_QUERY_LENGTH = 200;
+const SEARCH_ROLES = ['user', 'assistant'];
+
+// Resolve the session for the caller, answering 404 when it is missing or
+// owned by someone else
+async function loadOwnedSession(req, res) {
+  const { sessionId } = req.params;
+
+  if (!(await authorizeSession(req.user, sessionId))) {
+    res.status(404).json({
+      error: 'Session not found',
+    });
+    return null;
+  }
+
+  return sessionManager.getSession(sessionId);
+}
+
+// List the caller's sessions
+router.get('/', async (req, res) => {
+  try {
+    const { archived = 'false' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (!['true', 'false', 'all'].includes(archived)) {
+      return res.status(400).json({
+        error: 'archived must be one of: true, false, all',
+      });
+    }
+
+    const { sessions, total } = await sessionManager.listSessions(req.user.id, {
+      archived: archived === 'all' ? 'all' : archived === 'true',
+      limit,
+      offset,
+    });
+
+    res.json({
+      sessions,
+      total,
+      limit,
+      offset,
+    });
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to list sessions',
+    });
+  }
+});
+
+// Search the messages of all of the caller's sessions. Every word of q has
+// to appear; role and from/to (ISO 8601) narrow the results.
+router.get('/search', async (req, res) => {
+  try {
+    const { q, role } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({
+        error: 'q is required',
+      });
+    }
+    if (q.length > MAX_SEARCH_QUERY_LENGTH) {
+      return res.status(400).json({
+        error: `q must be at most ${MAX_SEARCH_QUERY_LENGTH} characters`,
+      });
+    }
+    const terms = searchTerms(q);
+    if (terms.length === 0) {
+      return res.status(400).json({
+        error: 'q must contain at least one searchable word',
+      });
+    }
+    if (role !== undefined && !SEARCH_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `role must be one of: ${SEARCH_ROLES.join(', ')}`,
+      });
+    }
+
+    const range = {};
+    for (const key of ['from', 'to']) {
+      if (req.query[key] !== undefined) {
+        const timestamp = Date.parse(req.query[key]);
+        if (Number.isNaN(timestamp)) {
+          return res.status(400).json({
+            error: `${key} must be an ISO 8601 date`,
+          });
+        }
+        range[key] = new Date(timestamp).toISOString();
+      }
+    }
+
+    const { results, total } = await sessionManager.searchMessages(req.user.id, {
+      terms,
+      role,
+      ...range,
+      limit,
+      offset,
+    });
+
+    res.json({
+      query: q,
+      terms,
+      results,
+      total,
+      limit,
+      offset,
+    });
+  } catch (error) {
+    logger.error('Search sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to search sessions',
+    });
+  }
+});
 
 // Create new session
 router.post('/', async (req, res) => {
   try {
     const sessionId = uuidv4();
     
-    await sessionManager.createSession(sessionId);
+    await sessionManager.createSession(sessionId, req.user.id);
     
     logger.info('New session created', { sessionId: sessionId.substring(0, 8) });
     
@@ -27,12 +161,41 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Import a JSON transcript (see GET /:sessionId/export) as a new session
+router.post('/import', async (req, res) => {
+  try {
+    const transcript = parseTranscript(req.body);
+
+    if (transcript.error) {
+      return res.status(400).json({
+        error: transcript.error,
+      });
+    }
+
+    res.status(201).json(await sessionManager.importTranscript(req.user.id, transcript));
+  } catch (error) {
+    logger.error('Import session error:', error);
+    res.status(500).json({
+      error: 'Failed to import session',
+    });
+  }
+});
+
 // Get session info
 router.get('/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const strict = req.query.strict === 'true';
+
+    // Unknown ids become new sessions owned by the caller, unless the
+    // lookup is strict
+    if (!(await authorizeSession(req.user, sessionId, { create: !strict }))) {
+      return res.status(404).json({
+        error: 'Session not found',
+      });
+    }
     
-    const sessionInfo = await sessionManager.getSessionInfo(sessionId);
+    const sessionInfo = await sessionManager.getSessionInfo(sessionId, { strict });
     
     if (!sessionInfo) {
       return res.status(404).json({
@@ -49,12 +212,250 @@ router.get('/:sessionId', async (req, res) => {
   }
 });
 
+// Rename and pin/unpin a session
+router.patch('/:sessionId', async (req, res) => {
+  try {
+    const { title, pinned } = req.body || {};
+    const changes = {};
+
+    if (title !== undefined) {
+      if (
+        typeof title !== 'string' ||
+        title.trim().length === 0 ||
+        title.length > MAX_TITLE_LENGTH
+      ) {
+        return res.status(400).json({
+          error: `Title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters`,
+        });
+      }
+      changes.title = title.trim();
+    }
+
+    if (pinned !== undefined) {
+      if (typeof pinned !== 'boolean') {
+        return res.status(400).json({
+          error: 'pinned must be a boolean',
+        });
+      }
+      changes.pinned = pinned;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to update. Expected title and/or pinned',
+      });
+    }
+
+    if (!(await loadOwnedSession(req, res))) return;
+
+    const session = await sessionManager.updateSession(req.params.sessionId, changes);
+    res.json(session);
+  } catch (error) {
+    logger.error('Update session error:', error);
+    res.status(500).json({
+      error: 'Failed to update session',
+    });
+  }
+});
+
+// Archive a session (hidden from the default listing) or restore it
+for (const [action, archived] of [['archive', true], ['restore', false]]) {
+  router.post(`/:sessionId/${action}`, async (req, res) => {
+    try {
+      if (!(await loadOwnedSession(req, res))) return;
+
+      const session = await sessionManager.updateSession(req.params.sessionId, { archived });
+
+      logger.info(`Session ${archived ? 'archived' : 'restored'}`, {
+        sessionId: req.params.sessionId.substring(0, 8),
+      });
+      res.json(session);
+    } catch (error) {
+      logger.error(`${action} session error:`, error);
+      res.status(500).json({
+        error: `Failed to ${action} session`,
+      });
+    }
+  });
+}
+
+// Keep a session for `ttl` more seconds
+router.post('/:sessionId/extend', async (req, res) => {
+  try {
+    const ttl = req.body?.ttl;
+
+    if (!Number.isInteger(ttl) || ttl < 60 || ttl > MAX_SESSION_TTL) {
+      return res.status(400).json({
+        error: `ttl must be an integer number of seconds between 60 and ${MAX_SESSION_TTL}`,
+      });
+    }
+
+    if (!(await loadOwnedSession(req, res))) return;
+
+    const session = await sessionManager.extendSession(req.params.sessionId, ttl);
+    res.json(session);
+  } catch (error) {
+    logger.error('Extend session error:', error);
+    res.status(500).json({
+      error: 'Failed to extend session',
+    });
+  }
+});
+
+// Download the conversation as Markdown, HTML or an importable JSON transcript
+router.get('/:sessionId/export', async (req, res) => {
+  try {
+    const { format = 'md' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+      });
+    }
+
+    const session = await loadOwnedSession(req, res);
+    if (!session) return;
+
+    const messages = await sessionManager.getMessages(session.id, { limit: 100 });
+    const filename = `${transcriptTitle(session)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 60) || 'conversation'}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      return res.json(buildTranscript(session, messages));
+    }
+
+    if (format === 'html') {
+      return res.type('html').send(renderHTML(session, messages));
+    }
+
+    res.type('text/markdown; charset=utf-8').send(renderMarkdown(session, messages));
+  } catch (error) {
+    logger.error('Export session error:', error);
+    res.status(500).json({
+      error: 'Failed to export session',
+    });
+  }
+});
+
+// Create a read-only link to a snapshot of the conversation. Optional
+// expiresIn (seconds); the token is only ever returned here.
+router.post('/:sessionId/share', async (req, res) => {
+  try {
+    const expiresIn = req.body?.expiresIn;
+
+    if (
+      expiresIn !== undefined &&
+      (!Number.isInteger(expiresIn) || expiresIn < 60 || expiresIn > MAX_SHARE_TTL)
+    ) {
+      return res.status(400).json({
+        error: `expiresIn must be an integer number of seconds between 60 and ${MAX_SHARE_TTL}`,
+      });
+    }
+
+    const session = await loadOwnedSession(req, res);
+    if (!session) return;
+
+    const messages = await sessionManager.getMessages(session.id, { limit: 100 });
+    if (messages.length === 0) {
+      return res.status(400).json({
+        error: 'Cannot share a conversation without messages',
+      });
+    }
+
+    const { token, share } = await shareService.create({
+      sessionId: session.id,
+      ownerId: req.user.id,
+      snapshot: buildSharedTranscript(session, messages),
+      expiresAt:
+        expiresIn !== undefined
+          ? new Date(Date.now() + expiresIn * 1000).toISOString()
+          : null,
+    });
+
+    logger.info('Session shared', {
+      sessionId: session.id.substring(0, 8),
+      shareId: share.id,
+      messages: messages.length,
+    });
+
+    res.status(201).json({
+      ...describeShare(share),
+      token,
+      url: `/api/shared/${token}`,
+    });
+  } catch (error) {
+    logger.error('Share session error:', error);
+    res.status(500).json({
+      error: 'Failed to share session',
+    });
+  }
+});
+
+// List the conversation's live share links
+router.get('/:sessionId/share', async (req, res) => {
+  try {
+    const session = await loadOwnedSession(req, res);
+    if (!session) return;
+
+    const shares = await shareService.list(session.id);
+    res.json({
+      shares: shares.map(describeShare),
+    });
+  } catch (error) {
+    logger.error('List shares error:', error);
+    res.status(500).json({
+      error: 'Failed to list share links',
+    });
+  }
+});
+
+// Revoke a share link
+router.delete('/:sessionId/share/:shareId', async (req, res) => {
+  try {
+    const session = await loadOwnedSession(req, res);
+    if (!session) return;
+
+    if (!(await shareService.revoke(session.id, req.params.shareId))) {
+      return res.status(404).json({
+        error: 'Share link not found',
+      });
+    }
+
+    logger.info('Share link revoked', {
+      sessionId: session.id.substring(0, 8),
+      shareId: req.params.shareId,
+    });
+
+    res.json({
+      message: 'Share link revoked',
+      id: req.params.shareId,
+    });
+  } catch (error) {
+    logger.error('Revoke share error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke share link',
+    });
+  }
+});
+
 // Delete session
 router.delete('/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
+
+    if (!(await authorizeSession(req.user, sessionId))) {
+      return res.status(404).json({
+        error: 'Session not found',
+      });
+    }
     
     await sessionManager.deleteSession(sessionId);
+    await shareService.revokeAll(sessionId);
     
     logger.info('Session deleted', { sessionId: sessionId.substring(0, 8) });
     
@@ -0,0 +1,65 @@
+import express from "express";
+import logger from "../utils/logger.js";
+import { getSessionManager } from "../services/sessionManager.js";
+import { ShareService } from "../services/shareService.js";
+import { authenticate } from "../middleware/auth.js";
+import { parseTranscript } from "../utils/transcript.js";
+
+// Share links (see POST /api/session/:sessionId/share). Reading a shared
+// conversation needs only the token; forking it needs an account.
+const router = express.Router();
+const sessionManager = getSessionManager();
+const shareService = new ShareService();
+
+// The shared snapshot of the conversation
+router.get("/:token", async (req, res) => {
+  try {
+    const share = await shareService.resolve(req.params.token);
+    if (!share) {
+      return res.status(404).json({ error: "Shared conversation not found" });
+    }
+
+    res.set("X-Robots-Tag", "noindex");
+    res.json({
+      title: share.snapshot.session.title,
+      sharedAt: share.createdAt,
+      expiresAt: share.expiresAt,
+      transcript: share.snapshot,
+    });
+  } catch (error) {
+    logger.error("Read shared conversation error:", error);
+    res.status(500).json({ error: "Failed to load shared conversation" });
+  }
+});
+
+// Copy the shared conversation into a new session owned by the caller
+router.post("/:token/fork", authenticate, async (req, res) => {
+  try {
+    const share = await shareService.resolve(req.params.token);
+    if (!share) {
+      return res.status(404).json({ error: "Shared conversation not found" });
+    }
+
+    const transcript = parseTranscript(share.snapshot);
+    if (transcript.error) {
+      throw new Error(transcript.error);
+    }
+
+    const session = await sessionManager.importTranscript(
+      req.user.id,
+      transcript,
+    );
+
+    logger.info("Shared conversation forked", {
+      shareId: share.id,
+      sessionId: session.id.substring(0, 8),
+    });
+
+    res.status(201).json(session);
+  } catch (error) {
+    logger.error("Fork shared conversation error:", error);
+    res.status(500).json({ error: "Failed to fork shared conversation" });
+  }
+});
+
+export default router;
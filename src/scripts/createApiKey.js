@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+
+import { randomBytes } from 'crypto';
+import { hashApiKey } from '../middleware/auth.js';
+
+// Generate an API key for a user. Only the hash goes into API_KEYS; hand the
+// key itself to the client, it can't be recovered later.
+const userId = process.argv[2];
+
+if (!userId || userId.includes(':') || userId.includes(',')) {
+  console.error('Usage: npm run apikey -- <userId>   (no ":" or "," in the id)');
+  process.exit(1);
+}
+
+const key = `nf_${randomBytes(24).toString('base64url')}`;
+
+console.log(`API key for ${userId}: ${key}`);
+console.log(`Add to API_KEYS:       ${userId}:${hashApiKey(key)}`);
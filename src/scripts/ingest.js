@@ -4,6 +4,7 @@ import { IngestionService } from '../services/ingestion.js';
 import { EmbeddingsService } from '../services/embeddings.js';
 import { VectorStoreService } from '../services/vectorStore.js';
 import logger from '../utils/logger.js';
+import { initializeServices, closeServices } from '../config/services.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -17,6 +18,9 @@ async function runIngestion() {
   const vectorStore = new VectorStoreService();
   
   try {
+    // Redis is needed to invalidate the semantic answer cache after upserting
+    await initializeServices();
+    
     // Step 1: Fetch latest news articles
     logger.info('📰 Fetching latest news articles...');
     const articles = await ingestionService.fetchLatestNews();
@@ -65,6 +69,9 @@ async function runIngestion() {
       process.exit(1);
     }
     
+    // Older vectors lack the fields the date and source filters use
+    await vectorStore.backfillFilterFields();
+    
     // Step 6: Verify storage
     const collectionInfo = await vectorStore.getCollectionInfo();
     if (collectionInfo) {
@@ -85,6 +92,8 @@ async function runIngestion() {
       logger.info(`${index + 1}. ${article.title} (${article.source})`);
     });
     
+    await closeServices();
+    
   } catch (error) {
     logger.error('❌ Ingestion pipeline failed:', error);
     process.exit(1);
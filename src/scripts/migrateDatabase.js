@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+import logger from '../utils/logger.js';
+import { initializeServices, closeServices, getPostgresPool } from '../config/services.js';
+import { runMigrations } from '../db/migrate.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Apply pending Postgres migrations. The server does this at startup unless
+// DATABASE_MIGRATE=false.
+async function migrate() {
+  await initializeServices();
+
+  const pool = getPostgresPool();
+  if (!pool) {
+    logger.error('Postgres is not configured or not reachable (check DATABASE_URL)');
+    process.exit(1);
+  }
+
+  const applied = await runMigrations(pool);
+  logger.info(
+    applied.length > 0
+      ? `Applied ${applied.length} migrations: ${applied.join(', ')}`
+      : 'Database schema is up to date'
+  );
+
+  await closeServices();
+  process.exit(0);
+}
+
+migrate().catch(error => {
+  logger.error('Database migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+import logger from '../utils/logger.js';
+import { initializeServices, closeServices, getRedisClient } from '../config/services.js';
+import { SessionManager } from '../services/sessionManager.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Convert sessions written as JSON strings to the hash/list layout and add
+// stored messages to the search index. The server also does this at
+// startup; run it by hand before rolling out so no instance of the old
+// version is left writing string keys.
+async function runMigration() {
+  await initializeServices();
+
+  if (!getRedisClient()) {
+    logger.error('Redis is not reachable, nothing to migrate');
+    process.exit(1);
+  }
+
+  const sessionManager = new SessionManager();
+  const migrated = await sessionManager.initialize();
+
+  logger.info(
+    `Migrated ${migrated.sessions} sessions and ${migrated.messages} message lists, ` +
+      `indexed ${migrated.indexed} messages for search`
+  );
+  await closeServices();
+  process.exit(0);
+}
+
+runMigration().catch(error => {
+  logger.error('Session migration failed:', error);
+  process.exit(1);
+});
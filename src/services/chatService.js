@@ -1,71 +1,207 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import logger from "../utils/logger.js";
 import { EmbeddingsService } from "./embeddings.js";
 import { VectorStoreService } from "./vectorStore.js";
+import { getKeywordIndex } from "./keywordIndex.js";
+import { SemanticCacheService } from "./semanticCache.js";
+import { createReranker } from "./rerankers.js";
+import { GroundingVerifier } from "./groundingVerifier.js";
+import { reciprocalRankFusion } from "../utils/rankFusion.js";
+import { applyMMR } from "../utils/mmr.js";
+import { extractDateRange } from "../utils/temporalQuery.js";
+import { TokenBudget } from "../utils/tokenBudget.js";
+import { resolveCitations } from "../utils/citations.js";
+import { createLLMProvider, getDefaultProviderName } from "./llm/index.js";
+
+// Bump when buildPrompt changes, so feedback can be compared across prompts.
+// PROMPT_VERSION overrides it, e.g. to label an experiment.
+export const PROMPT_VERSION = "news-rag-2";
+
+const GROUNDING_WARNING =
+  "Some statements in this answer could not be verified against the retrieved news sources.";
 
 export class ChatService {
-  constructor() {
-    this.genAI = null;
-    this.model = null;
+  // options.provider / options.model override the deployment defaults
+  constructor(options = {}) {
+    this.providerName = (
+      options.provider || getDefaultProviderName()
+    ).toLowerCase();
+    this.modelName = options.model;
+    this.promptVersion = process.env.PROMPT_VERSION || PROMPT_VERSION;
+    this.llm = null;
     this.embeddingsService = new EmbeddingsService();
     this.vectorStore = new VectorStoreService();
+    this.historyTurns = parseInt(process.env.CHAT_HISTORY_TURNS || "6", 10);
+    this.condenseQueries = process.env.CHAT_CONDENSE_QUERY !== "false";
+    this.hybridSearch = process.env.HYBRID_SEARCH !== "false";
+    this.fusion = {
+      k: parseInt(process.env.RRF_K || "60", 10),
+      vectorWeight: parseFloat(process.env.RRF_VECTOR_WEIGHT || "1"),
+      keywordWeight: parseFloat(process.env.RRF_KEYWORD_WEIGHT || "1"),
+    };
+    this.retrieval = {
+      candidates: parseInt(process.env.RETRIEVAL_CANDIDATES || "30", 10),
+      topK: parseInt(process.env.MAX_RETRIEVAL_RESULTS || "5", 10),
+      mmrLambda: parseFloat(process.env.MMR_LAMBDA || "0.7"),
+      maxPerArticle: parseInt(process.env.MMR_MAX_PER_ARTICLE || "2", 10),
+    };
+    this.reranker = null;
+    this.semanticCache = new SemanticCacheService();
+    this.promptBudget = {
+      historyShare: parseFloat(process.env.HISTORY_TOKEN_SHARE || "0.25"),
+      maxChunkTokens: parseInt(
+        process.env.PROMPT_MAX_CHUNK_TOKENS || "300",
+        10,
+      ),
+    };
+    this.maxCompletionTokens = process.env.MAX_TOKENS
+      ? parseInt(process.env.MAX_TOKENS, 10)
+      : undefined;
+    this.groundingVerifier = null;
+    // off: report only, warn: flag weak answers, regenerate: retry once first
+    this.groundingMode = (process.env.GROUNDING_STRICT || "off").toLowerCase();
     this.initialize();
   }
 
   initialize() {
+    this.initializeLLM();
+    this.reranker = createReranker(process.env.RERANKER, { llm: this.llm });
+    if (process.env.GROUNDING_CHECK !== "false") {
+      this.groundingVerifier = new GroundingVerifier({ llm: this.llm });
+    }
+  }
+
+  initializeLLM() {
     try {
-      const apiKey = process.env.GEMINI_API_KEY;
-      if (!apiKey) {
-        logger.warn("GEMINI_API_KEY not found, using mock responses");
+      const provider = createLLMProvider(this.providerName, {
+        model: this.modelName,
+      });
+
+      if (!provider.isAvailable()) {
+        logger.warn(
+          `LLM provider "${this.providerName}" not available, using mock responses`,
+        );
         return;
       }
 
-      this.genAI = new GoogleGenerativeAI(apiKey);
-      const modelName = process.env.GEMINI_MODEL || "gemini-1.5-flash";
-      this.model = this.genAI.getGenerativeModel({ model: modelName });
-      logger.info("Gemini AI initialized successfully", { model: modelName });
+      this.llm = provider;
     } catch (error) {
-      logger.error("Failed to initialize Gemini AI:", error);
+      logger.error("Failed to initialize LLM provider:", error);
     }
   }
 
   // Generate a complete response with RAG
-  async generateResponse(sessionId, message) {
+  async generateResponse(sessionId, message, options = {}) {
     try {
-      if (!this.model) {
+      if (!this.llm) {
         return this.getMockResponse(message);
       }
 
+      const history = this.selectHistory(options.history, options.summary);
+
+      // Rewrite follow-ups into a standalone query before retrieval
+      const searchQuery = await this.condenseQuery(message, history);
+
+      // Time-bound questions ("yesterday", "since March") filter by publishedAt
+      const timeWindow = this.resolveTimeWindow(
+        message,
+        searchQuery,
+        options.filters,
+      );
+
+      // Embed once: used for the semantic cache and for vector search
+      const queryEmbedding = await this.embedQuery(searchQuery);
+
+      // Only standalone questions are cached; follow-ups depend on history
+      const cacheScope =
+        history.length === 0 && !options.summary && queryEmbedding
+          ? this.buildCacheScope(options, timeWindow)
+          : null;
+
+      if (cacheScope) {
+        const hit = await this.semanticCache.lookup(queryEmbedding, cacheScope);
+        if (hit) {
+          return {
+            ...hit.response,
+            searchQuery,
+            timeWindow,
+            cached: true,
+            cacheSimilarity: hit.similarity,
+            cachedAt: hit.cachedAt,
+          };
+        }
+      }
+
       // Get relevant context using RAG
-      const context = await this.getRelevantContext(message);
-      const prompt = this.buildPrompt(message, context);
+      const retrieved = await this.getRelevantContext(searchQuery, {
+        ...options.filters,
+        ...options.retrieval,
+        dateRange: timeWindow,
+        queryEmbedding,
+      });
+      const { prompt, context, budget } = this.buildPrompt(
+        message,
+        retrieved,
+        history,
+        { timeWindow, summary: options.summary },
+      );
 
       logger.info("Generating AI response with RAG", {
         sessionId: sessionId.substring(0, 8),
-        promptLength: prompt.length,
+        provider: this.llm.name,
+        model: this.llm.model,
+        promptTokens: budget.used,
+        tokenBudget: budget.limit,
         contextSources: context.length,
+        historyMessages: history.length,
+        timeWindow: timeWindow?.expression,
       });
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const content = response.text();
+      let { text: content, usage } = await this.llm.generate(prompt, {
+        maxTokens: this.maxCompletionTokens,
+      });
+      let grounding = await this.verifyGrounding(content, context);
+
+      if (
+        grounding &&
+        !grounding.grounded &&
+        this.groundingMode === "regenerate"
+      ) {
+        const retry = await this.regenerateGrounded(prompt, context, grounding);
+        if (retry) {
+          ({ content, usage, grounding } = retry);
+        }
+      }
 
-      return {
+      const cited = this.citeSources(content, context);
+      content = cited.content;
+
+      if (grounding && !grounding.grounded && this.groundingMode !== "off") {
+        grounding.warning = GROUNDING_WARNING;
+        content += `\n\n> ${GROUNDING_WARNING}`;
+      }
+
+      const response = {
         content,
-        sources: context.map((ctx) => ({
-          title: ctx.metadata.title,
-          url: ctx.metadata.url,
-          source: ctx.metadata.source,
-          publishedAt: ctx.metadata.publishedAt,
-          snippet: ctx.content.substring(0, 200) + "...",
-          score: ctx.score,
-        })),
-        usage: {
-          promptTokens: 0, // Gemini doesn't provide token counts in free tier
-          completionTokens: 0,
-          totalTokens: 0,
-        },
+        sources: cited.sources,
+        citations: cited.citations,
+        provider: this.llm.name,
+        model: this.llm.model,
+        promptVersion: this.promptVersion,
+        usage: { ...usage, budget },
+        grounding,
       };
+
+      // Answers without retrieved news are not worth reusing
+      if (cacheScope && context.length > 0) {
+        await this.semanticCache.store(
+          queryEmbedding,
+          cacheScope,
+          searchQuery,
+          response,
+        );
+      }
+
+      return { ...response, searchQuery, timeWindow, cached: false };
     } catch (error) {
       logger.error("Failed to generate AI response:", error);
       return this.getMockResponse(message);
@@ -73,103 +209,532 @@ export class ChatService {
   }
 
   // Generate streaming response with RAG
-  async generateStreamingResponse(sessionId, message, onChunk) {
+  async generateStreamingResponse(sessionId, message, onChunk, options = {}) {
     try {
-      if (!this.model) {
-        return this.getMockStreamingResponse(message, onChunk);
+      if (!this.llm) {
+        return this.getMockStreamingResponse(message, onChunk, options.signal);
       }
 
+      const history = this.selectHistory(options.history, options.summary);
+
+      // Rewrite follow-ups into a standalone query before retrieval
+      const searchQuery = await this.condenseQuery(message, history);
+
+      // Time-bound questions ("yesterday", "since March") filter by publishedAt
+      const timeWindow = this.resolveTimeWindow(
+        message,
+        searchQuery,
+        options.filters,
+      );
+
       // Get relevant context using RAG
-      const context = await this.getRelevantContext(message);
-      const prompt = this.buildPrompt(message, context);
+      const retrieved = await this.getRelevantContext(searchQuery, {
+        ...options.filters,
+        ...options.retrieval,
+        dateRange: timeWindow,
+      });
+      const { prompt, context, budget } = this.buildPrompt(
+        message,
+        retrieved,
+        history,
+        { timeWindow, summary: options.summary },
+      );
 
       logger.info("Generating streaming AI response with RAG", {
         sessionId: sessionId.substring(0, 8),
-        promptLength: prompt.length,
+        provider: this.llm.name,
+        model: this.llm.model,
+        promptTokens: budget.used,
+        tokenBudget: budget.limit,
         contextSources: context.length,
+        historyMessages: history.length,
+        timeWindow: timeWindow?.expression,
+      });
+
+      const interrupted = {
+        interrupted: true,
+        searchQuery,
+        timeWindow,
+        provider: this.llm.name,
+        model: this.llm.model,
+      };
+      if (options.signal?.aborted) {
+        return interrupted;
+      }
+
+      const { text, usage } = await this.llm.generateStream(prompt, onChunk, {
+        maxTokens: this.maxCompletionTokens,
+        signal: options.signal,
       });
 
-      const result = await this.model.generateContentStream(prompt);
+      if (options.signal?.aborted) {
+        return { ...interrupted, usage: { ...usage, budget } };
+      }
 
-      for await (const chunk of result.stream) {
-        const chunkText = chunk.text();
-        if (chunkText) {
-          onChunk(chunkText);
-        }
+      // Streamed text cannot be taken back, so strict modes can only warn.
+      // The returned content has citations resolved and replaces the
+      // streamed text.
+      const grounding = await this.verifyGrounding(text, context);
+      const cited = this.citeSources(text, context);
+      let content = cited.content;
+      if (grounding && !grounding.grounded && this.groundingMode !== "off") {
+        grounding.warning = GROUNDING_WARNING;
+        content += `\n\n> ${GROUNDING_WARNING}`;
+        onChunk(`\n\n> ${GROUNDING_WARNING}`);
       }
+
+      return {
+        content,
+        sources: cited.sources,
+        citations: cited.citations,
+        searchQuery,
+        timeWindow,
+        provider: this.llm.name,
+        model: this.llm.model,
+        promptVersion: this.promptVersion,
+        usage: { ...usage, budget },
+        grounding,
+      };
     } catch (error) {
+      // Providers reject in-flight requests when the signal fires
+      if (options.signal?.aborted) {
+        return {
+          interrupted: true,
+          provider: this.llm?.name,
+          model: this.llm?.model,
+        };
+      }
       logger.error("Failed to generate streaming AI response:", error);
-      return this.getMockStreamingResponse(message, onChunk);
+      return this.getMockStreamingResponse(message, onChunk, options.signal);
+    }
+  }
+
+  // Check the answer's claims against the chunks it was generated from
+  async verifyGrounding(content, context) {
+    if (!this.groundingVerifier) {
+      return null;
+    }
+
+    try {
+      return await this.groundingVerifier.verify(content, context);
+    } catch (error) {
+      logger.error("Grounding verification failed:", error);
+      return null;
+    }
+  }
+
+  // Retry once with the unsupported claims called out; keep the better answer
+  async regenerateGrounded(prompt, context, grounding) {
+    const unsupported = grounding.claims
+      .filter((claim) => claim.status === "unsupported")
+      .map((claim) => `- ${claim.text}`)
+      .join("\n");
+
+    const strictPrompt = `${prompt}
+
+A previous draft of this answer made statements that the news context does not support:
+${unsupported || "- (several statements were only partially supported)"}
+
+Answer again using only information stated in the news context above. If the context does not cover something, say so instead of guessing.`;
+
+    try {
+      const { text, usage } = await this.llm.generate(strictPrompt, {
+        maxTokens: this.maxCompletionTokens,
+        temperature: 0,
+      });
+      const retryGrounding = await this.verifyGrounding(text, context);
+
+      logger.info("Regenerated weakly grounded answer", {
+        before: grounding.confidence,
+        after: retryGrounding?.confidence,
+      });
+
+      if (
+        !retryGrounding ||
+        retryGrounding.confidence <= grounding.confidence
+      ) {
+        return null;
+      }
+
+      return {
+        content: text,
+        usage,
+        grounding: { ...retryGrounding, regenerated: true },
+      };
+    } catch (error) {
+      logger.error("Failed to regenerate grounded answer:", error);
+      return null;
+    }
+  }
+
+  // Keep the most recent user/assistant turns for the prompt. Next to a
+  // session summary every message after it is kept, so nothing falls between
+  // the two; the summariser keeps that tail short.
+  selectHistory(history = [], summary = null) {
+    if (!Array.isArray(history) || (this.historyTurns <= 0 && !summary)) {
+      return [];
     }
+
+    const turns = history.filter(
+      (msg) =>
+        (msg.role === "user" || msg.role === "assistant") &&
+        typeof msg.content === "string" &&
+        msg.content.trim().length > 0,
+    );
+    return summary ? turns : turns.slice(-this.historyTurns * 2);
   }
 
-  // Get relevant context using RAG
-  async getRelevantContext(message) {
+  // Rewrite a follow-up question into a standalone search query
+  async condenseQuery(message, history = []) {
+    if (!this.condenseQueries || !this.llm || history.length === 0) {
+      return message;
+    }
+
     try {
-      // Generate embedding for the user's message
-      const messageEmbedding =
-        await this.embeddingsService.generateSingleEmbedding(message);
+      const transcript = history
+        .map(
+          (msg) =>
+            `${msg.role === "user" ? "User" : "Assistant"}: ${msg.content.substring(0, 500)}`,
+        )
+        .join("\n");
+
+      const prompt = `Given the conversation below and a follow-up question, rewrite the follow-up as a single standalone search query for a news archive. Resolve pronouns and references like "that" or "the other outlets" using the conversation. Return only the query, with no explanation or quotes.
+
+Conversation:
+${transcript}
 
-      if (!messageEmbedding || !messageEmbedding.embedding) {
+Follow-up question: ${message}
+
+Standalone query:`;
+
+      const { text } = await this.llm.generate(prompt, {
+        task: "condense",
+        temperature: 0,
+      });
+      const condensed = text.trim().replace(/^["']|["']$/g, "");
+
+      if (!condensed) {
+        return message;
+      }
+
+      logger.debug("Condensed follow-up query", {
+        original: message.substring(0, 100),
+        condensed: condensed.substring(0, 100),
+      });
+      return condensed.substring(0, 500);
+    } catch (error) {
+      logger.warn("Failed to condense query, using original message", {
+        error: error.message,
+      });
+      return message;
+    }
+  }
+
+  // Everything besides the query that changes the answer; relative time
+  // windows are keyed by their expression since their bounds move with "now"
+  buildCacheScope(options, timeWindow) {
+    return this.semanticCache.buildScope({
+      provider: this.llm.name,
+      model: this.llm.model,
+      filters: options.filters || null,
+      retrieval: options.retrieval || null,
+      timeWindow: timeWindow
+        ? timeWindow.expression || [timeWindow.from, timeWindow.to]
+        : null,
+    });
+  }
+
+  // Resolve the answer's [N] markers against the prompt's sources; markers
+  // without a matching source are removed
+  citeSources(content, context) {
+    const sources = this.formatSources(context);
+    const {
+      content: cleaned,
+      citations,
+      stripped,
+    } = resolveCitations(content, sources);
+
+    if (stripped > 0) {
+      logger.warn("Removed citations to unknown sources", {
+        stripped,
+        sources: sources.length,
+      });
+    }
+
+    const citedIds = new Set(citations.map((citation) => citation.sourceId));
+    sources.forEach((source) => {
+      source.cited = citedIds.has(source.id);
+    });
+
+    return { content: cleaned, sources, citations };
+  }
+
+  // Source entries returned to clients for the chunks used as context;
+  // source N in the prompt is sources[N - 1], with id N
+  formatSources(context) {
+    return context.map((ctx, index) => ({
+      id: index + 1,
+      title: ctx.metadata.title,
+      url: ctx.metadata.url,
+      source: ctx.metadata.source,
+      category: ctx.metadata.category || null,
+      publishedAt: ctx.metadata.publishedAt,
+      snippet: ctx.content.substring(0, 200) + "...",
+      score: ctx.score,
+      fusionScore: ctx.fusionScore,
+      rerankScore: ctx.rerankScore,
+      chunkId: ctx.metadata.chunkId || null,
+      chunkIndex: ctx.metadata.chunkIndex ?? null,
+      chunkOffset: ctx.metadata.chunkOffset ?? null,
+      chunkLength: ctx.metadata.chunkLength ?? null,
+    }));
+  }
+
+  // An explicit filters.dateRange wins; otherwise the date range from the
+  // question itself, else from the condensed query (which carries over time
+  // references from earlier turns)
+  resolveTimeWindow(message, searchQuery, filters = {}) {
+    if (filters?.dateRange) {
+      return { ...filters.dateRange, expression: null };
+    }
+
+    return (
+      extractDateRange(message) ||
+      (searchQuery !== message ? extractDateRange(searchQuery) : null)
+    );
+  }
+
+  // Get relevant context using RAG: over-fetch candidates, rerank them,
+  // then pick a diverse top-k with MMR.
+  // options: dateRange, sources, countries, categories, languages (filters)
+  // and topK, threshold (retrieval overrides)
+  async getRelevantContext(message, options = {}) {
+    try {
+      const topK = options.topK || this.retrieval.topK;
+      const candidates = await this.retrieveCandidates(
+        message,
+        Math.max(this.retrieval.candidates, topK),
+        options,
+      );
+
+      if (candidates.length === 0) {
+        return [];
+      }
+
+      const reranked = await this.reranker.rerank(message, candidates);
+      const context = applyMMR(reranked, {
+        limit: topK,
+        lambda: this.retrieval.mmrLambda,
+        maxPerArticle: this.retrieval.maxPerArticle,
+      });
+
+      logger.info(
+        `Selected ${context.length} of ${candidates.length} candidate chunks for context`,
+        { reranker: this.reranker.name },
+      );
+      return context;
+    } catch (error) {
+      logger.error("Failed to get relevant context:", error);
+      return [];
+    }
+  }
+
+  // Candidate retrieval (dense + BM25, merged with RRF)
+  async retrieveCandidates(message, limit, options = {}) {
+    if (!this.hybridSearch) {
+      return this.searchVectors(message, limit, options);
+    }
+
+    const [vectorResults, keywordResults] = await Promise.all([
+      this.searchVectors(message, limit, options),
+      this.searchKeywords(message, limit, options),
+    ]);
+
+    const fused = reciprocalRankFusion(
+      [
+        {
+          name: "vector",
+          results: vectorResults,
+          weight: this.fusion.vectorWeight,
+        },
+        {
+          name: "keyword",
+          results: keywordResults,
+          weight: this.fusion.keywordWeight,
+        },
+      ],
+      { k: this.fusion.k },
+    ).slice(0, limit);
+
+    logger.info(
+      `Retrieved ${fused.length} candidate chunks (vector: ${vectorResults.length}, keyword: ${keywordResults.length})`,
+    );
+    return fused;
+  }
+
+  // Embedding for a query, or null when the embeddings API failed
+  async embedQuery(text) {
+    try {
+      const result = await this.embeddingsService.generateSingleEmbedding(text);
+      if (!result || !result.embedding || result.failed) {
+        return null;
+      }
+      return result.embedding;
+    } catch (error) {
+      logger.error("Failed to embed query:", error);
+      return null;
+    }
+  }
+
+  // Dense retrieval from Qdrant; options.queryEmbedding skips re-embedding
+  async searchVectors(message, limit, options = {}) {
+    try {
+      const embedding =
+        options.queryEmbedding || (await this.embedQuery(message));
+
+      if (!embedding) {
         logger.warn(
-          "Failed to generate embedding for message, proceeding without context",
+          "Failed to generate embedding for message, skipping vector search",
         );
         return [];
       }
 
       // Search for similar content in vector store
-      const similarContent = await this.vectorStore.searchSimilar(
-        messageEmbedding.embedding,
-        5, // Get top 5 most relevant articles
-        0.3, // Lower similarity threshold for better recall
+      return await this.vectorStore.searchSimilar(
+        embedding,
+        limit,
+        options.threshold ?? 0.3, // Low default threshold for better recall
+        options,
       );
+    } catch (error) {
+      logger.error("Vector search failed:", error);
+      return [];
+    }
+  }
 
-      logger.info(
-        `Found ${similarContent.length} relevant articles for context`,
-      );
-      return similarContent;
+  // Exact-term retrieval from the local BM25 index
+  async searchKeywords(message, limit, options = {}) {
+    try {
+      const keywordIndex = getKeywordIndex();
+      await keywordIndex.load();
+      return keywordIndex.search(message, limit, options);
     } catch (error) {
-      logger.error("Failed to get relevant context:", error);
+      logger.error("Keyword search failed:", error);
       return [];
     }
   }
 
-  // Build prompt for the AI model with RAG context
-  buildPrompt(message, context = []) {
+  // Build prompt for the AI model with RAG context, fitted to the token
+  // budget: instructions and the question are always kept, history gets up
+  // to HISTORY_TOKEN_SHARE of the rest (options.summary of earlier turns
+  // first, then the turns, oldest dropped first) and the ranked chunks fill
+  // what remains (lowest-ranked trimmed/dropped first).
+  // Returns { prompt, context, budget } where context lists the chunks that
+  // made it into the prompt, in [Source N] order.
+  buildPrompt(message, context = [], history = [], options = {}) {
+    const budget = new TokenBudget({ provider: this.llm?.name });
+
     let systemPrompt = `You are a helpful AI assistant specialized in news and current events. You provide informative, accurate, and engaging responses based on the latest news information.
 
 Key guidelines:
 - Use the provided news context to give accurate, up-to-date information
-- Cite specific sources when referencing the provided articles
+- Use the conversation so far to resolve follow-up questions and references
+- Cite the news context inline by source number in square brackets, e.g. [1] or [2][3], right after the statement it supports
+- Only cite source numbers listed in the context
 - If the context doesn't contain relevant information, acknowledge this
 - Provide factual, well-structured responses with markdown formatting
 - Be conversational but professional
-- Focus on being helpful and informative`;
+- Focus on being helpful and informative
+
+Today's date: ${new Date().toISOString().split("T")[0]}`;
+
+    if (options.timeWindow) {
+      const { from, to, expression } = options.timeWindow;
+      const day = (iso) => iso.split("T")[0];
+      const span =
+        from && to
+          ? `between ${day(from)} and ${day(to)}`
+          : from
+            ? `since ${day(from)}`
+            : `before ${day(to)}`;
+      systemPrompt += expression
+        ? `\nThe question refers to "${expression}": only articles published ${span} were retrieved.`
+        : `\nRetrieval was limited to articles published ${span}.`;
+    }
+
+    const question = `\n\nUser question: ${message}
+
+Please provide a comprehensive response using the news context above when relevant:`;
 
-    if (context.length > 0) {
-      systemPrompt += `\n\nRELEVANT NEWS CONTEXT:\n`;
-      context.forEach((ctx, index) => {
-        systemPrompt += `\n[Source ${index + 1}: ${ctx.metadata.source} - ${
+    const contextHeader = `\n\nRELEVANT NEWS CONTEXT:\n`;
+    const historyHeader = `\n\nCONVERSATION SO FAR:\n`;
+    const summaryHeader = `\n\nSUMMARY OF THE EARLIER CONVERSATION:\n`;
+
+    budget.reserve("system", systemPrompt);
+    budget.reserve("question", question);
+    if (context.length > 0) budget.reserve("context", contextHeader);
+    if (history.length > 0) budget.reserve("history", historyHeader);
+    if (options.summary) budget.reserve("summary", summaryHeader);
+
+    const historyTokens = Math.floor(
+      budget.remaining * this.promptBudget.historyShare,
+    );
+    const summaryBlocks = options.summary
+      ? budget.fit("summary", [options.summary], {
+          maxTokens: historyTokens,
+          getContent: (summary) => summary,
+          render: (summary, content) => `${content}\n`,
+        })
+      : [];
+
+    // Newest turns first so the oldest are the ones dropped
+    const historyBlocks = budget
+      .fit("history", [...history].reverse(), {
+        maxTokens: historyTokens - (budget.sections.summary || 0),
+        maxItemTokens: 250,
+        minItemTokens: 20,
+        getContent: (msg) => msg.content,
+        render: (msg, content) =>
+          `${msg.role === "user" ? "User" : "Assistant"}: ${content}\n`,
+      })
+      .reverse();
+
+    const contextBlocks = budget.fit("context", context, {
+      maxItemTokens: this.promptBudget.maxChunkTokens,
+      getContent: (ctx) => ctx.content,
+      render: (ctx, content) =>
+        `\n[Source ${context.indexOf(ctx) + 1}: ${ctx.metadata.source} - ${
           ctx.metadata.title
         }]
 Published: ${new Date(ctx.metadata.publishedAt).toLocaleDateString()}
-Content: ${ctx.content.substring(0, 800)}...
-URL: ${ctx.metadata.url}\n`;
-      });
-    }
-
-    systemPrompt += `\n\nUser question: ${message}
+Content: ${content}
+URL: ${ctx.metadata.url}\n`,
+    });
 
-Please provide a comprehensive response using the news context above when relevant:`;
+    let prompt = systemPrompt;
+    if (contextBlocks.length > 0) {
+      prompt += contextHeader + contextBlocks.map((b) => b.text).join("");
+    }
+    if (summaryBlocks.length > 0) {
+      prompt += summaryHeader + summaryBlocks[0].text;
+    }
+    if (historyBlocks.length > 0) {
+      prompt += historyHeader + historyBlocks.map((b) => b.text).join("");
+    }
+    prompt += question;
 
-    return systemPrompt;
+    return {
+      prompt,
+      context: contextBlocks.map((b) => b.item),
+      budget: budget.report(),
+    };
   }
 
   // Mock response for when AI is not available
   getMockResponse(message) {
     const responses = [
       {
-        content: `I received your message: "${message}"\n\n**This is a demo response** since the AI service is not fully configured yet.\n\n### Features Available:\n- ✅ Real-time chat interface\n- ✅ Session management\n- ✅ Message history\n- ✅ Streaming responses\n- ⏳ AI integration (in progress)\n- ⏳ RAG news search (planned)\n\n*To enable full AI responses, configure the GEMINI_API_KEY environment variable.*`,
+        content: `I received your message: "${message}"\n\n**This is a demo response** since the AI service is not fully configured yet.\n\n### Features Available:\n- ✅ Real-time chat interface\n- ✅ Session management\n- ✅ Message history\n- ✅ Streaming responses\n- ⏳ AI integration (in progress)\n- ⏳ RAG news search (planned)\n\n*To enable full AI responses, configure an LLM provider (LLM_PROVIDER and its credentials).*`,
         sources: [],
         usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
       },
@@ -183,14 +748,15 @@ Please provide a comprehensive response using the news context above when releva
     return responses[Math.floor(Math.random() * responses.length)];
   }
 
-  // Mock streaming response
-  async getMockStreamingResponse(message, onChunk) {
-    const fullResponse = `I understand you're asking about: "${message}"\n\nThis is a **streaming demo response** to show how the real-time chat interface works.\n\n### How Streaming Works:\n- Messages are sent in real-time chunks\n- You see the response being "typed" out\n- Provides better user experience\n- Reduces perceived latency\n\n### Next Steps:\n1. Configure GEMINI_API_KEY for AI responses\n2. Set up vector database for RAG functionality\n3. Add news ingestion pipeline\n4. Enable source citations\n\n*This demo shows the interface is working perfectly! 🎉*`;
+  // Mock streaming response; stops early, as interrupted, once signal aborts
+  async getMockStreamingResponse(message, onChunk, signal) {
+    const fullResponse = `I understand you're asking about: "${message}"\n\nThis is a **streaming demo response** to show how the real-time chat interface works.\n\n### How Streaming Works:\n- Messages are sent in real-time chunks\n- You see the response being "typed" out\n- Provides better user experience\n- Reduces perceived latency\n\n### Next Steps:\n1. Configure an LLM provider for AI responses\n2. Set up vector database for RAG functionality\n3. Add news ingestion pipeline\n4. Enable source citations\n\n*This demo shows the interface is working perfectly! 🎉*`;
 
     const words = fullResponse.split(" ");
     let currentText = "";
 
     for (let i = 0; i < words.length; i++) {
+      if (signal?.aborted) break;
       currentText += (i > 0 ? " " : "") + words[i];
       onChunk(words[i] + (i < words.length - 1 ? " " : ""));
 
@@ -199,26 +765,26 @@ Please provide a comprehensive response using the news context above when releva
         setTimeout(resolve, 50 + Math.random() * 100),
       );
     }
+
+    if (signal?.aborted) {
+      return { interrupted: true };
+    }
   }
 
   // Health check for the service
   async healthCheck() {
     try {
-      if (!this.model) {
+      if (!this.llm) {
         return {
           status: "degraded",
-          message: "AI model not initialized - missing API key",
+          message: `LLM provider "${this.providerName}" not initialized - check its configuration`,
         };
       }
 
-      // Test with a simple prompt
-      const result = await this.model.generateContent("Hello");
-      const response = await result.response;
-
       return {
-        status: "healthy",
-        message: "AI service is working correctly",
-        testResponse: response.text().substring(0, 50) + "...",
+        provider: this.llm.name,
+        model: this.llm.model,
+        ...(await this.llm.healthCheck()),
       };
     } catch (error) {
       return {
@@ -0,0 +1,244 @@
+import { v4 as uuidv4 } from "uuid";
+import logger from "../utils/logger.js";
+import { ChatService } from "./chatService.js";
+import { getSessionManager } from "./sessionManager.js";
+import { getSessionSummarizer } from "./sessionSummarizer.js";
+
+// Earlier messages sent to the model as conversation history
+const HISTORY_LIMIT = 50;
+
+// Replace the part of history the session summary covers with the summary.
+// Returns { history, summary }; summary is null unless history reaches back
+// to the summary's last message, i.e. the turn continues the summarised
+// branch.
+async function withSummary(sessionId, history) {
+  const sessionData = await getSessionManager().getSession(sessionId);
+  const summary = sessionData?.summary;
+  const index = summary
+    ? history.findIndex((message) => message.id === summary.throughMessageId)
+    : -1;
+
+  if (index === -1) {
+    return { history, summary: null };
+  }
+  return { history: history.slice(index + 1), summary: summary.text };
+}
+
+// Work out what a turn answers, before anything is stored or streamed.
+// options.mode:
+//   "send"       chat.message continues the active branch
+//   "regenerate" answers the user message before options.messageId (an
+//                assistant message; default the latest on the active branch)
+//                again, as a new reply next to the existing ones
+//   "edit"       chat.message replaces the user message options.messageId,
+//                starting a new branch at that point
+// Returns { error, status } when the turn can't be run, otherwise
+// { message, history, summary, userMessage, parentId }: summary is the
+// rolling summary of what precedes history (or null), userMessage the user
+// message to store (null when regenerating) and parentId the message the
+// answer follows.
+export async function prepareTurn(chat, options = {}) {
+  const sessionManager = getSessionManager();
+  const { sessionId } = chat;
+  const mode = options.mode || "send";
+
+  if (mode === "send") {
+    // Earlier turns, read before the new message is stored
+    const history = await sessionManager.getMessages(sessionId, {
+      limit: HISTORY_LIMIT,
+    });
+    const userMessage = {
+      id: uuidv4(),
+      parentId: history.at(-1)?.id ?? null,
+      role: "user",
+      content: chat.message,
+      timestamp: new Date().toISOString(),
+    };
+    return {
+      message: chat.message,
+      ...(await withSummary(sessionId, history)),
+      userMessage,
+      parentId: userMessage.id,
+    };
+  }
+
+  if (
+    (options.messageId !== undefined || mode === "edit") &&
+    (typeof options.messageId !== "string" || options.messageId.length === 0)
+  ) {
+    return { error: "messageId must be a non-empty string", status: 400 };
+  }
+
+  let target;
+  if (options.messageId) {
+    target = await sessionManager.getMessage(sessionId, options.messageId);
+  } else if (mode === "regenerate") {
+    // The latest reply on the active branch, or its last question when that
+    // was never answered
+    const [last] = await sessionManager.getMessages(sessionId, { limit: 1 });
+    target = last;
+  }
+
+  if (!target) {
+    return { error: "Message not found", status: 404 };
+  }
+
+  if (mode === "regenerate") {
+    const userMessage =
+      target.role === "user"
+        ? target
+        : target.parentId &&
+          (await sessionManager.getMessage(sessionId, target.parentId));
+    if (!userMessage || userMessage.role !== "user") {
+      return {
+        error: "No user message to regenerate a reply for",
+        status: 400,
+      };
+    }
+
+    const history = await sessionManager.getBranch(
+      sessionId,
+      userMessage.parentId,
+      { limit: HISTORY_LIMIT },
+    );
+    return {
+      message: userMessage.content,
+      ...(await withSummary(sessionId, history)),
+      userMessage: null,
+      parentId: userMessage.id,
+    };
+  }
+
+  if (target.role !== "user") {
+    return { error: "Only user messages can be edited", status: 400 };
+  }
+
+  const userMessage = {
+    id: uuidv4(),
+    parentId: target.parentId ?? null,
+    role: "user",
+    content: chat.message,
+    timestamp: new Date().toISOString(),
+    editedFrom: target.id,
+  };
+  const history = await sessionManager.getBranch(sessionId, target.parentId, {
+    limit: HISTORY_LIMIT,
+  });
+  return {
+    message: chat.message,
+    ...(await withSummary(sessionId, history)),
+    userMessage,
+    parentId: userMessage.id,
+  };
+}
+
+// Runs one streamed chat turn against a session: stores the user message,
+// streams the answer through onEvent(event, data) and stores the outcome.
+// Shared by the SSE and WebSocket transports so both leave the same history.
+//
+// chat: validated request ({ sessionId, message, provider, model, filters,
+// retrieval }). options.turn is what prepareTurn returned; without it
+// chat.message continues the active branch.
+export async function runStreamingTurn(chat, options = {}) {
+  const sessionManager = getSessionManager();
+  const { sessionId, provider, model } = chat;
+  const messageId = options.messageId || uuidv4();
+  const emit = options.onEvent || (() => {});
+
+  const turn = options.turn || (await prepareTurn(chat));
+  if (turn.error) {
+    throw new Error(turn.error);
+  }
+
+  const { message, history, summary, userMessage, parentId } = turn;
+  if (userMessage) {
+    await sessionManager.addMessage(sessionId, userMessage);
+  }
+
+  emit("status", {
+    status: "processing",
+    message: "Processing your message...",
+    messageId,
+    sessionId,
+    parentId,
+  });
+
+  let fullContent = "";
+
+  // Stream response (new instance per request)
+  const chatService = new ChatService({ provider, model });
+  const streamResult = await chatService.generateStreamingResponse(
+    sessionId,
+    message,
+    (chunk) => {
+      fullContent += chunk;
+      emit("chunk", { messageId, delta: chunk });
+    },
+    {
+      history,
+      summary,
+      filters: chat.filters,
+      retrieval: chat.retrieval,
+      signal: options.signal,
+    },
+  );
+
+  if (streamResult?.interrupted) {
+    // Keep what was streamed so the session shows where it stopped
+    const interruptedMessage = {
+      id: messageId,
+      parentId,
+      role: "assistant",
+      content: fullContent,
+      status: "interrupted",
+      timestamp: new Date().toISOString(),
+      provider: streamResult.provider,
+      model: streamResult.model,
+      timeWindow: streamResult.timeWindow || null,
+    };
+    await sessionManager.addMessage(sessionId, interruptedMessage);
+
+    logger.info("Streaming chat interrupted", {
+      sessionId: sessionId.substring(0, 8),
+      streamedLength: fullContent.length,
+    });
+
+    emit("interrupted", { messageId, content: fullContent });
+    return { message: interruptedMessage, interrupted: true };
+  }
+
+  // Citations are resolved once the full answer is known
+  const sources = streamResult?.sources || [];
+  const citations = streamResult?.citations || [];
+  emit("sources", { messageId, sources, citations });
+
+  const assistantMessage = {
+    id: messageId,
+    parentId,
+    role: "assistant",
+    content: streamResult?.content ?? fullContent,
+    status: "complete",
+    timestamp: new Date().toISOString(),
+    sources,
+    citations,
+    provider: streamResult?.provider,
+    model: streamResult?.model,
+    promptVersion: streamResult?.promptVersion || null,
+    timeWindow: streamResult?.timeWindow || null,
+    grounding: streamResult?.grounding || null,
+  };
+
+  await sessionManager.addMessage(sessionId, assistantMessage);
+  getSessionSummarizer().schedule(sessionId);
+
+  emit("complete", {
+    messageId,
+    content: assistantMessage.content,
+    timeWindow: assistantMessage.timeWindow,
+    grounding: assistantMessage.grounding,
+    usage: streamResult?.usage,
+    done: true,
+  });
+
+  return { message: assistantMessage, interrupted: false };
+}
@@ -0,0 +1,334 @@
+import { getPostgresPool, getRedisClient } from "../config/services.js";
+import logger from "../utils/logger.js";
+
+export const FEEDBACK_RATINGS = ["up", "down"];
+export const FEEDBACK_REASONS = [
+  "accurate",
+  "helpful",
+  "well_sourced",
+  "inaccurate",
+  "outdated",
+  "irrelevant_sources",
+  "missing_sources",
+  "incomplete",
+  "other",
+];
+export const MAX_FEEDBACK_COMMENT_LENGTH = 1000;
+
+// Without Postgres: one hash, field per rating (see feedbackKey)
+const REDIS_KEY = "feedback";
+
+// Process-local fallback when neither Postgres nor Redis is available
+const memoryFeedback = new Map();
+
+function feedbackKey(sessionId, messageId, userId) {
+  return JSON.stringify([sessionId, messageId, userId]);
+}
+
+function distinct(values) {
+  return [...new Set(values.filter(Boolean))];
+}
+
+// Rating of an assistant message by one user, with what the answer was built
+// from: the prompt version and the chunks in its prompt. feedback is the
+// validated { rating, reason, comment }.
+export function buildFeedbackRecord(sessionId, message, userId, feedback) {
+  const sources = message.sources || [];
+  const now = new Date().toISOString();
+
+  return {
+    sessionId,
+    messageId: message.id,
+    userId,
+    rating: feedback.rating,
+    reason: feedback.reason || null,
+    comment: feedback.comment || null,
+    promptVersion: message.promptVersion || null,
+    provider: message.provider || null,
+    model: message.model || null,
+    sources: distinct(sources.map((source) => source.source)),
+    topics: distinct(sources.map((source) => source.category)),
+    chunks: sources.map((source) => ({
+      chunkId: source.chunkId ?? null,
+      source: source.source ?? null,
+      category: source.category ?? null,
+      score: source.score ?? null,
+      fusionScore: source.fusionScore ?? null,
+      rerankScore: source.rerankScore ?? null,
+      cited: !!source.cited,
+    })),
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+// What a user sees of their own rating next to the message
+function publicFeedback(record) {
+  return {
+    rating: record.rating,
+    reason: record.reason,
+    comment: record.comment,
+    updatedAt: record.updatedAt,
+  };
+}
+
+function withRate({ count, up, ...group }) {
+  return {
+    ...group,
+    count,
+    up,
+    down: count - up,
+    upRate: count > 0 ? Math.round((up / count) * 1000) / 1000 : null,
+  };
+}
+
+function byCount(a, b) {
+  return b.count - a.count;
+}
+
+// Aggregate feedback records the same way the SQL in FeedbackService.stats
+// does: a rating counts once for every source and topic its answer drew on
+export function summarizeFeedback(records) {
+  const total = { count: 0, up: 0 };
+  const groups = {
+    source: new Map(),
+    topic: new Map(),
+    promptVersion: new Map(),
+  };
+  const reasons = new Map();
+
+  const add = (dimension, key, record) => {
+    const group = groups[dimension].get(key) || {
+      [dimension]: key,
+      count: 0,
+      up: 0,
+    };
+    group.count++;
+    group.up += record.rating === "up" ? 1 : 0;
+    groups[dimension].set(key, group);
+  };
+
+  for (const record of records) {
+    total.count++;
+    total.up += record.rating === "up" ? 1 : 0;
+    record.sources.forEach((source) => add("source", source, record));
+    record.topics.forEach((topic) => add("topic", topic, record));
+    add("promptVersion", record.promptVersion || "unknown", record);
+    if (record.reason) {
+      reasons.set(record.reason, (reasons.get(record.reason) || 0) + 1);
+    }
+  }
+
+  const list = (dimension) =>
+    [...groups[dimension].values()].map(withRate).sort(byCount);
+
+  return {
+    total: withRate(total),
+    bySource: list("source"),
+    byTopic: list("topic"),
+    byPromptVersion: list("promptVersion"),
+    reasons: [...reasons]
+      .map(([reason, count]) => ({ reason, count }))
+      .sort(byCount),
+  };
+}
+
+function inRange(record, { from, to }) {
+  return (!from || record.updatedAt >= from) && (!to || record.updatedAt <= to);
+}
+
+// Stores message feedback in Postgres when DATABASE_URL is set, otherwise in
+// Redis (in memory without Redis), and reports aggregate quality.
+export class FeedbackService {
+  // Store the record, replacing the user's earlier rating of the message.
+  // Returns it with the original createdAt.
+  async record(record) {
+    const pool = getPostgresPool();
+    if (pool) {
+      const { rows } = await pool.query(
+        `INSERT INTO message_feedback
+           (session_id, message_id, user_id, rating, reason, comment,
+            prompt_version, provider, model, sources, topics, chunks)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         ON CONFLICT (session_id, message_id, user_id) DO UPDATE
+         SET rating = EXCLUDED.rating,
+             reason = EXCLUDED.reason,
+             comment = EXCLUDED.comment,
+             updated_at = now()
+         RETURNING created_at, updated_at`,
+        [
+          record.sessionId,
+          record.messageId,
+          record.userId,
+          record.rating,
+          record.reason,
+          record.comment,
+          record.promptVersion,
+          record.provider,
+          record.model,
+          record.sources,
+          record.topics,
+          JSON.stringify(record.chunks),
+        ],
+      );
+      return {
+        ...record,
+        createdAt: new Date(rows[0].created_at).toISOString(),
+        updatedAt: new Date(rows[0].updated_at).toISOString(),
+      };
+    }
+
+    const key = feedbackKey(record.sessionId, record.messageId, record.userId);
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        const existing = await redis.hget(REDIS_KEY, key);
+        const stored = existing
+          ? { ...record, createdAt: JSON.parse(existing).createdAt }
+          : record;
+        await redis.hset(REDIS_KEY, key, JSON.stringify(stored));
+        return stored;
+      } catch (error) {
+        logger.warn("Failed to store feedback in Redis", {
+          error: error.message,
+        });
+      }
+    }
+
+    const stored = {
+      ...record,
+      createdAt: memoryFeedback.get(key)?.createdAt || record.createdAt,
+    };
+    memoryFeedback.set(key, stored);
+    return stored;
+  }
+
+  // The user's ratings of the given messages: messageId -> feedback
+  async getForMessages(sessionId, messageIds, userId) {
+    const feedback = new Map();
+    if (messageIds.length === 0) {
+      return feedback;
+    }
+
+    const pool = getPostgresPool();
+    if (pool) {
+      const { rows } = await pool.query(
+        `SELECT message_id, rating, reason, comment, updated_at
+         FROM message_feedback
+         WHERE session_id = $1 AND user_id = $2 AND message_id = ANY($3::text[])`,
+        [sessionId, userId, messageIds],
+      );
+      for (const row of rows) {
+        feedback.set(row.message_id, {
+          rating: row.rating,
+          reason: row.reason,
+          comment: row.comment,
+          updatedAt: new Date(row.updated_at).toISOString(),
+        });
+      }
+      return feedback;
+    }
+
+    const keys = messageIds.map((id) => feedbackKey(sessionId, id, userId));
+    let records = keys.map((key) => memoryFeedback.get(key));
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        records = (await redis.hmget(REDIS_KEY, ...keys)).map(
+          (value) => value && JSON.parse(value),
+        );
+      } catch (error) {
+        logger.warn("Failed to read feedback from Redis", {
+          error: error.message,
+        });
+      }
+    }
+
+    records.forEach((record, index) => {
+      if (record) {
+        feedback.set(messageIds[index], publicFeedback(record));
+      }
+    });
+    return feedback;
+  }
+
+  // Ratings updated within { from, to } (ISO strings, both optional), by
+  // source, topic and prompt version; see summarizeFeedback
+  async stats(range = {}) {
+    const pool = getPostgresPool();
+    if (pool) {
+      return this.statsFromPostgres(pool, range);
+    }
+
+    let records = [...memoryFeedback.values()];
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        records = (await redis.hvals(REDIS_KEY)).map((value) =>
+          JSON.parse(value),
+        );
+      } catch (error) {
+        logger.warn("Failed to read feedback from Redis", {
+          error: error.message,
+        });
+      }
+    }
+
+    return summarizeFeedback(
+      records.filter((record) => inRange(record, range)),
+    );
+  }
+
+  async statsFromPostgres(pool, { from, to }) {
+    const where = `($1::timestamptz IS NULL OR updated_at >= $1)
+      AND ($2::timestamptz IS NULL OR updated_at <= $2)`;
+    const counts = `count(*)::int AS count,
+      (count(*) FILTER (WHERE rating = 'up'))::int AS up`;
+    const values = [from || null, to || null];
+
+    const [total, bySource, byTopic, byPromptVersion, reasons] =
+      await Promise.all([
+        pool.query(
+          `SELECT ${counts} FROM message_feedback WHERE ${where}`,
+          values,
+        ),
+        pool.query(
+          `SELECT source, ${counts}
+           FROM message_feedback, unnest(sources) AS source
+           WHERE ${where}
+           GROUP BY source`,
+          values,
+        ),
+        pool.query(
+          `SELECT topic, ${counts}
+           FROM message_feedback, unnest(topics) AS topic
+           WHERE ${where}
+           GROUP BY topic`,
+          values,
+        ),
+        pool.query(
+          `SELECT COALESCE(prompt_version, 'unknown') AS "promptVersion", ${counts}
+           FROM message_feedback
+           WHERE ${where}
+           GROUP BY 1`,
+          values,
+        ),
+        pool.query(
+          `SELECT reason, count(*)::int AS count
+           FROM message_feedback
+           WHERE ${where} AND reason IS NOT NULL
+           GROUP BY reason`,
+          values,
+        ),
+      ]);
+
+    const list = (result) => result.rows.map(withRate).sort(byCount);
+    return {
+      total: withRate(total.rows[0]),
+      bySource: list(bySource),
+      byTopic: list(byTopic),
+      byPromptVersion: list(byPromptVersion),
+      reasons: reasons.rows.sort(byCount),
+    };
+  }
+}
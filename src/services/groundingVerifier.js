@@ -0,0 +1,218 @@
+import logger from "../utils/logger.js";
+import { tokenize } from "../utils/tokenize.js";
+import { CITATION_PATTERN } from "../utils/citations.js";
+
+const STATUS_WEIGHTS = { supported: 1, partial: 0.5, unsupported: 0 };
+
+// Sentences that make factual statements; headings, questions, hedges and
+// very short fragments are not checked
+const NON_CLAIM_PATTERN =
+  /^(i |i'm |sorry|unfortunately|please|note:|let me|feel free)|\b(no (news|relevant) (context|articles|information)|(could|can)(not|'t) find|do(es)? not (mention|cover|contain|include)|not (mentioned|covered) in)\b/i;
+
+export function splitClaims(answer, maxClaims = 20) {
+  const text = answer
+    .replace(/```[\s\S]*?```/g, " ")
+    .replace(/^#{1,6}\s.*$/gm, " ")
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, "")
+    .replace(/[*_`>]/g, "")
+    .replace(CITATION_PATTERN, "")
+    .replace(/\s+([.,;:!?])/g, "$1");
+
+  return text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((sentence) => sentence.trim())
+    .filter(
+      (sentence) =>
+        sentence.split(/\s+/).length >= 5 &&
+        !sentence.endsWith("?") &&
+        !NON_CLAIM_PATTERN.test(sentence),
+    )
+    .slice(0, maxClaims);
+}
+
+function extractNumbers(text) {
+  return (text.match(/\d[\d,.]*%?/g) || []).map((n) =>
+    n.replace(/[,.]+$/, "").replace(/,/g, ""),
+  );
+}
+
+// Lexical check: share of the claim's terms found in its best-matching chunk,
+// with any figures in the claim required to appear verbatim
+export class HeuristicGroundingVerifier {
+  constructor() {
+    this.name = "heuristic";
+  }
+
+  async verify(claims, context) {
+    const chunks = context.map((ctx) => {
+      const text = `${ctx.metadata?.title || ""} ${ctx.content || ""}`;
+      return {
+        terms: new Set(tokenize(text)),
+        numbers: new Set(extractNumbers(text)),
+      };
+    });
+
+    return claims.map((claim) => {
+      const claimTerms = [...new Set(tokenize(claim))];
+      const claimNumbers = extractNumbers(claim);
+      let best = { score: 0, sourceIndex: null };
+
+      chunks.forEach((chunk, index) => {
+        if (claimTerms.length === 0) return;
+        const hits = claimTerms.filter((term) => chunk.terms.has(term)).length;
+        let score = hits / claimTerms.length;
+        if (claimNumbers.some((n) => !chunk.numbers.has(n))) {
+          score *= 0.5;
+        }
+        if (score > best.score) {
+          best = { score, sourceIndex: index + 1 };
+        }
+      });
+
+      const status =
+        best.score >= 0.6
+          ? "supported"
+          : best.score >= 0.35
+            ? "partial"
+            : "unsupported";
+
+      return {
+        text: claim,
+        status,
+        score: Number(best.score.toFixed(3)),
+        sourceIndex: status === "unsupported" ? null : best.sourceIndex,
+      };
+    });
+  }
+}
+
+// Ask the LLM to judge each claim against the numbered sources
+export class LLMGroundingVerifier {
+  constructor(options = {}) {
+    this.name = "llm";
+    this.llm = options.llm;
+  }
+
+  async verify(claims, context) {
+    if (!this.llm) {
+      throw new Error("LLM grounding verifier requires an LLM provider");
+    }
+
+    const sources = context
+      .map(
+        (ctx, index) =>
+          `[${index + 1}] ${ctx.metadata?.title || ""}\n${(ctx.content || "").substring(0, 600)}`,
+      )
+      .join("\n\n");
+    const numberedClaims = claims
+      .map((claim, index) => `${index + 1}. ${claim}`)
+      .join("\n");
+
+    const prompt = `Check each claim against the news sources. A claim is "supported" if a source states it, "partial" if a source only supports part of it, and "unsupported" otherwise.
+
+Sources:
+${sources}
+
+Claims:
+${numberedClaims}
+
+Respond with only a JSON array with one object per claim, in order: [{"status": "supported" | "partial" | "unsupported", "source": <source number or null>}]`;
+
+    const { text } = await this.llm.generate(prompt, {
+      task: "verify",
+      temperature: 0,
+    });
+
+    const match = text.match(/\[[\s\S]*\]/);
+    const verdicts = match ? JSON.parse(match[0]) : null;
+    if (!Array.isArray(verdicts) || verdicts.length !== claims.length) {
+      throw new Error("LLM verifier returned an unexpected verdict list");
+    }
+
+    return claims.map((claim, index) => {
+      const status = Object.hasOwn(STATUS_WEIGHTS, verdicts[index]?.status)
+        ? verdicts[index].status
+        : "unsupported";
+      const source = Number(verdicts[index]?.source);
+      return {
+        text: claim,
+        status,
+        score: STATUS_WEIGHTS[status],
+        sourceIndex:
+          status !== "unsupported" && source >= 1 && source <= context.length
+            ? source
+            : null,
+      };
+    });
+  }
+}
+
+// Splits an answer into claims, checks them against the retrieved chunks and
+// summarises the result as an overall confidence
+export class GroundingVerifier {
+  constructor(options = {}) {
+    const name =
+      options.verifier || process.env.GROUNDING_VERIFIER || "heuristic";
+    this.fallback = new HeuristicGroundingVerifier();
+    this.verifier =
+      name === "llm" ? new LLMGroundingVerifier(options) : this.fallback;
+    this.minConfidence = parseFloat(
+      process.env.GROUNDING_MIN_CONFIDENCE || "0.6",
+    );
+  }
+
+  async verify(answer, context = []) {
+    const claims = splitClaims(answer || "");
+    if (claims.length === 0) {
+      return this.summarize([], this.verifier.name);
+    }
+
+    if (context.length === 0) {
+      return this.summarize(
+        claims.map((text) => ({
+          text,
+          status: "unsupported",
+          score: 0,
+          sourceIndex: null,
+        })),
+        this.verifier.name,
+      );
+    }
+
+    try {
+      const results = await this.verifier.verify(claims, context);
+      return this.summarize(results, this.verifier.name);
+    } catch (error) {
+      logger.warn(
+        `${this.verifier.name} grounding check failed, using heuristic`,
+        {
+          error: error.message,
+        },
+      );
+      const results = await this.fallback.verify(claims, context);
+      return this.summarize(results, this.fallback.name);
+    }
+  }
+
+  summarize(claims, verifier) {
+    const counts = { supported: 0, partial: 0, unsupported: 0 };
+    claims.forEach((claim) => {
+      counts[claim.status] += 1;
+    });
+
+    // Answers with nothing to check (greetings, refusals) are not penalised
+    const confidence =
+      claims.length === 0
+        ? 1
+        : claims.reduce((sum, claim) => sum + STATUS_WEIGHTS[claim.status], 0) /
+          claims.length;
+
+    return {
+      verifier,
+      confidence: Number(confidence.toFixed(3)),
+      grounded: counts.unsupported === 0 && confidence >= this.minConfidence,
+      counts,
+      claims,
+    };
+  }
+}
@@ -1,6 +1,52 @@
 import axios from "axios";
 import * as cheerio from "cheerio";
 import logger from "../utils/logger.js";
+import { getKeywordIndex } from "./keywordIndex.js";
+
+// Display names for feed hosts; anything else falls back to its hostname
+const SOURCE_NAMES = {
+  "bbc.co.uk": "BBC News",
+  "bbci.co.uk": "BBC News",
+  "cnn.com": "CNN",
+  "reuters.com": "Reuters",
+  "nytimes.com": "New York Times",
+  "theguardian.com": "The Guardian",
+  "apnews.com": "Associated Press",
+  "npr.org": "NPR",
+  "nbcnews.com": "NBC News",
+  "cbsnews.com": "CBS News",
+  "foxnews.com": "Fox News",
+  "aljazeera.com": "Al Jazeera",
+  "dw.com": "Deutsche Welle",
+  "spiegel.de": "Der Spiegel",
+  "france24.com": "France 24",
+  "lemonde.fr": "Le Monde",
+  "nhk.or.jp": "NHK",
+  "japantimes.co.jp": "The Japan Times",
+  "thehindu.com": "The Hindu",
+  "timesofindia.indiatimes.com": "Times of India",
+  "cbc.ca": "CBC News",
+  "abc.net.au": "ABC News (Australia)",
+  "techcrunch.com": "TechCrunch",
+  "theverge.com": "The Verge",
+};
+
+// Feed path segments that map onto a normalized category
+const CATEGORY_KEYWORDS = {
+  politics: ["politics", "politik", "elections"],
+  business: ["business", "wirtschaft", "economy", "markets", "money"],
+  technology: ["technology", "technologie", "tech"],
+  health: ["health", "gesundheit"],
+  science: ["science", "wissenschaft", "environment"],
+  sports: ["sports", "sport"],
+  entertainment: ["entertainment", "arts", "kultur", "culture"],
+  world: ["world", "international"],
+  opinion: ["opinion", "commentisfree"],
+  education: ["education"],
+  lifestyle: ["lifestyle", "leben", "travel"],
+};
+
+const COUNTRY_LANGUAGES = { de: "de", fr: "fr", jp: "ja", br: "pt" };
 
 export class IngestionService {
   constructor() {
@@ -92,6 +138,9 @@ export class IngestionService {
         content: article.content || article.description || "",
         url: article.url,
         source: article.source?.name || "NewsAPI",
+        country: "us",
+        category: "general",
+        language: "en",
         publishedAt: new Date(article.publishedAt),
         author: article.author,
         description: article.description,
@@ -109,6 +158,9 @@ export class IngestionService {
         content: article.fields?.bodyText || "",
         url: article.webUrl,
         source: "The Guardian",
+        country: "uk",
+        category: this.normalizeCategory(article.sectionId || ""),
+        language: "en",
         publishedAt: new Date(article.webPublicationDate),
         author: article.fields?.byline,
         description: article.fields?.trailText,
@@ -626,6 +678,19 @@ export class IngestionService {
       .map((c) => c.trim().toLowerCase())
       .filter(Boolean);
 
+    // Remember which country list each feed came from for filtering
+    const feedCountries = new Map();
+    Object.entries(feedsByCountry).forEach(([code, feeds]) => {
+      feeds.forEach((feedUrl) => {
+        if (!feedCountries.has(feedUrl)) {
+          feedCountries.set(
+            feedUrl,
+            code === "world" || code === "tech" ? "international" : code,
+          );
+        }
+      });
+    });
+
     let rssFeeds = [];
     if (envFeeds.length > 0) {
       rssFeeds = envFeeds;
@@ -655,6 +720,15 @@ export class IngestionService {
         const $ = cheerio.load(response.data, { xmlMode: true });
         let countForFeed = 0;
 
+        const country = feedCountries.get(feedUrl) || null;
+        const category = this.normalizeCategory(feedUrl);
+        const feedLanguage = $("channel > language").first().text().trim();
+        const language = feedLanguage
+          ? feedLanguage.slice(0, 2).toLowerCase()
+          : /\/en\/|\/international\//.test(feedUrl)
+            ? "en"
+            : COUNTRY_LANGUAGES[country] || "en";
+
         $("item").each((i, item) => {
           if (countForFeed >= maxPerFeed || articles.length >= maxTotal)
             return false;
@@ -671,6 +745,9 @@ export class IngestionService {
               content: description || title,
               url: link,
               source: this.extractSourceFromURL(feedUrl),
+              country,
+              category,
+              language,
               publishedAt: new Date(pubDate || Date.now()),
               author: null,
               description: description || title,
@@ -693,10 +770,27 @@ export class IngestionService {
   }
 
   extractSourceFromURL(url) {
-    if (url.includes("bbc")) return "BBC News";
-    if (url.includes("cnn")) return "CNN";
-    if (url.includes("reuters")) return "Reuters";
-    return "RSS Feed";
+    try {
+      const hostname = new URL(url).hostname.replace(
+        /^(www\d*|feeds|rss)\./,
+        "",
+      );
+      const known = Object.keys(SOURCE_NAMES).find(
+        (host) => hostname === host || hostname.endsWith(`.${host}`),
+      );
+      return known ? SOURCE_NAMES[known] : hostname;
+    } catch {
+      return "RSS Feed";
+    }
+  }
+
+  // Map a feed URL or section id onto one of CATEGORY_KEYWORDS
+  normalizeCategory(value) {
+    const segments = value.toLowerCase().split(/[^a-z]+/);
+    const match = Object.entries(CATEGORY_KEYWORDS).find(([, keywords]) =>
+      keywords.some((keyword) => segments.includes(keyword)),
+    );
+    return match ? match[0] : "general";
   }
 
   removeDuplicates(articles) {
@@ -732,8 +826,16 @@ export class IngestionService {
       // Combine title and content for better context
       const fullContent = `${article.title}\n\n${article.content}`;
       const chunks = this.chunkContent(fullContent);
+      let searchFrom = 0;
 
       chunks.forEach((chunk, index) => {
+        // Character offset of the chunk within title + content, so citations
+        // can point into the article
+        const offset = fullContent.indexOf(chunk, searchFrom);
+        if (offset >= 0) {
+          searchFrom = offset + 1;
+        }
+
         processedChunks.push({
           id: `${article.url}-${index}`,
           content: chunk,
@@ -741,12 +843,19 @@ export class IngestionService {
             title: article.title,
             url: article.url,
             source: article.source,
+            sourceKey: (article.source || "").toLowerCase(),
+            country: article.country || null,
+            category: article.category || "general",
+            language: article.language || "en",
             publishedAt: article.publishedAt.toISOString(),
+            publishedTs: article.publishedAt.getTime(), // For range filters
             author: article.author,
             description: article.description,
             image: article.image,
             chunkIndex: index,
             totalChunks: chunks.length,
+            chunkOffset: offset >= 0 ? offset : null,
+            chunkLength: chunk.length,
           },
         });
       });
@@ -755,6 +864,15 @@ export class IngestionService {
     logger.info(
       `Processed ${articles.length} articles into ${processedChunks.length} chunks`,
     );
+
+    // Keep the BM25 index in step with the chunks sent to Qdrant
+    if (process.env.HYBRID_SEARCH !== "false") {
+      const keywordIndex = getKeywordIndex();
+      await keywordIndex.load();
+      keywordIndex.addDocuments(processedChunks);
+      await keywordIndex.save();
+    }
+
     return processedChunks;
   }
 }
@@ -0,0 +1,210 @@
+import { promises as fs } from "fs";
+import { dirname, resolve } from "path";
+import logger from "../utils/logger.js";
+import { tokenize } from "../utils/tokenize.js";
+
+// BM25 keyword index over the same chunks stored in Qdrant, persisted as JSON
+export class KeywordIndexService {
+  constructor(options = {}) {
+    this.indexPath = resolve(
+      options.indexPath ||
+        process.env.KEYWORD_INDEX_PATH ||
+        "data/keyword-index.json",
+    );
+    this.k1 = parseFloat(process.env.BM25_K1 || "1.2");
+    this.b = parseFloat(process.env.BM25_B || "0.75");
+    this.documents = new Map();
+    this.postings = new Map();
+    this.totalLength = 0;
+    this.loadedMtime = null;
+  }
+
+  addDocuments(chunks) {
+    for (const chunk of chunks) {
+      if (!chunk.id || !chunk.content) continue;
+
+      this.removeDocument(chunk.id);
+
+      const termFrequencies = {};
+      const terms = tokenize(chunk.content);
+      for (const term of terms) {
+        termFrequencies[term] = (termFrequencies[term] || 0) + 1;
+      }
+
+      this.indexDocument({
+        id: chunk.id,
+        content: chunk.content,
+        metadata: chunk.metadata || {},
+        length: terms.length,
+        terms: termFrequencies,
+      });
+    }
+
+    logger.info(`Keyword index now holds ${this.documents.size} chunks`);
+  }
+
+  indexDocument(doc) {
+    this.documents.set(doc.id, doc);
+    this.totalLength += doc.length;
+    for (const term of Object.keys(doc.terms)) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+      }
+      this.postings.get(term).add(doc.id);
+    }
+  }
+
+  removeDocument(id) {
+    const existing = this.documents.get(id);
+    if (!existing) return;
+
+    this.totalLength -= existing.length;
+    for (const term of Object.keys(existing.terms)) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+    this.documents.delete(id);
+  }
+
+  matchesFilters(doc, options) {
+    const keywordFilters = {
+      sourceKey: options.sources,
+      country: options.countries,
+      category: options.categories,
+      language: options.languages,
+    };
+
+    for (const [key, values] of Object.entries(keywordFilters)) {
+      if (!Array.isArray(values) || values.length === 0) continue;
+      const value =
+        key === "sourceKey"
+          ? (doc.metadata.source || "").toLowerCase()
+          : doc.metadata[key];
+      if (!values.includes(value)) return false;
+    }
+
+    if (options.dateRange) {
+      const { from, to } = options.dateRange;
+      const published =
+        doc.metadata.publishedTs ?? Date.parse(doc.metadata.publishedAt);
+      if (Number.isNaN(published)) return false;
+      if (from && published < Date.parse(from)) return false;
+      if (to && published > Date.parse(to)) return false;
+    }
+    return true;
+  }
+
+  // Score chunks against the query with Okapi BM25; options mirror the
+  // vector store filters (dateRange, sources, countries, ...)
+  search(query, limit = 5, options = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const docCount = this.documents.size;
+    if (queryTerms.length === 0 || docCount === 0) {
+      return [];
+    }
+
+    const avgLength = this.totalLength / docCount || 1;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(
+        1 + (docCount - posting.size + 0.5) / (posting.size + 0.5),
+      );
+
+      for (const id of posting) {
+        const doc = this.documents.get(id);
+        if (!this.matchesFilters(doc, options)) continue;
+        const tf = doc.terms[term];
+        const norm = this.k1 * (1 - this.b + (this.b * doc.length) / avgLength);
+        const termScore = (idf * tf * (this.k1 + 1)) / (tf + norm);
+        scores.set(id, (scores.get(id) || 0) + termScore);
+      }
+    }
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([id, score]) => {
+        const doc = this.documents.get(id);
+        return {
+          id,
+          score,
+          content: doc.content,
+          metadata: { ...doc.metadata, chunkId: id },
+        };
+      });
+  }
+
+  // Drop every chunk and persist the empty index
+  async clear() {
+    this.documents = new Map();
+    this.postings = new Map();
+    this.totalLength = 0;
+    return this.save();
+  }
+
+  // Reload from disk when another process (the ingest script) rewrote the file
+  async load() {
+    try {
+      const stats = await fs.stat(this.indexPath);
+      if (this.loadedMtime === stats.mtimeMs) {
+        return true;
+      }
+
+      const data = JSON.parse(await fs.readFile(this.indexPath, "utf8"));
+      this.documents = new Map();
+      this.postings = new Map();
+      this.totalLength = 0;
+      (data.documents || []).forEach((doc) => this.indexDocument(doc));
+      this.loadedMtime = stats.mtimeMs;
+
+      logger.info(`Loaded keyword index with ${this.documents.size} chunks`);
+      return true;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.error("Failed to load keyword index:", error);
+      }
+      return false;
+    }
+  }
+
+  async save() {
+    try {
+      await fs.mkdir(dirname(this.indexPath), { recursive: true });
+      const tmpPath = `${this.indexPath}.tmp`;
+      await fs.writeFile(
+        tmpPath,
+        JSON.stringify({
+          version: 1,
+          updatedAt: new Date().toISOString(),
+          documents: [...this.documents.values()],
+        }),
+      );
+      await fs.rename(tmpPath, this.indexPath);
+      this.loadedMtime = (await fs.stat(this.indexPath)).mtimeMs;
+
+      logger.info(`Saved keyword index to ${this.indexPath}`);
+      return true;
+    } catch (error) {
+      logger.error("Failed to save keyword index:", error);
+      return false;
+    }
+  }
+}
+
+let sharedIndex = null;
+
+// Shared instance so request-scoped services don't re-read the file
+export function getKeywordIndex() {
+  if (!sharedIndex) {
+    sharedIndex = new KeywordIndexService();
+  }
+  return sharedIndex;
+}
@@ -0,0 +1,48 @@
+import { GeminiProvider } from "./geminiProvider.js";
+import { OpenAICompatibleProvider } from "./openAICompatibleProvider.js";
+import { StubProvider } from "./stubProvider.js";
+
+// Every provider implements the same surface:
+//   name, model, isAvailable()
+//   generate(prompt, options) -> { text, usage }
+//   generateStream(prompt, onChunk, options) -> { text, usage }
+//   healthCheck()
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  stub: StubProvider,
+};
+
+export function getDefaultProviderName() {
+  return (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+}
+
+export function isSupportedProvider(name) {
+  return (
+    typeof name === "string" && Object.hasOwn(PROVIDERS, name.toLowerCase())
+  );
+}
+
+export function listProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+// Create a provider by name; model and credentials fall back to env config.
+// LLM_MODEL only applies to the deployment's default provider.
+export function createLLMProvider(name = getDefaultProviderName(), options = {}) {
+  if (!isSupportedProvider(name)) {
+    throw new Error(
+      `Unsupported LLM provider: ${name}. Expected one of: ${listProviders().join(", ")}`,
+    );
+  }
+
+  const providerName = name.toLowerCase();
+  const Provider = PROVIDERS[providerName];
+  const model =
+    options.model ||
+    (providerName === getDefaultProviderName()
+      ? process.env.LLM_MODEL
+      : undefined);
+
+  return new Provider({ ...options, model: model || undefined });
+}
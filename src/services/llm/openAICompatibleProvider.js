@@ -0,0 +1,147 @@
+import axios from "axios";
+import logger from "../../utils/logger.js";
+
+// Adapter for any server exposing the OpenAI chat-completions API
+// (OpenAI, Ollama, llama.cpp, vLLM, LM Studio, ...)
+export class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = "openai";
+    this.baseURL = (
+      options.baseURL ||
+      process.env.OPENAI_COMPAT_BASE_URL ||
+      "http://localhost:11434/v1"
+    ).replace(/\/+$/, "");
+    this.apiKey = options.apiKey || process.env.OPENAI_COMPAT_API_KEY;
+    this.model =
+      options.model ||
+      process.env.OPENAI_COMPAT_MODEL ||
+      "llama3.1";
+    this.timeout = parseInt(process.env.OPENAI_COMPAT_TIMEOUT || "60000", 10);
+  }
+
+  isAvailable() {
+    return Boolean(this.baseURL);
+  }
+
+  buildRequest(prompt, options = {}, stream = false) {
+    const body = {
+      model: this.model,
+      messages: [{ role: "user", content: prompt }],
+      stream,
+    };
+    if (options.temperature !== undefined) {
+      body.temperature = options.temperature;
+    }
+    if (options.maxTokens !== undefined) {
+      body.max_tokens = options.maxTokens;
+    }
+    return body;
+  }
+
+  buildHeaders() {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  async generate(prompt, options = {}) {
+    const response = await axios.post(
+      `${this.baseURL}/chat/completions`,
+      this.buildRequest(prompt, options),
+      {
+        headers: this.buildHeaders(),
+        timeout: this.timeout,
+        signal: options.signal,
+      },
+    );
+
+    const choice = response.data?.choices?.[0];
+    if (!choice) {
+      throw new Error("Invalid response format from chat completions API");
+    }
+
+    return {
+      text: choice.message?.content || "",
+      usage: this.extractUsage(response.data.usage),
+    };
+  }
+
+  async generateStream(prompt, onChunk, options = {}) {
+    const response = await axios.post(
+      `${this.baseURL}/chat/completions`,
+      this.buildRequest(prompt, options, true),
+      {
+        headers: this.buildHeaders(),
+        timeout: this.timeout,
+        responseType: "stream",
+        signal: options.signal,
+      },
+    );
+
+    let text = "";
+    let usage = null;
+    let buffer = "";
+
+    for await (const data of response.data) {
+      buffer += data.toString("utf8");
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith("data:")) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === "[DONE]") continue;
+
+        try {
+          const parsed = JSON.parse(payload);
+          const delta = parsed.choices?.[0]?.delta?.content;
+          if (delta) {
+            text += delta;
+            onChunk(delta);
+          }
+          if (parsed.usage) {
+            usage = parsed.usage;
+          }
+        } catch (error) {
+          logger.debug("Skipping malformed stream line", {
+            line: trimmed.substring(0, 100),
+          });
+        }
+      }
+    }
+
+    return { text, usage: this.extractUsage(usage) };
+  }
+
+  extractUsage(usage) {
+    return {
+      promptTokens: usage?.prompt_tokens || 0,
+      completionTokens: usage?.completion_tokens || 0,
+      totalTokens: usage?.total_tokens || 0,
+    };
+  }
+
+  async healthCheck() {
+    try {
+      await axios.get(`${this.baseURL}/models`, {
+        headers: this.buildHeaders(),
+        timeout: 5000,
+      });
+      return {
+        status: "healthy",
+        message: "OpenAI-compatible endpoint is reachable",
+        baseURL: this.baseURL,
+      };
+    } catch (error) {
+      return {
+        status: "unhealthy",
+        message: "OpenAI-compatible endpoint error",
+        error: error.message,
+      };
+    }
+  }
+}
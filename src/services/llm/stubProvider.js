@@ -0,0 +1,94 @@
+// Deterministic local provider for development and tests: no network,
+// same prompt in, same text out
+export class StubProvider {
+  constructor(options = {}) {
+    this.name = "stub";
+    this.model = options.model || "stub-1";
+    // Delay between streamed words, to exercise slow streams locally
+    this.chunkDelay = parseInt(process.env.STUB_STREAM_DELAY_MS || "0", 10);
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  extractQuestion(prompt) {
+    const matches = [
+      ...prompt.matchAll(/^(?:User question|Follow-up question): (.*)$/gm),
+    ];
+    return matches.length > 0
+      ? matches[matches.length - 1][1].trim()
+      : prompt.trim().split("\n").pop();
+  }
+
+  respond(prompt, options = {}) {
+    const question = this.extractQuestion(prompt);
+
+    // Query rewriting: hand the question back unchanged
+    if (options.task === "condense") {
+      return question;
+    }
+
+    // Session summaries: the earlier summary plus the new questions
+    if (options.task === "summarize") {
+      const previous = prompt.match(/^Summary so far:\n(.*)$/m)[1];
+      const questions = [...prompt.matchAll(/^User: (.*)$/gm)].map((match) =>
+        match[1].trim(),
+      );
+      return [
+        ...(previous === "(none)" ? [] : [previous]),
+        `The user asked: ${questions.join("; ")}.`,
+      ].join(" ");
+    }
+
+    const sources = [...prompt.matchAll(/^\[Source (\d+): (.*)\]$/gm)];
+    let text = `**Stub response** (${this.model}) to: "${question}"`;
+
+    if (sources.length > 0) {
+      text += `\n\nRetrieved sources:\n`;
+      text += sources.map((match) => `- [${match[1]}] ${match[2]}`).join("\n");
+    } else {
+      text += `\n\nNo news context was retrieved for this question.`;
+    }
+
+    return text;
+  }
+
+  estimateUsage(prompt, text) {
+    const promptTokens = Math.ceil(prompt.length / 4);
+    const completionTokens = Math.ceil(text.length / 4);
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+    };
+  }
+
+  async generate(prompt, options = {}) {
+    const text = this.respond(prompt, options);
+    return { text, usage: this.estimateUsage(prompt, text) };
+  }
+
+  async generateStream(prompt, onChunk, options = {}) {
+    const text = this.respond(prompt, options);
+    const words = text.split(" ");
+    let streamed = "";
+
+    for (let i = 0; i < words.length; i++) {
+      if (options.signal?.aborted) break;
+      const chunk = words[i] + (i < words.length - 1 ? " " : "");
+      streamed += chunk;
+      onChunk(chunk);
+      await new Promise((resolve) => setTimeout(resolve, this.chunkDelay));
+    }
+
+    return { text: streamed, usage: this.estimateUsage(prompt, streamed) };
+  }
+
+  async healthCheck() {
+    return {
+      status: "healthy",
+      message: "Stub provider is always available",
+    };
+  }
+}
@@ -0,0 +1,202 @@
+import axios from "axios";
+import logger from "../utils/logger.js";
+import { tokenize } from "../utils/tokenize.js";
+
+// Every reranker exposes rerank(query, candidates) and resolves to the
+// candidates sorted by a new `rerankScore` in the 0..1 range.
+
+function sortByRerankScore(candidates, scores) {
+  return candidates
+    .map((candidate, index) => ({ ...candidate, rerankScore: scores[index] }))
+    .sort((a, b) => b.rerankScore - a.rerankScore);
+}
+
+function coverage(queryTerms, text) {
+  if (queryTerms.size === 0) return 0;
+  const terms = new Set(tokenize(text));
+  let hits = 0;
+  for (const term of queryTerms) {
+    if (terms.has(term)) hits += 1;
+  }
+  return hits / queryTerms.size;
+}
+
+// Local scorer: term overlap, title match, retrieval rank and recency
+export class HeuristicReranker {
+  constructor() {
+    this.name = "heuristic";
+  }
+
+  async rerank(query, candidates) {
+    const queryTerms = new Set(tokenize(query));
+    const now = Date.now();
+
+    const scores = candidates.map((candidate, index) => {
+      const metadata = candidate.metadata || {};
+      const termScore = coverage(queryTerms, candidate.content || "");
+      const titleScore = coverage(queryTerms, metadata.title || "");
+      const rankPrior = 1 - index / candidates.length;
+
+      const published = Date.parse(metadata.publishedAt);
+      const ageDays = Number.isNaN(published)
+        ? 30
+        : Math.max(0, (now - published) / 86400000);
+      const recency = Math.exp(-ageDays / 7);
+
+      return (
+        0.45 * termScore + 0.15 * titleScore + 0.25 * rankPrior + 0.15 * recency
+      );
+    });
+
+    return sortByRerankScore(candidates, scores);
+  }
+}
+
+// Cross-encoder behind an HTTP endpoint speaking the Jina/Cohere rerank
+// format: { query, documents } -> { results: [{ index, relevance_score }] }
+export class CrossEncoderReranker {
+  constructor(options = {}) {
+    this.name = "cross-encoder";
+    this.url =
+      options.url || process.env.RERANK_URL || "https://api.jina.ai/v1/rerank";
+    this.apiKey =
+      options.apiKey || process.env.RERANK_API_KEY || process.env.JINA_API_KEY;
+    this.model =
+      options.model ||
+      process.env.RERANK_MODEL ||
+      "jina-reranker-v1-base-en";
+  }
+
+  async rerank(query, candidates) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(
+      this.url,
+      {
+        model: this.model,
+        query,
+        documents: candidates.map((candidate) => candidate.content),
+        top_n: candidates.length,
+      },
+      { headers, timeout: 15000 },
+    );
+
+    const results = response.data?.results || response.data?.data;
+    if (!Array.isArray(results)) {
+      throw new Error("Invalid response format from rerank endpoint");
+    }
+
+    const scores = new Array(candidates.length).fill(0);
+    for (const result of results) {
+      const raw = result.relevance_score ?? result.score ?? 0;
+      // Some cross-encoders return logits; squash them into 0..1
+      scores[result.index] = raw >= 0 && raw <= 1 ? raw : 1 / (1 + Math.exp(-raw));
+    }
+
+    return sortByRerankScore(candidates, scores);
+  }
+}
+
+// Ask the chat LLM to grade each candidate's relevance from 0 to 10
+export class LLMReranker {
+  constructor(options = {}) {
+    this.name = "llm";
+    this.llm = options.llm;
+  }
+
+  async rerank(query, candidates) {
+    if (!this.llm) {
+      throw new Error("LLM reranker requires an LLM provider");
+    }
+
+    const passages = candidates
+      .map(
+        (candidate, index) =>
+          `[${index + 1}] ${candidate.metadata?.title || ""}\n${(candidate.content || "").substring(0, 400)}`,
+      )
+      .join("\n\n");
+
+    const prompt = `Rate how relevant each news passage is to the search query on a scale from 0 (irrelevant) to 10 (directly answers it).
+
+Query: ${query}
+
+Passages:
+${passages}
+
+Respond with only a JSON array of ${candidates.length} integers, one per passage, in order.`;
+
+    const { text } = await this.llm.generate(prompt, {
+      task: "rerank",
+      temperature: 0,
+    });
+
+    const match = text.match(/\[[\d\s.,]*\]/);
+    const grades = match ? JSON.parse(match[0]) : null;
+    if (!Array.isArray(grades) || grades.length !== candidates.length) {
+      throw new Error("LLM reranker returned an unexpected grade list");
+    }
+
+    return sortByRerankScore(
+      candidates,
+      grades.map((grade) => Math.min(10, Math.max(0, Number(grade) || 0)) / 10),
+    );
+  }
+}
+
+// Pass-through that keeps retrieval order
+export class NoopReranker {
+  constructor() {
+    this.name = "none";
+  }
+
+  async rerank(query, candidates) {
+    return sortByRerankScore(
+      candidates,
+      candidates.map((_, index) => 1 - index / candidates.length),
+    );
+  }
+}
+
+const RERANKERS = {
+  heuristic: HeuristicReranker,
+  "cross-encoder": CrossEncoderReranker,
+  llm: LLMReranker,
+  none: NoopReranker,
+};
+
+// Wraps the configured reranker so any failure degrades to the heuristic
+export function createReranker(
+  name = process.env.RERANKER || "heuristic",
+  options = {},
+) {
+  const Reranker = Object.hasOwn(RERANKERS, name.toLowerCase())
+    ? RERANKERS[name.toLowerCase()]
+    : null;
+  if (!Reranker) {
+    logger.warn(`Unknown reranker "${name}", falling back to heuristic`);
+    return new HeuristicReranker();
+  }
+
+  const reranker = new Reranker(options);
+  if (reranker.name === "heuristic") {
+    return reranker;
+  }
+
+  const fallback = new HeuristicReranker();
+  return {
+    name: reranker.name,
+    async rerank(query, candidates) {
+      try {
+        return await reranker.rerank(query, candidates);
+      } catch (error) {
+        logger.warn(`${reranker.name} reranker failed, using heuristic`, {
+          error: error.message,
+        });
+        return fallback.rerank(query, candidates);
+      }
+    },
+  };
+}
@@ -0,0 +1,152 @@
+import { createHash } from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import { getRedisClient } from "../config/services.js";
+import logger from "../utils/logger.js";
+
+const INDEX_KEY = "semcache:index";
+const ENTRY_PREFIX = "semcache:entry:";
+const LAST_INGESTION_KEY = "ingestion:lastRun";
+
+function cosineSimilarity(vecA, vecB) {
+  if (!vecA || !vecB || vecA.length !== vecB.length) return 0;
+
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < vecA.length; i++) {
+    dotProduct += vecA[i] * vecB[i];
+    normA += vecA[i] * vecA[i];
+    normB += vecB[i] * vecB[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// Redis cache of answers keyed by query embedding. An entry is reused when a
+// new query is similar enough, was asked under the same scope (provider,
+// model, filters), and is newer than the last ingestion run.
+export class SemanticCacheService {
+  constructor() {
+    this.enabled = process.env.SEMANTIC_CACHE !== "false";
+    this.threshold = parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD || "0.95");
+    this.ttl = parseInt(process.env.SEMANTIC_CACHE_TTL || "3600", 10);
+    this.maxScan = parseInt(process.env.SEMANTIC_CACHE_MAX_SCAN || "200", 10);
+  }
+
+  getClient() {
+    return this.enabled ? getRedisClient() : null;
+  }
+
+  // Stable hash of everything besides the query that shapes an answer
+  buildScope(parts) {
+    return createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+  }
+
+  async lookup(embedding, scope) {
+    const redis = this.getClient();
+    if (!redis || !embedding) return null;
+
+    try {
+      const now = Date.now();
+      const lastRunValue = await redis.get(LAST_INGESTION_KEY);
+      const lastRun = lastRunValue ? Date.parse(lastRunValue) : 0;
+      const minCreated = Math.max(now - this.ttl * 1000, lastRun || 0);
+
+      const ids = await redis.zrevrangebyscore(
+        INDEX_KEY,
+        "+inf",
+        minCreated,
+        "LIMIT",
+        0,
+        this.maxScan,
+      );
+      if (ids.length === 0) return null;
+
+      const entries = await redis.mget(ids.map((id) => ENTRY_PREFIX + id));
+
+      let best = null;
+      for (const raw of entries) {
+        if (!raw) continue;
+        const entry = JSON.parse(raw);
+        if (entry.scope !== scope) continue;
+
+        const similarity = cosineSimilarity(embedding, entry.embedding);
+        if (
+          similarity >= this.threshold &&
+          similarity > (best?.similarity ?? 0)
+        ) {
+          best = { entry, similarity };
+        }
+      }
+
+      if (!best) return null;
+
+      logger.info("Semantic cache hit", {
+        similarity: best.similarity.toFixed(4),
+        cachedQuery: best.entry.query.substring(0, 80),
+      });
+
+      return {
+        response: best.entry.response,
+        similarity: best.similarity,
+        cachedAt: new Date(best.entry.createdAt).toISOString(),
+      };
+    } catch (error) {
+      logger.warn("Semantic cache lookup failed", { error: error.message });
+      return null;
+    }
+  }
+
+  async store(embedding, scope, query, response) {
+    const redis = this.getClient();
+    if (!redis || !embedding) return false;
+
+    try {
+      const id = uuidv4();
+      const createdAt = Date.now();
+
+      await redis
+        .multi()
+        .setex(
+          ENTRY_PREFIX + id,
+          this.ttl,
+          JSON.stringify({ embedding, scope, query, response, createdAt }),
+        )
+        .zadd(INDEX_KEY, createdAt, id)
+        // Drop index members whose entries have expired
+        .zremrangebyscore(INDEX_KEY, "-inf", createdAt - this.ttl * 1000)
+        .exec();
+
+      return true;
+    } catch (error) {
+      logger.warn("Semantic cache store failed", { error: error.message });
+      return false;
+    }
+  }
+
+  // Called after new articles are upserted: cached answers may be stale
+  async invalidate() {
+    const redis = getRedisClient();
+    if (!redis) return false;
+
+    try {
+      const ids = await redis.zrange(INDEX_KEY, 0, -1);
+      const pipeline = redis.multi();
+      if (ids.length > 0) {
+        pipeline.del(...ids.map((id) => ENTRY_PREFIX + id));
+      }
+      pipeline.del(INDEX_KEY);
+      pipeline.set(LAST_INGESTION_KEY, new Date().toISOString());
+      await pipeline.exec();
+
+      logger.info(`Semantic cache invalidated (${ids.length} entries)`);
+      return true;
+    } catch (error) {
+      logger.warn("Semantic cache invalidation failed", {
+        error: error.message,
+      });
+      return false;
+    }
+  }
+}
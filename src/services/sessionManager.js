@@ -1,43 +1,210 @@
-import { getRedisClient } from '../config/services.js';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { getPostgresPool, getRedisClient } from '../config/services.js';
+import { runMigrations } from '../db/migrate.js';
+import { FileSessionStore } from './sessionStores/fileSessionStore.js';
+import { MemorySessionStore } from './sessionStores/memorySessionStore.js';
+import { PostgresSessionStore } from './sessionStores/postgresSessionStore.js';
+import { RedisSessionStore } from './sessionStores/redisSessionStore.js';
 import logger from '../utils/logger.js';
+import { buildSnippet } from '../utils/messageSearch.js';
+
+// Owner of sessions created without an authenticated user
+export const ANONYMOUS_USER_ID = 'anonymous';
+
+const TITLE_MAX_LENGTH = 60;
+const MAX_MESSAGES = 100;
+// Fields users change that an outage copy of a session carries back to the
+// session store (see mergeFailover)
+const MERGED_FIELDS = ['title', 'titleSource', 'pinned', 'archived', 'archivedAt', 'summary'];
+
+// Short title from the opening question: markdown stripped, whitespace
+// collapsed and cut at a word boundary
+function generateTitle(content) {
+  const text = String(content || '')
+    .replace(/[#*_`>[\]]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!text) {
+    return 'New conversation';
+  }
+  if (text.length <= TITLE_MAX_LENGTH) {
+    return text;
+  }
+
+  const cut = text.substring(0, TITLE_MAX_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > TITLE_MAX_LENGTH / 2 ? cut.substring(0, lastSpace) : cut).trim()}…`;
+}
 
 export class SessionManager {
   constructor() {
-    this.redis = null;
     this.sessionTTL = parseInt(process.env.CHAT_HISTORY_TTL) || 86400; // 24 hours
-    this.fallbackStorage = new Map(); // In-memory fallback
+    // In-memory store: the configured store when SESSION_STORE=memory, and
+    // the failover while Redis is unreachable
+    this.memoryStore = new MemorySessionStore({
+      defaultTTL: this.sessionTTL,
+      maxSessions: parseInt(process.env.SESSION_MEMORY_MAX_SESSIONS) || 1000,
+    });
+    this.store = this.memoryStore;
+    this.failedOver = false;
+    this.recovery = null; // Pending mergeFailover, shared by concurrent calls
+    this.database = null; // Durable store (Postgres) behind the cache, when configured
   }
 
+  // Pick the session store (SESSION_STORE) and connect the database. Returns
+  // how many legacy Redis keys were converted and how many stored messages
+  // were added to the Redis search index.
   async initialize() {
-    this.redis = getRedisClient();
+    const storeType = (process.env.SESSION_STORE || 'redis').toLowerCase();
+    let migrated = { sessions: 0, messages: 0, indexed: 0 };
+
+    if (storeType === 'file') {
+      this.store = new FileSessionStore(
+        path.resolve(process.env.SESSION_FILE_DIR || './data/sessions'),
+        { defaultTTL: this.sessionTTL }
+      );
+    } else if (storeType === 'redis' && getRedisClient()) {
+      this.store = new RedisSessionStore(getRedisClient(), { defaultTTL: this.sessionTTL });
+      migrated = await this.store.migrateLegacyKeys(MAX_MESSAGES);
+      migrated.indexed = await this.store.indexExistingMessages();
+    } else {
+      this.store = this.memoryStore;
+    }
+
+    const pool = getPostgresPool();
+    if (pool) {
+      if (process.env.DATABASE_MIGRATE !== 'false') {
+        await runMigrations(pool);
+      }
+      this.database = new PostgresSessionStore(pool, { defaultTTL: this.sessionTTL });
+    }
+
+    logger.info('Session storage ready', {
+      store: this.store.name,
+      database: this.database ? 'postgres' : 'none',
+    });
+    return migrated;
   }
 
-  // Create a new session
-  async createSession(sessionId) {
+  // Run an operation against the configured store, or against memory while
+  // that store is unavailable (Redis down). Switching back happens as soon
+  // as it is reachable again, once what was written meanwhile is merged back
+  // (see mergeFailover).
+  async withStore(operation) {
+    const store = this.store;
+    const available = !store.isAvailable || store.isAvailable();
+
+    if (available && this.failedOver) {
+      this.recovery ??= this.mergeFailover(store).finally(() => {
+        this.recovery = null;
+      });
+      await this.recovery;
+    }
+    if (!available) {
+      return operation(this.failOver(store));
+    }
+
+    try {
+      return await operation(store);
+    } catch (error) {
+      if (store.isAvailable && !store.isAvailable()) {
+        return operation(this.failOver(store, error));
+      }
+      throw error;
+    }
+  }
+
+  failOver(store, error) {
+    if (!this.failedOver) {
+      this.failedOver = true;
+      logger.warn(`Session store ${store.name} unavailable, failing over to memory`, {
+        ...(error && { error: error.message }),
+      });
+    }
+    return this.memoryStore;
+  }
+
+  // Copy the sessions written to memory during an outage into the store
+  // that is back: sessions it no longer holds are restored, and the others
+  // get the messages they are missing plus renames, pins and archiving.
+  // Sessions the store holds for another owner are dropped. Memory is
+  // cleared as it goes; if the store fails again, the rest is merged on the
+  // next recovery.
+  async mergeFailover(store) {
+    let merged = 0;
+
+    try {
+      const now = Date.now();
+      for (const { session, messages } of await this.memoryStore.readAllEntries()) {
+        if (Date.parse(session.expiresAt) > now) {
+          const stored = await store.getSession(session.id);
+
+          if (!stored) {
+            await store.restoreSession(session, messages);
+            merged++;
+          } else if ((stored.ownerId || ANONYMOUS_USER_ID) !== session.ownerId) {
+            logger.warn('Dropped session written during outage for another owner', {
+              sessionId: session.id.substring(0, 8),
+            });
+          } else {
+            const known = new Set(
+              (await store.getMessages(session.id, { limit: MAX_MESSAGES, offset: 0 }))
+                .map(message => message.id)
+            );
+            for (const message of messages.filter(message => !known.has(message.id))) {
+              await store.appendMessage(stored, message, {
+                title: session.title,
+                lastActivity: message.timestamp || session.lastActivity,
+                maxMessages: MAX_MESSAGES,
+              });
+            }
+            await store.saveSession(session, { fields: MERGED_FIELDS, replace: false });
+            merged++;
+          }
+        }
+        await this.memoryStore.deleteSession(session.id);
+      }
+
+      this.failedOver = false;
+      logger.info(`Session store ${store.name} is back, leaving in-memory failover`, {
+        merged,
+      });
+    } catch (error) {
+      logger.error('Failed to merge in-memory sessions back into the session store:', error);
+    }
+  }
+
+  // Whether an unknown session id may be created for whoever asks first.
+  // Not while failed over without a database: the id may belong to a
+  // session in the unreachable store.
+  canCreateMissingSessions() {
+    return !this.failedOver || this.database !== null;
+  }
+
+  // Create a new session, bound to the user that owns it
+  async createSession(sessionId, ownerId = ANONYMOUS_USER_ID) {
     try {
       const sessionData = {
         id: sessionId,
+        ownerId,
+        title: null,
+        titleSource: null,
+        pinned: false,
+        archived: false,
+        archivedAt: null,
         created: new Date().toISOString(),
         lastActivity: new Date().toISOString(),
         messageCount: 0,
+        ttl: this.sessionTTL,
+        activeLeafId: null,
       };
 
-      if (this.redis) {
-        await this.redis.setex(
-          `session:${sessionId}`,
-          this.sessionTTL,
-          JSON.stringify(sessionData)
-        );
-        await this.redis.setex(
-          `messages:${sessionId}`,
-          this.sessionTTL,
-          JSON.stringify([])
-        );
-      } else {
-        // Fallback to in-memory storage
-        this.fallbackStorage.set(`session:${sessionId}`, sessionData);
-        this.fallbackStorage.set(`messages:${sessionId}`, []);
+      if (this.database) {
+        await this.database.createSession(sessionData);
       }
+      await this.saveSession(sessionData, { replace: true });
 
       logger.info('Session created', { sessionId: sessionId.substring(0, 8) });
       return sessionData;
@@ -47,19 +214,52 @@ export class SessionManager {
     }
   }
 
-  // Get session information
-  async getSessionInfo(sessionId) {
-    try {
-      let sessionData = null;
+  // Get session information without creating it; null when missing.
+  // Sessions that dropped out of the store are reloaded from the database.
+  async getSession(sessionId) {
+    let sessionData = await this.withStore(store => store.getSession(sessionId));
 
-      if (this.redis) {
-        const data = await this.redis.get(`session:${sessionId}`);
-        sessionData = data ? JSON.parse(data) : null;
-      } else {
-        sessionData = this.fallbackStorage.get(`session:${sessionId}`) || null;
+    if (!sessionData && this.database) {
+      sessionData = await this.database.getSession(sessionId);
+      if (sessionData) {
+        const messages = await this.database.getMessages(sessionId, { limit: MAX_MESSAGES });
+        sessionData.expiresAt = this.expiresAt(sessionData);
+        await this.withStore(store => store.restoreSession(sessionData, messages));
       }
+    }
+
+    if (sessionData && !sessionData.ownerId) {
+      sessionData.ownerId = ANONYMOUS_USER_ID;
+    }
+    return sessionData;
+  }
+
+  expiresAt(sessionData) {
+    const ttl = sessionData.ttl || this.sessionTTL;
+    return new Date(Date.now() + ttl * 1000).toISOString();
+  }
+
+  // Store session metadata, refresh its expiry (and that of its messages)
+  // and its position in the owner's session list. Only `fields` are written
+  // so concurrent appends keep their messageCount and lastActivity;
+  // options.replace drops whatever was stored under the id before.
+  async saveSession(sessionData, options = {}) {
+    const { fields = Object.keys(sessionData), replace = false } = options;
+    sessionData.expiresAt = this.expiresAt(sessionData);
+
+    await this.withStore(store => store.saveSession(sessionData, { fields, replace }));
+  }
+
+  // Get session information. Missing sessions are created, unless
+  // options.strict is set, in which case null is returned.
+  async getSessionInfo(sessionId, options = {}) {
+    try {
+      const sessionData = await this.getSession(sessionId);
 
       if (!sessionData) {
+        if (options.strict) {
+          return null;
+        }
         // Create session if it doesn't exist
         return await this.createSession(sessionId);
       }
@@ -71,58 +271,41 @@ export class SessionManager {
     }
   }
 
-  // Add message to session
+  // Add message to session. Messages form a tree: message.parentId is the
+  // message it follows (null for the first one) and defaults to the end of
+  // the active branch. The new message becomes the active branch's end.
   async addMessage(sessionId, message) {
     try {
       // Ensure session exists
-      await this.getSessionInfo(sessionId);
-
-      if (this.redis) {
-        // Get existing messages
-        const messagesData = await this.redis.get(`messages:${sessionId}`);
-        const messages = messagesData ? JSON.parse(messagesData) : [];
-        
-        // Add new message
-        messages.push(message);
-        
-        // Keep only last 100 messages to prevent memory issues
-        if (messages.length > 100) {
-          messages.splice(0, messages.length - 100);
-        }
-        
-        // Save back to Redis
-        await this.redis.setex(
-          `messages:${sessionId}`,
-          this.sessionTTL,
-          JSON.stringify(messages)
-        );
+      let sessionData = await this.getSessionInfo(sessionId);
+      if (message.parentId === undefined) {
+        message.parentId = await this.activeLeafId(sessionData);
+      }
+      const title = message.role === 'user' ? generateTitle(message.content) : null;
+      const lastActivity = new Date().toISOString();
+
+      // Write through: the database copy is the one that has to succeed
+      if (this.database) {
+        await this.database.appendMessage(sessionData, message, { title, lastActivity });
+      }
 
-        // Update session info
-        const sessionData = await this.getSessionInfo(sessionId);
-        sessionData.lastActivity = new Date().toISOString();
-        sessionData.messageCount = messages.length;
-        
-        await this.redis.setex(
-          `session:${sessionId}`,
-          this.sessionTTL,
-          JSON.stringify(sessionData)
+      const append = () =>
+        this.withStore(store =>
+          store.appendMessage(sessionData, message, {
+            title,
+            lastActivity,
+            maxMessages: MAX_MESSAGES,
+          })
         );
-      } else {
-        // Fallback to in-memory storage
-        const messages = this.fallbackStorage.get(`messages:${sessionId}`) || [];
-        messages.push(message);
-        
-        if (messages.length > 100) {
-          messages.splice(0, messages.length - 100);
-        }
-        
-        this.fallbackStorage.set(`messages:${sessionId}`, messages);
-        
-        const sessionData = this.fallbackStorage.get(`session:${sessionId}`);
-        if (sessionData) {
-          sessionData.lastActivity = new Date().toISOString();
-          sessionData.messageCount = messages.length;
-          this.fallbackStorage.set(`session:${sessionId}`, sessionData);
+
+      if ((await append()) === null) {
+        // Expired between the lookup and the append. Reloading from the
+        // database brings this message along.
+        if (this.database) {
+          await this.getSession(sessionId);
+        } else {
+          sessionData = await this.createSession(sessionId, sessionData.ownerId);
+          await append();
         }
       }
 
@@ -137,41 +320,352 @@ export class SessionManager {
     }
   }
 
-  // Get messages from session
-  async getMessages(sessionId, options = {}) {
+  // Last message of the active branch. Sessions stored before branches
+  // existed continue from their last message.
+  async activeLeafId(sessionData) {
+    if (sessionData.activeLeafId !== undefined) {
+      return sessionData.activeLeafId;
+    }
+
+    const [last] = await this.withStore(store =>
+      store.getMessages(sessionData.id, { limit: 1, offset: 0 })
+    );
+    return last?.id ?? null;
+  }
+
+  // Messages held by the store (the latest MAX_MESSAGES of every branch) by
+  // id. Messages stored before branches existed follow the one before them;
+  // the oldest one only starts the conversation if nothing was trimmed.
+  async loadMessageTree(sessionId) {
+    const messages = await this.withStore(store =>
+      store.getMessages(sessionId, { limit: MAX_MESSAGES, offset: 0 })
+    );
+
+    const tree = new Map();
+    messages.forEach((message, index) => {
+      let { parentId } = message;
+      if (parentId === undefined && (index > 0 || messages.length < MAX_MESSAGES)) {
+        parentId = messages[index - 1]?.id ?? null;
+      }
+      tree.set(message.id, { ...message, parentId });
+    });
+    return tree;
+  }
+
+  // Get one message, on any branch; null when missing
+  async getMessage(sessionId, messageId) {
     try {
-      const { limit = 50, offset = 0 } = options;
+      const tree = await this.loadMessageTree(sessionId);
+      if (tree.has(messageId)) {
+        return tree.get(messageId);
+      }
+      return this.database ? await this.database.getMessage(sessionId, messageId) : null;
+    } catch (error) {
+      logger.error('Failed to get message:', error);
+      throw error;
+    }
+  }
 
-      let messages = [];
+  // Messages of the branch ending at leafId: the newest `limit` after
+  // skipping the latest `offset`, oldest first
+  async getBranch(sessionId, leafId, options = {}) {
+    const { limit = 50, offset = 0 } = options;
+    if (!leafId) {
+      return [];
+    }
+
+    const tree = await this.loadMessageTree(sessionId);
+    const branch = [];
+    for (let id = leafId; tree.has(id); id = tree.get(id).parentId) {
+      branch.unshift(tree.get(id));
+    }
 
-      if (this.redis) {
-        const messagesData = await this.redis.get(`messages:${sessionId}`);
-        messages = messagesData ? JSON.parse(messagesData) : [];
-      } else {
-        messages = this.fallbackStorage.get(`messages:${sessionId}`) || [];
+    // The store only holds the latest messages; older ones are in the database
+    const complete = branch.length > 0 && branch[0].parentId === null;
+    if (this.database && !complete && limit + offset > branch.length) {
+      return this.database.getBranch(sessionId, leafId, { limit, offset });
+    }
+
+    const startIndex = Math.max(0, branch.length - limit - offset);
+    const endIndex = Math.max(0, branch.length - offset);
+    return branch.slice(startIndex, endIndex);
+  }
+
+  // Get the messages of the session's active branch. options.withSiblings
+  // adds siblingIds to each message: the ids of every alternative at that
+  // point of the conversation (itself included), oldest first.
+  async getMessages(sessionId, options = {}) {
+    try {
+      const { limit = 50, offset = 0, withSiblings = false } = options;
+
+      const sessionData = await this.getSession(sessionId);
+      if (!sessionData) {
+        return [];
       }
 
-      // Apply pagination
-      const startIndex = Math.max(0, messages.length - limit - offset);
-      const endIndex = Math.max(0, messages.length - offset);
-      
-      return messages.slice(startIndex, endIndex);
+      const leafId = await this.activeLeafId(sessionData);
+      const messages = await this.getBranch(sessionId, leafId, { limit, offset });
+
+      if (withSiblings && messages.length > 0) {
+        const children = await this.getChildren(
+          sessionId,
+          messages.map(message => message.parentId)
+        );
+        for (const message of messages) {
+          message.siblingIds = children
+            .filter(child => child.parentId === message.parentId)
+            .map(child => child.id);
+        }
+      }
+      return messages;
     } catch (error) {
       logger.error('Failed to get messages:', error);
       throw error;
     }
   }
 
+  // Messages following any of parentIds (null for the first messages), as
+  // { id, parentId }, oldest first
+  async getChildren(sessionId, parentIds) {
+    if (this.database) {
+      return this.database.getChildren(sessionId, parentIds);
+    }
+
+    const tree = await this.loadMessageTree(sessionId);
+    return [...tree.values()]
+      .filter(message => parentIds.includes(message.parentId))
+      .map(message => ({ id: message.id, parentId: message.parentId }));
+  }
+
+  // End of the conversation below messageId, following the most recent
+  // reply at every step; null when the message doesn't exist. One query
+  // with a database, otherwise a walk over the stored tree (which also
+  // covers messages of sessions cached before the database was set up).
+  async latestLeafId(sessionId, messageId) {
+    const storedLeafId =
+      this.database && (await this.database.getLatestLeafId(sessionId, messageId));
+    if (storedLeafId) {
+      return storedLeafId;
+    }
+
+    const tree = await this.loadMessageTree(sessionId);
+    if (!tree.has(messageId)) {
+      return null;
+    }
+
+    // Messages are stored oldest first, so the last child set wins
+    const latestChild = new Map();
+    for (const message of tree.values()) {
+      latestChild.set(message.parentId, message.id);
+    }
+
+    let leafId = messageId;
+    while (latestChild.has(leafId)) {
+      leafId = latestChild.get(leafId);
+    }
+    return leafId;
+  }
+
+  // Show the branch through messageId: from it, follow the most recent reply
+  // down to the end of the conversation. Returns the session, or null when
+  // the session or message doesn't exist.
+  async switchBranch(sessionId, messageId) {
+    try {
+      const sessionData = await this.getSession(sessionId);
+      const leafId = sessionData && (await this.latestLeafId(sessionId, messageId));
+      if (!leafId) {
+        return null;
+      }
+
+      sessionData.activeLeafId = leafId;
+      if (this.database) {
+        await this.database.updateSession(sessionData, ['activeLeafId']);
+      }
+      await this.saveSession(sessionData, { fields: ['activeLeafId'] });
+
+      logger.debug('Switched session branch', {
+        sessionId: sessionId.substring(0, 8),
+        activeLeafId: leafId,
+      });
+      return sessionData;
+    } catch (error) {
+      logger.error('Failed to switch branch:', error);
+      throw error;
+    }
+  }
+
+  // Sessions of one owner: pinned first, then most recently active.
+  // options.archived: false (default) hides archived sessions, true lists
+  // only archived ones, 'all' lists both.
+  async listSessions(ownerId, options = {}) {
+    try {
+      const { archived = false, limit = 20, offset = 0 } = options;
+
+      // The database also has sessions that expired from the store
+      if (this.database) {
+        return await this.database.listSessions(ownerId, { archived, limit, offset });
+      }
+
+      let sessions = await this.withStore(store => store.listSessions(ownerId));
+
+      if (archived !== 'all') {
+        sessions = sessions.filter(session => !!session.archived === archived);
+      }
+
+      sessions.sort(
+        (a, b) =>
+          Number(!!b.pinned) - Number(!!a.pinned) ||
+          Date.parse(b.lastActivity) - Date.parse(a.lastActivity)
+      );
+
+      return {
+        sessions: sessions.slice(offset, offset + limit),
+        total: sessions.length,
+      };
+    } catch (error) {
+      logger.error('Failed to list sessions:', error);
+      throw error;
+    }
+  }
+
+  // Search the message content of all of an owner's sessions, newest first.
+  // query: { terms (see searchTerms), role, from, to (ISO), limit, offset }.
+  // Returns { results, total }; each result has the matching message's
+  // snippet with the positions of the matched words.
+  async searchMessages(ownerId, query) {
+    try {
+      const { matches, total } = this.database
+        ? await this.database.searchMessages(ownerId, query)
+        : await this.withStore(store => store.searchMessages(ownerId, query));
+
+      const results = matches.map(({ session, message }) => ({
+        sessionId: session.id,
+        sessionTitle: session.title || null,
+        messageId: message.id,
+        role: message.role,
+        timestamp: message.timestamp || null,
+        ...buildSnippet(message.content || '', query.terms),
+      }));
+      return { results, total };
+    } catch (error) {
+      logger.error('Failed to search messages:', error);
+      throw error;
+    }
+  }
+
+  // Create a session for ownerId holding a parsed transcript (see
+  // parseTranscript): { title, messages }. Used by imports and forks.
+  async importTranscript(ownerId, transcript) {
+    try {
+      const sessionId = uuidv4();
+      await this.createSession(sessionId, ownerId);
+
+      for (const message of transcript.messages) {
+        await this.addMessage(sessionId, { id: uuidv4(), ...message });
+      }
+      if (transcript.title) {
+        await this.updateSession(sessionId, { title: transcript.title });
+      }
+
+      logger.info('Session imported', {
+        sessionId: sessionId.substring(0, 8),
+        messages: transcript.messages.length,
+      });
+      return await this.getSession(sessionId);
+    } catch (error) {
+      logger.error('Failed to import transcript:', error);
+      throw error;
+    }
+  }
+
+  // Rename, pin/unpin, archive/restore. changes: { title, pinned, archived }
+  async updateSession(sessionId, changes) {
+    try {
+      const sessionData = await this.getSession(sessionId);
+      if (!sessionData) {
+        return null;
+      }
+
+      const fields = [];
+      if (changes.title !== undefined) {
+        sessionData.title = changes.title;
+        sessionData.titleSource = 'user';
+        fields.push('title', 'titleSource');
+      }
+      if (changes.pinned !== undefined) {
+        sessionData.pinned = changes.pinned;
+        fields.push('pinned');
+      }
+      if (changes.archived !== undefined) {
+        sessionData.archived = changes.archived;
+        sessionData.archivedAt = changes.archived ? new Date().toISOString() : null;
+        fields.push('archived', 'archivedAt');
+      }
+
+      if (this.database) {
+        await this.database.updateSession(sessionData, fields);
+      }
+      await this.saveSession(sessionData, { fields });
+      return sessionData;
+    } catch (error) {
+      logger.error('Failed to update session:', error);
+      throw error;
+    }
+  }
+
+  // Keep the session (and its messages) for ttl seconds from now; later
+  // activity keeps using this TTL
+  async extendSession(sessionId, ttl) {
+    try {
+      const sessionData = await this.getSession(sessionId);
+      if (!sessionData) {
+        return null;
+      }
+
+      sessionData.ttl = ttl;
+      if (this.database) {
+        await this.database.updateSession(sessionData, ['ttl']);
+      }
+      await this.saveSession(sessionData, { fields: ['ttl'] });
+
+      logger.info('Session TTL extended', {
+        sessionId: sessionId.substring(0, 8),
+        ttl,
+      });
+      return sessionData;
+    } catch (error) {
+      logger.error('Failed to extend session:', error);
+      throw error;
+    }
+  }
+
+  // Store the rolling summary of the conversation (see SessionSummarizer)
+  async saveSummary(sessionId, summary) {
+    try {
+      const sessionData = await this.getSession(sessionId);
+      if (!sessionData) {
+        return null;
+      }
+
+      sessionData.summary = summary;
+      if (this.database) {
+        await this.database.updateSession(sessionData, ['summary']);
+      }
+      await this.saveSession(sessionData, { fields: ['summary'] });
+      return sessionData;
+    } catch (error) {
+      logger.error('Failed to save session summary:', error);
+      throw error;
+    }
+  }
+
   // Delete session
   async deleteSession(sessionId) {
     try {
-      if (this.redis) {
-        await this.redis.del(`session:${sessionId}`);
-        await this.redis.del(`messages:${sessionId}`);
-      } else {
-        this.fallbackStorage.delete(`session:${sessionId}`);
-        this.fallbackStorage.delete(`messages:${sessionId}`);
+      if (this.database) {
+        await this.database.deleteSession(sessionId);
       }
+      await this.withStore(store => store.deleteSession(sessionId));
 
       logger.info('Session deleted', { sessionId: sessionId.substring(0, 8) });
     } catch (error) {
@@ -180,32 +674,20 @@ export class SessionManager {
     }
   }
 
-  // Clean up expired sessions (for in-memory fallback)
+  // Periodically drop expired sessions from the memory and file stores
+  // (Redis expires keys itself). Reads skip expired sessions either way.
   startCleanupTimer() {
-    if (!this.redis) {
-      setInterval(() => {
-        const now = Date.now();
-        const expiredSessions = [];
-
-        for (const [key, value] of this.fallbackStorage.entries()) {
-          if (key.startsWith('session:') && value.created) {
-            const sessionAge = now - new Date(value.created).getTime();
-            if (sessionAge > this.sessionTTL * 1000) {
-              expiredSessions.push(key);
-            }
-          }
-        }
+    this.memoryStore.startCleanup();
+    this.store.startCleanup?.();
+  }
+}
 
-        expiredSessions.forEach(sessionKey => {
-          const sessionId = sessionKey.replace('session:', '');
-          this.fallbackStorage.delete(sessionKey);
-          this.fallbackStorage.delete(`messages:${sessionId}`);
-        });
+let sharedSessionManager = null;
 
-        if (expiredSessions.length > 0) {
-          logger.info(`Cleaned up ${expiredSessions.length} expired sessions`);
-        }
-      }, 60000); // Check every minute
-    }
+// One instance per process so the HTTP and WebSocket transports share sessions
+export function getSessionManager() {
+  if (!sharedSessionManager) {
+    sharedSessionManager = new SessionManager();
   }
-}
\ No newline at end of file
+  return sharedSessionManager;
+}
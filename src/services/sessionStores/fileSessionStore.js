@@ -0,0 +1,85 @@
+import {
+  mkdir,
+  readdir,
+  readFile,
+  rename,
+  unlink,
+  writeFile,
+} from "fs/promises";
+import path from "path";
+import { MemorySessionStore } from "./memorySessionStore.js";
+
+// Sessions as JSON files in a local directory (one file per session), for
+// single-instance deployments that should keep history across restarts
+// without running Redis. Writes are serialized per session within this
+// process; several processes must not share a directory.
+export class FileSessionStore extends MemorySessionStore {
+  constructor(directory, options = {}) {
+    super(options);
+    this.name = "file";
+    this.directory = directory;
+    this.maxSessions = Infinity;
+  }
+
+  filePath(sessionId) {
+    return path.join(this.directory, `${encodeURIComponent(sessionId)}.json`);
+  }
+
+  async readEntry(sessionId) {
+    return this.readFileEntry(this.filePath(sessionId));
+  }
+
+  async readFileEntry(file) {
+    try {
+      return JSON.parse(await readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Write to a temporary file and rename it, so a crash never leaves a
+  // half-written session behind
+  async writeEntry(sessionId, entry) {
+    const file = this.filePath(sessionId);
+    const temporary = `${file}.${process.pid}.tmp`;
+
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(temporary, JSON.stringify(entry));
+    await rename(temporary, file);
+  }
+
+  async deleteEntry(sessionId) {
+    try {
+      await unlink(this.filePath(sessionId));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+  }
+
+  async readAllEntries() {
+    let files;
+    try {
+      files = await readdir(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = await Promise.all(
+      files
+        .filter((file) => file.endsWith(".json"))
+        .map((file) =>
+          // Skip files deleted meanwhile or not written by this store
+          this.readFileEntry(path.join(this.directory, file)).catch(() => null),
+        ),
+    );
+    return entries.filter(Boolean);
+  }
+}
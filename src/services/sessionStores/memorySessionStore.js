@@ -0,0 +1,271 @@
+import logger from "../../utils/logger.js";
+import { matchesTerms } from "../../utils/messageSearch.js";
+
+// Session stores hold session metadata and the latest messages of each
+// session. SessionManager picks one by SESSION_STORE and talks to it through
+// these methods:
+//
+//   getSession(id)                         -> session or null
+//   saveSession(session, { fields, replace })
+//   restoreSession(session, messages)      replace everything stored for it
+//   appendMessage(session, message, { title, lastActivity, maxMessages })
+//                                          also makes the message the
+//                                          session's activeLeafId; -> new
+//                                          messageCount, or null when the
+//                                          session is gone. messageCount
+//                                          counts every message appended,
+//                                          including ones since trimmed
+//   getMessages(id, { limit, offset })     newest `limit` after skipping
+//                                          `offset`, oldest first
+//   listSessions(ownerId)                  -> every live session of the owner
+//   searchMessages(ownerId, { terms, role, from, to, limit, offset })
+//                                          -> { matches: [{ session, message }],
+//                                             total }, newest first
+//   deleteSession(id)
+//
+// Optional: isAvailable() (false fails over to memory), startCleanup().
+
+function isExpired(entry, now) {
+  return Date.parse(entry.session.expiresAt) <= now;
+}
+
+// Whether a message passes the role and date filters of a search. Messages
+// without a timestamp only match searches without a date range.
+export function matchesSearchFilters(message, { role, from, to }) {
+  if (role && message.role !== role) {
+    return false;
+  }
+  if (from || to) {
+    const timestamp = message.timestamp || "";
+    if (!timestamp || (from && timestamp < from) || (to && timestamp > to)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Sessions in process memory. At most `maxSessions` are kept, dropping the
+// least recently used; a session expires `ttl` seconds after its last write.
+export class MemorySessionStore {
+  constructor(options = {}) {
+    this.name = "memory";
+    this.defaultTTL = options.defaultTTL;
+    this.maxSessions = options.maxSessions || Infinity;
+    this.entries = new Map(); // id -> { session, messages }, oldest use first
+    this.locks = new Map();
+  }
+
+  // Storage primitives, overridden by FileSessionStore
+
+  async readEntry(sessionId) {
+    const entry = this.entries.get(sessionId);
+    if (entry) {
+      // Move to the most recently used end
+      this.entries.delete(sessionId);
+      this.entries.set(sessionId, entry);
+    }
+    return entry || null;
+  }
+
+  async writeEntry(sessionId, entry) {
+    this.entries.delete(sessionId);
+    this.entries.set(sessionId, entry);
+
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxSessions) {
+        break;
+      }
+      this.entries.delete(oldest);
+      logger.debug("Evicted least recently used session", {
+        sessionId: oldest.substring(0, 8),
+      });
+    }
+  }
+
+  async deleteEntry(sessionId) {
+    this.entries.delete(sessionId);
+  }
+
+  async readAllEntries() {
+    return [...this.entries.values()];
+  }
+
+  // Run fn with no other write to the same session in between
+  async withLock(sessionId, fn) {
+    const previous = this.locks.get(sessionId) || Promise.resolve();
+    const current = previous.then(fn, fn);
+    const settled = current.catch(() => {});
+    this.locks.set(sessionId, settled);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(sessionId) === settled) {
+        this.locks.delete(sessionId);
+      }
+    }
+  }
+
+  async loadEntry(sessionId) {
+    const entry = await this.readEntry(sessionId);
+    if (entry && isExpired(entry, Date.now())) {
+      await this.deleteEntry(sessionId);
+      return null;
+    }
+    return entry;
+  }
+
+  async getSession(sessionId) {
+    const entry = await this.loadEntry(sessionId);
+    return entry ? { ...entry.session } : null;
+  }
+
+  async saveSession(sessionData, { fields, replace }) {
+    return this.withLock(sessionData.id, async () => {
+      const entry = (!replace && (await this.loadEntry(sessionData.id))) || {
+        session: {},
+        messages: [],
+      };
+      const written =
+        Object.keys(entry.session).length > 0
+          ? fields
+          : Object.keys(sessionData);
+
+      for (const field of written) {
+        entry.session[field] = sessionData[field];
+      }
+      entry.session.expiresAt = sessionData.expiresAt;
+      await this.writeEntry(sessionData.id, entry);
+    });
+  }
+
+  async restoreSession(sessionData, messages) {
+    return this.withLock(sessionData.id, () =>
+      this.writeEntry(sessionData.id, {
+        session: { ...sessionData },
+        messages: [...messages],
+      }),
+    );
+  }
+
+  async appendMessage(sessionData, message, options) {
+    const { title, lastActivity, maxMessages } = options;
+
+    return this.withLock(sessionData.id, async () => {
+      const entry = await this.loadEntry(sessionData.id);
+      if (!entry) {
+        return null;
+      }
+
+      const { session, messages } = entry;
+      messages.push(message);
+      if (messages.length > maxMessages) {
+        messages.splice(0, messages.length - maxMessages);
+      }
+
+      session.messageCount = (session.messageCount || 0) + 1;
+      session.lastActivity = lastActivity;
+      session.activeLeafId = message.id;
+      if (!session.title && title) {
+        session.title = title;
+        session.titleSource = "auto";
+      }
+      const ttl = session.ttl || this.defaultTTL;
+      session.expiresAt = new Date(
+        Date.parse(lastActivity) + ttl * 1000,
+      ).toISOString();
+
+      await this.writeEntry(sessionData.id, entry);
+      return session.messageCount;
+    });
+  }
+
+  async getMessages(sessionId, { limit, offset }) {
+    const entry = await this.loadEntry(sessionId);
+    if (!entry) {
+      return [];
+    }
+
+    const { messages } = entry;
+    const startIndex = Math.max(0, messages.length - limit - offset);
+    const endIndex = Math.max(0, messages.length - offset);
+    return messages.slice(startIndex, endIndex);
+  }
+
+  async listSessions(ownerId) {
+    const now = Date.now();
+    return (await this.readAllEntries())
+      .filter(
+        (entry) => entry.session.ownerId === ownerId && !isExpired(entry, now),
+      )
+      .map((entry) => ({ ...entry.session }));
+  }
+
+  // No index: scans every message of the owner's sessions
+  async searchMessages(ownerId, query) {
+    const { terms, limit, offset } = query;
+    const now = Date.now();
+    const matches = [];
+
+    for (const entry of await this.readAllEntries()) {
+      if (entry.session.ownerId !== ownerId || isExpired(entry, now)) {
+        continue;
+      }
+      for (const message of entry.messages) {
+        if (
+          matchesSearchFilters(message, query) &&
+          matchesTerms(message.content || "", terms)
+        ) {
+          matches.push({ session: { ...entry.session }, message });
+        }
+      }
+    }
+
+    matches.sort((a, b) =>
+      (b.message.timestamp || "").localeCompare(a.message.timestamp || ""),
+    );
+    return {
+      matches: matches.slice(offset, offset + limit),
+      total: matches.length,
+    };
+  }
+
+  async deleteSession(sessionId) {
+    return this.withLock(sessionId, () => this.deleteEntry(sessionId));
+  }
+
+  // Drop expired sessions; reads skip them anyway, this frees the space
+  async sweep() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const entry of await this.readAllEntries()) {
+      const sessionId = entry.session.id;
+      // loadEntry deletes it if it is still expired once we hold the lock
+      if (
+        isExpired(entry, now) &&
+        !(await this.withLock(sessionId, () => this.loadEntry(sessionId)))
+      ) {
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.info(`Cleaned up ${removed} expired sessions`, {
+        store: this.name,
+      });
+    }
+    return removed;
+  }
+
+  startCleanup(interval = 60000) {
+    if (!this.cleanupTimer) {
+      this.cleanupTimer = setInterval(() => {
+        this.sweep().catch((error) => {
+          logger.error("Session cleanup failed:", error);
+        });
+      }, interval);
+      this.cleanupTimer.unref();
+    }
+  }
+}
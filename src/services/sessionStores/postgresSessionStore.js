@@ -0,0 +1,325 @@
+import { searchTerms } from "../../utils/messageSearch.js";
+
+// Session fields and the chat_sessions columns that hold them
+const SESSION_COLUMNS = {
+  ownerId: "owner_id",
+  title: "title",
+  titleSource: "title_source",
+  pinned: "pinned",
+  archived: "archived",
+  archivedAt: "archived_at",
+  created: "created_at",
+  lastActivity: "last_activity",
+  messageCount: "message_count",
+  ttl: "ttl",
+  activeLeafId: "active_leaf_id",
+  summary: "summary",
+};
+
+function toISO(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function sessionFromRow(row) {
+  return {
+    id: row.id,
+    ownerId: row.owner_id,
+    title: row.title,
+    titleSource: row.title_source,
+    pinned: row.pinned,
+    archived: row.archived,
+    archivedAt: toISO(row.archived_at),
+    created: toISO(row.created_at),
+    lastActivity: toISO(row.last_activity),
+    messageCount: row.message_count,
+    ttl: row.ttl,
+    activeLeafId: row.active_leaf_id,
+    summary: row.summary,
+  };
+}
+
+// Durable session storage in Postgres (see src/db/migrations). SessionManager
+// writes here first and keeps Redis or memory as a cache in front, so
+// conversations outlive the cache TTL.
+export class PostgresSessionStore {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.defaultTTL = options.defaultTTL;
+  }
+
+  async transaction(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await fn(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Insert the session unless it is already stored. Sessions cached before
+  // these fields existed (or migrated from legacy keys) may lack the ones
+  // chat_sessions requires, so those get defaults.
+  async createSession(sessionData, client = this.pool) {
+    const now = new Date().toISOString();
+    const session = {
+      ...sessionData,
+      ttl: sessionData.ttl ?? this.defaultTTL,
+      created: sessionData.created ?? now,
+      lastActivity: sessionData.lastActivity ?? sessionData.created ?? now,
+    };
+    const fields = Object.keys(SESSION_COLUMNS).filter(
+      (field) => session[field] !== undefined,
+    );
+    const columns = ["id", ...fields.map((field) => SESSION_COLUMNS[field])];
+    const values = [session.id, ...fields.map((field) => session[field])];
+
+    await client.query(
+      `INSERT INTO chat_sessions (${columns.join(", ")})
+       VALUES (${columns.map((_, index) => `$${index + 1}`).join(", ")})
+       ON CONFLICT (id) DO NOTHING`,
+      values,
+    );
+  }
+
+  async getSession(sessionId) {
+    const { rows } = await this.pool.query(
+      "SELECT * FROM chat_sessions WHERE id = $1",
+      [sessionId],
+    );
+    return rows[0] ? sessionFromRow(rows[0]) : null;
+  }
+
+  // Write the given fields of sessionData
+  async updateSession(sessionData, fields) {
+    const columns = fields.filter((field) => SESSION_COLUMNS[field]);
+    if (columns.length === 0) {
+      return;
+    }
+
+    await this.pool.query(
+      `UPDATE chat_sessions
+       SET ${columns.map((field, index) => `${SESSION_COLUMNS[field]} = $${index + 2}`).join(", ")}
+       WHERE id = $1`,
+      [sessionData.id, ...columns.map((field) => sessionData[field])],
+    );
+  }
+
+  // Store a message, make it the session's active leaf and bump the
+  // session's counters. Sessions that were
+  // only cached until now (created before Postgres was configured) are
+  // inserted first.
+  async appendMessage(sessionData, message, { title, lastActivity }) {
+    return this.transaction(async (client) => {
+      await this.createSession(sessionData, client);
+
+      await client.query(
+        `INSERT INTO chat_messages
+           (session_id, id, parent_id, role, content, status, provider, model, data,
+            created_at, search_terms)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+          sessionData.id,
+          message.id,
+          message.parentId || null,
+          message.role,
+          message.content || "",
+          message.status || null,
+          message.provider || null,
+          message.model || null,
+          JSON.stringify(message),
+          message.timestamp || lastActivity,
+          searchTerms(message.content),
+        ],
+      );
+
+      const { rows } = await client.query(
+        `UPDATE chat_sessions
+         SET message_count = message_count + 1,
+             last_activity = $2,
+             active_leaf_id = $4,
+             title_source = CASE
+               WHEN title IS NULL AND $3::text IS NOT NULL THEN 'auto'
+               ELSE title_source
+             END,
+             title = COALESCE(title, $3::text)
+         WHERE id = $1
+         RETURNING message_count`,
+        [sessionData.id, lastActivity, title, message.id],
+      );
+      return rows[0]?.message_count;
+    });
+  }
+
+  // Newest `limit` messages after skipping the latest `offset`, oldest first
+  async getMessages(sessionId, { limit = 50, offset = 0 } = {}) {
+    const { rows } = await this.pool.query(
+      `SELECT data || jsonb_build_object('parentId', parent_id) AS data FROM (
+         SELECT data, parent_id, seq FROM chat_messages
+         WHERE session_id = $1
+         ORDER BY seq DESC
+         LIMIT $2 OFFSET $3
+       ) latest
+       ORDER BY seq ASC`,
+      [sessionId, limit, offset],
+    );
+    return rows.map((row) => row.data);
+  }
+
+  async getMessage(sessionId, messageId) {
+    const { rows } = await this.pool.query(
+      `SELECT data || jsonb_build_object('parentId', parent_id) AS data
+       FROM chat_messages
+       WHERE session_id = $1 AND id = $2`,
+      [sessionId, messageId],
+    );
+    return rows[0]?.data || null;
+  }
+
+  // The branch ending at leafId: newest `limit` messages after skipping the
+  // latest `offset`, oldest first. Depth counts back from the leaf, so the
+  // walk stops once it reaches the requested page.
+  async getBranch(sessionId, leafId, { limit = 50, offset = 0 } = {}) {
+    const { rows } = await this.pool.query(
+      `WITH RECURSIVE branch AS (
+         SELECT id, parent_id, data, 0 AS depth
+         FROM chat_messages
+         WHERE session_id = $1 AND id = $2
+         UNION ALL
+         SELECT message.id, message.parent_id, message.data, branch.depth + 1
+         FROM chat_messages message
+         JOIN branch ON message.id = branch.parent_id
+         WHERE message.session_id = $1 AND branch.depth + 1 < $3::int + $4::int
+       )
+       SELECT data || jsonb_build_object('parentId', parent_id) AS data
+       FROM branch
+       WHERE depth >= $4::int
+       ORDER BY depth DESC`,
+      [sessionId, leafId, limit, offset],
+    );
+    return rows.map((row) => row.data);
+  }
+
+  // Children of the given parents (null for the first messages), oldest
+  // first, as { id, parentId }
+  async getChildren(sessionId, parentIds) {
+    const { rows } = await this.pool.query(
+      `SELECT id, parent_id FROM chat_messages
+       WHERE session_id = $1
+         AND (parent_id = ANY($2::text[])
+           OR ($3::boolean AND parent_id IS NULL))
+       ORDER BY seq`,
+      [sessionId, parentIds.filter(Boolean), parentIds.includes(null)],
+    );
+    return rows.map((row) => ({ id: row.id, parentId: row.parent_id }));
+  }
+
+  // End of the conversation below messageId, following the most recent
+  // reply at every step; messageId itself when nothing follows it, null when
+  // it doesn't exist
+  async getLatestLeafId(sessionId, messageId) {
+    const { rows } = await this.pool.query(
+      `WITH RECURSIVE descent AS (
+         SELECT id, 0 AS depth
+         FROM chat_messages
+         WHERE session_id = $1 AND id = $2
+         UNION ALL
+         SELECT child.id, descent.depth + 1
+         FROM chat_messages child
+         JOIN descent ON child.parent_id = descent.id
+         WHERE child.session_id = $1
+           AND NOT EXISTS (
+             SELECT 1 FROM chat_messages later
+             WHERE later.session_id = $1
+               AND later.parent_id = child.parent_id
+               AND later.seq > child.seq
+           )
+       )
+       SELECT id FROM descent ORDER BY depth DESC LIMIT 1`,
+      [sessionId, messageId],
+    );
+    return rows[0]?.id ?? null;
+  }
+
+  // Same contract as SessionManager.listSessions
+  async listSessions(
+    ownerId,
+    { archived = false, limit = 20, offset = 0 } = {},
+  ) {
+    const conditions = ["owner_id = $1"];
+    const values = [ownerId];
+    if (archived !== "all") {
+      values.push(archived);
+      conditions.push(`archived = $${values.length}`);
+    }
+    const where = conditions.join(" AND ");
+
+    const [{ rows }, count] = await Promise.all([
+      this.pool.query(
+        `SELECT * FROM chat_sessions
+         WHERE ${where}
+         ORDER BY pinned DESC, last_activity DESC
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset],
+      ),
+      this.pool.query(
+        `SELECT count(*)::int AS total FROM chat_sessions WHERE ${where}`,
+        values,
+      ),
+    ]);
+
+    return {
+      sessions: rows.map(sessionFromRow),
+      total: count.rows[0].total,
+    };
+  }
+
+  // Same contract as the session stores' searchMessages; the GIN index on
+  // search_terms finds the messages containing every term
+  async searchMessages(ownerId, { terms, role, from, to, limit, offset }) {
+    const where = `session.owner_id = $1
+      AND message.search_terms @> $2::text[]
+      AND ($3::text IS NULL OR message.role = $3)
+      AND ($4::timestamptz IS NULL OR message.created_at >= $4)
+      AND ($5::timestamptz IS NULL OR message.created_at <= $5)`;
+    const values = [ownerId, terms, role || null, from || null, to || null];
+    const tables = `chat_messages message
+      JOIN chat_sessions session ON session.id = message.session_id`;
+
+    const [{ rows }, count] = await Promise.all([
+      this.pool.query(
+        `SELECT session.*,
+                message.data || jsonb_build_object('parentId', message.parent_id)
+                  AS message_data
+         FROM ${tables}
+         WHERE ${where}
+         ORDER BY message.created_at DESC, message.seq DESC
+         LIMIT $6 OFFSET $7`,
+        [...values, limit, offset],
+      ),
+      this.pool.query(
+        `SELECT count(*)::int AS total FROM ${tables} WHERE ${where}`,
+        values,
+      ),
+    ]);
+
+    return {
+      matches: rows.map((row) => ({
+        session: sessionFromRow(row),
+        message: row.message_data,
+      })),
+      total: count.rows[0].total,
+    };
+  }
+
+  async deleteSession(sessionId) {
+    await this.pool.query("DELETE FROM chat_sessions WHERE id = $1", [
+      sessionId,
+    ]);
+  }
+}
@@ -0,0 +1,526 @@
+import logger from "../../utils/logger.js";
+import { searchTerms } from "../../utils/messageSearch.js";
+import { matchesSearchFilters } from "./memorySessionStore.js";
+
+// Layout: session:<id> is a hash of JSON-encoded fields (integers encode as
+// themselves, so HINCRBY works on messageCount), messages:<id> a list of
+// JSON messages and user:<owner>:sessions a sorted set by activity.
+//
+// History search: an inverted index per session. search:<id> is the set of
+// the session's words and search:<id>:<word> the set of ids of its messages
+// containing the word. Every key expires with the session, and messages
+// trimmed from the list are removed from the index as they are dropped.
+// SEARCH_INDEX_MARKER marks that messages stored before this index were added.
+
+// KEYS: session hash, message list, owner index, search index
+// ARGV: message JSON, max kept, lastActivity JSON, lastActivity ms,
+//       auto title JSON ('' for none), default TTL, session id, message id JSON,
+//       message id, then the message's search terms
+// The appended message becomes the session's activeLeafId; sessions without a
+// title field (stored before titles existed) get the auto title too.
+// Returns { messageCount, ...messages trimmed from the list } or nil when the
+// session no longer exists. messageCount is a lifetime count: it keeps
+// counting messages LTRIM drops.
+const APPEND_MESSAGE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return nil
+end
+redis.call('RPUSH', KEYS[2], ARGV[1])
+local trimmed = redis.call('LRANGE', KEYS[2], 0, -tonumber(ARGV[2]) - 1)
+redis.call('LTRIM', KEYS[2], -tonumber(ARGV[2]), -1)
+local count = redis.call('HINCRBY', KEYS[1], 'messageCount', 1)
+redis.call('HSET', KEYS[1], 'lastActivity', ARGV[3], 'activeLeafId', ARGV[8])
+local title = redis.call('HGET', KEYS[1], 'title')
+if ARGV[5] ~= '' and (not title or title == 'null') then
+  redis.call('HSET', KEYS[1], 'title', ARGV[5], 'titleSource', '"auto"')
+end
+local ttl = tonumber(redis.call('HGET', KEYS[1], 'ttl')) or tonumber(ARGV[6])
+for i = 10, #ARGV do
+  redis.call('SADD', KEYS[4], ARGV[i])
+  redis.call('SADD', KEYS[4] .. ':' .. ARGV[i], ARGV[9])
+end
+for _, term in ipairs(redis.call('SMEMBERS', KEYS[4])) do
+  redis.call('EXPIRE', KEYS[4] .. ':' .. term, ttl)
+end
+redis.call('EXPIRE', KEYS[1], ttl)
+redis.call('EXPIRE', KEYS[2], ttl)
+redis.call('EXPIRE', KEYS[4], ttl)
+redis.call('ZADD', KEYS[3], ARGV[4], ARGV[7])
+table.insert(trimmed, 1, count)
+return trimmed
+`;
+
+// KEYS: search index; ARGV: message id, then the message's search terms.
+// Words no message contains any more leave the session's word set.
+const UNINDEX_MESSAGE_SCRIPT = `
+for i = 2, #ARGV do
+  local key = KEYS[1] .. ':' .. ARGV[i]
+  redis.call('SREM', key, ARGV[1])
+  if redis.call('SCARD', key) == 0 then
+    redis.call('SREM', KEYS[1], ARGV[i])
+  end
+end
+`;
+
+const SEARCH_INDEX_MARKER = "search-index:v3";
+
+function encodeSession(sessionData, fields) {
+  const hash = {};
+  for (const field of fields) {
+    if (field !== "expiresAt" && sessionData[field] !== undefined) {
+      hash[field] = JSON.stringify(sessionData[field]);
+    }
+  }
+  return hash;
+}
+
+// Rebuild session metadata from its hash; expiresAt comes from the key's
+// remaining lifetime
+function decodeSession(hash, pttl) {
+  if (!hash || Object.keys(hash).length === 0) {
+    return null;
+  }
+
+  const sessionData = {};
+  for (const [field, value] of Object.entries(hash)) {
+    sessionData[field] = JSON.parse(value);
+  }
+  if (pttl > 0) {
+    sessionData.expiresAt = new Date(Date.now() + pttl).toISOString();
+  }
+  return sessionData;
+}
+
+// Sessions stored before owners existed belong to the anonymous user
+function ownerKey(sessionData) {
+  return `user:${sessionData.ownerId || "anonymous"}:sessions`;
+}
+
+function searchKey(sessionId) {
+  return `search:${sessionId}`;
+}
+
+function searchTermKey(sessionId, term) {
+  return `${searchKey(sessionId)}:${term}`;
+}
+
+// Queue the commands adding messages to a session's search index, with every
+// key expiring after ttlMs when given
+function indexMessages(transaction, sessionId, messages, ttlMs) {
+  const messageIds = new Map();
+  for (const message of messages) {
+    for (const term of searchTerms(message.content)) {
+      messageIds.set(term, [...(messageIds.get(term) || []), message.id]);
+    }
+  }
+  if (messageIds.size === 0) {
+    return;
+  }
+
+  transaction.sadd(searchKey(sessionId), ...messageIds.keys());
+  for (const [term, ids] of messageIds) {
+    transaction.sadd(searchTermKey(sessionId, term), ...ids);
+  }
+  if (ttlMs > 0) {
+    transaction.pexpire(searchKey(sessionId), ttlMs);
+    for (const term of messageIds.keys()) {
+      transaction.pexpire(searchTermKey(sessionId, term), ttlMs);
+    }
+  }
+}
+
+// Session store in Redis; see memorySessionStore.js for the interface
+export class RedisSessionStore {
+  constructor(redis, options = {}) {
+    this.name = "redis";
+    this.redis = redis;
+    this.defaultTTL = options.defaultTTL;
+
+    this.redis.defineCommand("appendSessionMessage", {
+      numberOfKeys: 4,
+      lua: APPEND_MESSAGE_SCRIPT,
+    });
+    this.redis.defineCommand("unindexSessionMessage", {
+      numberOfKeys: 1,
+      lua: UNINDEX_MESSAGE_SCRIPT,
+    });
+  }
+
+  // False while the connection is down; SessionManager then fails over
+  isAvailable() {
+    return this.redis.status === "ready";
+  }
+
+  async getSession(sessionId) {
+    const [[, hash], [, pttl]] = await this.redis
+      .multi()
+      .hgetall(`session:${sessionId}`)
+      .pttl(`session:${sessionId}`)
+      .exec();
+    return decodeSession(hash, pttl);
+  }
+
+  // The session's word set and the message id set of each of its words
+  async searchKeys(sessionId) {
+    const terms = await this.redis.smembers(searchKey(sessionId));
+    return [
+      searchKey(sessionId),
+      ...terms.map((term) => searchTermKey(sessionId, term)),
+    ];
+  }
+
+  async saveSession(sessionData, { fields, replace }) {
+    const sessionKey = `session:${sessionData.id}`;
+    const messagesKey = `messages:${sessionData.id}`;
+    const ttl = sessionData.ttl || this.defaultTTL;
+    const indexKeys = await this.searchKeys(sessionData.id);
+    const transaction = this.redis.multi();
+
+    if (replace) {
+      transaction.del(sessionKey, messagesKey, ...indexKeys);
+    }
+    transaction
+      .hset(sessionKey, encodeSession(sessionData, fields))
+      .expire(sessionKey, ttl)
+      .expire(messagesKey, ttl);
+    if (!replace) {
+      for (const key of indexKeys) {
+        transaction.expire(key, ttl);
+      }
+    }
+    await transaction
+      .zadd(
+        ownerKey(sessionData),
+        Date.parse(sessionData.lastActivity),
+        sessionData.id,
+      )
+      .exec();
+  }
+
+  // Replace whatever is stored for the session in one step
+  async restoreSession(sessionData, messages) {
+    const sessionKey = `session:${sessionData.id}`;
+    const messagesKey = `messages:${sessionData.id}`;
+    const ttl = sessionData.ttl || this.defaultTTL;
+    const indexKeys = await this.searchKeys(sessionData.id);
+    const transaction = this.redis
+      .multi()
+      .del(sessionKey, messagesKey, ...indexKeys)
+      .hset(sessionKey, encodeSession(sessionData, Object.keys(sessionData)))
+      .expire(sessionKey, ttl);
+
+    if (messages.length > 0) {
+      transaction
+        .rpush(
+          messagesKey,
+          ...messages.map((message) => JSON.stringify(message)),
+        )
+        .expire(messagesKey, ttl);
+      indexMessages(transaction, sessionData.id, messages, ttl * 1000);
+    }
+    await transaction
+      .zadd(
+        ownerKey(sessionData),
+        Date.parse(sessionData.lastActivity),
+        sessionData.id,
+      )
+      .exec();
+  }
+
+  // Remove messages trimmed from the list from the search index
+  async unindexMessages(sessionId, messages) {
+    const pipeline = this.redis.pipeline();
+    for (const message of messages) {
+      const terms = searchTerms(message.content);
+      if (terms.length > 0) {
+        pipeline.unindexSessionMessage(
+          searchKey(sessionId),
+          message.id,
+          ...terms,
+        );
+      }
+    }
+    await pipeline.exec();
+  }
+
+  // Append, trim and update the metadata in one step so concurrent turns on
+  // the same session cannot drop each other's messages
+  async appendMessage(sessionData, message, options) {
+    const { title, lastActivity, maxMessages } = options;
+
+    const result = await this.redis.appendSessionMessage(
+      `session:${sessionData.id}`,
+      `messages:${sessionData.id}`,
+      ownerKey(sessionData),
+      searchKey(sessionData.id),
+      JSON.stringify(message),
+      maxMessages,
+      JSON.stringify(lastActivity),
+      Date.parse(lastActivity),
+      title ? JSON.stringify(title) : "",
+      this.defaultTTL,
+      sessionData.id,
+      JSON.stringify(message.id),
+      message.id,
+      ...searchTerms(message.content),
+    );
+    if (!result) {
+      return null;
+    }
+
+    const [count, ...trimmed] = result;
+    if (trimmed.length > 0) {
+      await this.unindexMessages(
+        sessionData.id,
+        trimmed.map((value) => JSON.parse(value)),
+      );
+    }
+    return count;
+  }
+
+  // Newest `limit` messages after skipping the latest `offset`
+  async getMessages(sessionId, { limit, offset }) {
+    const messages = await this.redis.lrange(
+      `messages:${sessionId}`,
+      -(limit + offset),
+      -(offset + 1),
+    );
+    return messages.map((message) => JSON.parse(message));
+  }
+
+  async allMessages(sessionId) {
+    const messages = await this.redis.lrange(`messages:${sessionId}`, 0, -1);
+    return messages.map((message) => JSON.parse(message));
+  }
+
+  async listSessions(ownerId) {
+    const key = `user:${ownerId}:sessions`;
+    const ids = await this.redis.zrevrange(key, 0, -1);
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const pipeline = this.redis.pipeline();
+    for (const id of ids) {
+      pipeline.hgetall(`session:${id}`).pttl(`session:${id}`);
+    }
+    const results = await pipeline.exec();
+    const sessions = ids.map((id, index) =>
+      decodeSession(results[index * 2][1], results[index * 2 + 1][1]),
+    );
+
+    // Sessions stored before owners existed only appear in their owner's
+    // index. Drop entries whose session expired or was recreated for
+    // another owner.
+    const owned = (session) =>
+      session && (session.ownerId ?? ownerId) === ownerId;
+    const stale = ids.filter((id, index) => !owned(sessions[index]));
+    if (stale.length > 0) {
+      await this.redis.zrem(key, ...stale);
+    }
+
+    return sessions.filter(owned).map((session) => ({ ownerId, ...session }));
+  }
+
+  // Intersect the word sets of the terms in each of the owner's sessions,
+  // then load the messages of sessions with hits to apply the role and date
+  // filters. Only hits on stored messages count towards the total.
+  async searchMessages(ownerId, { terms, role, from, to, limit, offset }) {
+    const sessions = await this.listSessions(ownerId);
+    if (sessions.length === 0) {
+      return { matches: [], total: 0 };
+    }
+
+    const pipeline = this.redis.pipeline();
+    for (const session of sessions) {
+      pipeline.sinter(...terms.map((term) => searchTermKey(session.id, term)));
+    }
+    const hits = await pipeline.exec();
+
+    const matches = [];
+    for (const [index, session] of sessions.entries()) {
+      const messageIds = new Set(hits[index][1] || []);
+      if (messageIds.size === 0) {
+        continue;
+      }
+      for (const message of await this.allMessages(session.id)) {
+        if (
+          messageIds.has(message.id) &&
+          matchesSearchFilters(message, { role, from, to })
+        ) {
+          matches.push({ session, message });
+        }
+      }
+    }
+
+    matches.sort((a, b) =>
+      (b.message.timestamp || b.session.lastActivity || "").localeCompare(
+        a.message.timestamp || a.session.lastActivity || "",
+      ),
+    );
+
+    return {
+      matches: matches.slice(offset, offset + limit),
+      total: matches.length,
+    };
+  }
+
+  async deleteSession(sessionId) {
+    const sessionData = await this.getSession(sessionId);
+    await this.redis.del(
+      `session:${sessionId}`,
+      `messages:${sessionId}`,
+      ...(await this.searchKeys(sessionId)),
+    );
+    if (sessionData) {
+      await this.redis.zrem(ownerKey(sessionData), sessionId);
+    }
+  }
+
+  // Index messages stored before the current search index existed, and
+  // delete the keys of the earlier indexes. Runs once per Redis database;
+  // returns how many messages were indexed.
+  async indexExistingMessages() {
+    let indexed = 0;
+
+    try {
+      if (!(await this.redis.set(SEARCH_INDEX_MARKER, "1", "NX"))) {
+        return indexed;
+      }
+      await this.deleteEarlierSearchKeys();
+
+      let cursor = "0";
+      do {
+        const [nextCursor, keys] = await this.redis.scan(
+          cursor,
+          "MATCH",
+          "messages:*",
+          "COUNT",
+          200,
+        );
+        cursor = nextCursor;
+
+        for (const key of keys) {
+          const sessionId = key.substring("messages:".length);
+          const [messages, pttl] = await Promise.all([
+            this.allMessages(sessionId),
+            this.redis.pttl(key),
+          ]);
+          if (messages.length === 0) {
+            continue;
+          }
+          const transaction = this.redis.multi();
+          indexMessages(transaction, sessionId, messages, pttl);
+          await transaction.exec();
+          indexed += messages.length;
+        }
+      } while (cursor !== "0");
+
+      if (indexed > 0) {
+        logger.info(`Indexed ${indexed} stored messages for history search`);
+      }
+    } catch (error) {
+      // Let the next start try again
+      await this.redis.del(SEARCH_INDEX_MARKER).catch(() => {});
+      logger.error("Failed to index stored messages for search:", error);
+    }
+
+    return indexed;
+  }
+
+  // Earlier indexes kept sorted sets per owner and word
+  // (search:<owner>:<word>) that never expired plus a search:indexed marker,
+  // then a hash per session at search:<id>. Everything under search: goes
+  // and is rebuilt from the stored messages.
+  async deleteEarlierSearchKeys() {
+    let cursor = "0";
+    do {
+      const [nextCursor, keys] = await this.redis.scan(
+        cursor,
+        "MATCH",
+        "search:*",
+        "COUNT",
+        200,
+      );
+      cursor = nextCursor;
+
+      if (keys.length > 0) {
+        await this.redis.del(...keys);
+      }
+    } while (cursor !== "0");
+  }
+
+  // Convert sessions stored by earlier versions (session:<id> and
+  // messages:<id> as JSON strings) to the hash/list layout, keeping their
+  // expiry. Safe to run repeatedly and from several instances at once: a
+  // key changed while being converted is left for the next run.
+  async migrateLegacyKeys(maxMessages) {
+    const migrated = { sessions: 0, messages: 0 };
+
+    try {
+      for (const [pattern, kind] of [
+        ["session:*", "sessions"],
+        ["messages:*", "messages"],
+      ]) {
+        let cursor = "0";
+        do {
+          const [nextCursor, keys] = await this.redis.scan(
+            cursor,
+            "MATCH",
+            pattern,
+            "COUNT",
+            200,
+          );
+          cursor = nextCursor;
+
+          for (const key of keys) {
+            if (await this.migrateLegacyKey(key, kind, maxMessages)) {
+              migrated[kind]++;
+            }
+          }
+        } while (cursor !== "0");
+      }
+
+      if (migrated.sessions > 0 || migrated.messages > 0) {
+        logger.info("Migrated legacy session keys", migrated);
+      }
+    } catch (error) {
+      logger.error("Failed to migrate legacy session keys:", error);
+    }
+
+    return migrated;
+  }
+
+  async migrateLegacyKey(key, kind, maxMessages) {
+    await this.redis.watch(key);
+    try {
+      if ((await this.redis.type(key)) !== "string") {
+        return false;
+      }
+
+      const [value, pttl] = await Promise.all([
+        this.redis.get(key),
+        this.redis.pttl(key),
+      ]);
+      const data = JSON.parse(value);
+      const transaction = this.redis.multi().del(key);
+
+      if (kind === "sessions") {
+        transaction.hset(key, encodeSession(data, Object.keys(data)));
+      } else if (Array.isArray(data) && data.length > 0) {
+        transaction.rpush(
+          key,
+          ...data.slice(-maxMessages).map((message) => JSON.stringify(message)),
+        );
+      }
+      if (pttl > 0) {
+        transaction.pexpire(key, pttl);
+      }
+
+      // null when the key changed after WATCH
+      return (await transaction.exec()) !== null;
+    } finally {
+      await this.redis.unwatch();
+    }
+  }
+}
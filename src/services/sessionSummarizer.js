@@ -0,0 +1,212 @@
+import logger from "../utils/logger.js";
+import { trimToTokens } from "../utils/tokenBudget.js";
+import { getSessionManager } from "./sessionManager.js";
+import { createLLMProvider, getDefaultProviderName } from "./llm/index.js";
+
+// How much of the active branch is looked at; the session store caches the
+// latest 100 messages
+const BRANCH_WINDOW = 100;
+// Most messages folded in one LLM call; more take several
+const MAX_BATCH = 30;
+// Longest excerpt of one message that goes into the summary prompt
+const MAX_MESSAGE_CHARS = 1500;
+
+function transcriptLine(message) {
+  const content = message.content.trim();
+  return `${message.role === "user" ? "User" : "Assistant"}: ${
+    content.length > MAX_MESSAGE_CHARS
+      ? `${content.substring(0, MAX_MESSAGE_CHARS)}...`
+      : content
+  }`;
+}
+
+// Rolling memory for long conversations. After each answer, once the active
+// branch has more than `recentMessages` messages past the current summary,
+// the older ones are folded into session.summary:
+//   { text, throughMessageId, messageCount, updatedAt }
+// throughMessageId is the last message the summary covers and messageCount
+// how many messages it covers. Prompts then carry the summary plus the
+// messages after it (see prepareTurn).
+export class SessionSummarizer {
+  constructor() {
+    // Latest messages always sent verbatim instead of summarised
+    this.recentMessages = parseInt(
+      process.env.SUMMARY_RECENT_MESSAGES ||
+        String(parseInt(process.env.CHAT_HISTORY_TURNS || "6", 10) * 2),
+      10,
+    );
+    // Fold at least this many messages per run, so not every turn costs a call
+    this.minBatch = Math.max(
+      1,
+      parseInt(process.env.SUMMARY_MIN_BATCH || "6", 10),
+    );
+    this.maxTokens = parseInt(process.env.SUMMARY_MAX_TOKENS || "400", 10);
+    this.llm = null;
+    this.runs = new Map(); // sessionId -> { again, done }
+
+    if (process.env.SESSION_SUMMARY !== "false") {
+      this.initializeLLM();
+    }
+  }
+
+  initializeLLM() {
+    const providerName =
+      process.env.SUMMARY_PROVIDER || getDefaultProviderName();
+
+    try {
+      const provider = createLLMProvider(providerName, {
+        model: process.env.SUMMARY_MODEL,
+      });
+
+      if (!provider.isAvailable()) {
+        logger.warn(
+          `LLM provider "${providerName}" not available, session summaries are off`,
+        );
+        return;
+      }
+
+      this.llm = provider;
+    } catch (error) {
+      logger.error("Failed to initialize summary LLM provider:", error);
+    }
+  }
+
+  isEnabled() {
+    return this.llm !== null;
+  }
+
+  // Summarise the session in the background. Calls made while a run for the
+  // session is in progress queue one more run after it. Resolves to the
+  // latest summary written, or null; never rejects.
+  schedule(sessionId) {
+    if (!this.isEnabled()) {
+      return Promise.resolve(null);
+    }
+
+    const queued = this.runs.get(sessionId);
+    if (queued) {
+      queued.again = true;
+      return queued.done;
+    }
+
+    const run = { again: false };
+    run.done = (async () => {
+      let summary = null;
+      do {
+        run.again = false;
+        try {
+          summary = (await this.summarize(sessionId)) || summary;
+        } catch (error) {
+          logger.warn("Failed to summarize session", {
+            sessionId: sessionId.substring(0, 8),
+            error: error.message,
+          });
+        }
+      } while (run.again);
+
+      this.runs.delete(sessionId);
+      return summary;
+    })();
+    this.runs.set(sessionId, run);
+    return run.done;
+  }
+
+  // Fold the messages of the active branch that are neither summarised nor
+  // among the recent ones into the summary. Returns the new summary, or null
+  // when there wasn't enough to fold.
+  async summarize(sessionId) {
+    const sessionManager = getSessionManager();
+    const sessionData = await sessionManager.getSession(sessionId);
+    if (!sessionData) {
+      return null;
+    }
+
+    const branch = await sessionManager.getMessages(sessionId, {
+      limit: BRANCH_WINDOW,
+    });
+
+    // A summary of another branch (or of messages no longer within reach)
+    // is replaced by one of this branch
+    let previous = sessionData.summary || null;
+    const summarizedIndex = previous
+      ? branch.findIndex((message) => message.id === previous.throughMessageId)
+      : -1;
+    if (summarizedIndex === -1) {
+      previous = null;
+    }
+
+    const pending = branch.slice(
+      summarizedIndex + 1,
+      Math.max(summarizedIndex + 1, branch.length - this.recentMessages),
+    );
+    let summary = previous;
+    for (
+      let start = 0;
+      pending.length - start >= this.minBatch;
+      start += MAX_BATCH
+    ) {
+      const batch = pending.slice(start, start + MAX_BATCH);
+      const text = await this.fold(summary?.text, batch);
+      if (!text) {
+        break;
+      }
+      summary = {
+        text,
+        throughMessageId: batch.at(-1).id,
+        messageCount: (summary?.messageCount || 0) + batch.length,
+        updatedAt: new Date().toISOString(),
+      };
+    }
+    if (summary === previous) {
+      return null;
+    }
+
+    await sessionManager.saveSummary(sessionId, summary);
+
+    logger.debug("Session summary updated", {
+      sessionId: sessionId.substring(0, 8),
+      messageCount: summary.messageCount,
+    });
+    return summary;
+  }
+
+  // Ask the LLM for the summary with messages folded into it
+  async fold(previousText, messages) {
+    const transcript = messages
+      .filter(
+        (message) =>
+          (message.role === "user" || message.role === "assistant") &&
+          typeof message.content === "string" &&
+          message.content.trim().length > 0,
+      )
+      .map(transcriptLine)
+      .join("\n");
+
+    const prompt = `Update the running summary of a conversation between a user and a news assistant by folding in the new messages below. Keep what later questions may refer back to: the topics and questions raised, names, places, dates and figures, the answers' main conclusions and any preferences the user stated. Drop greetings and repetition. Write plain prose in the third person, at most ${Math.floor(this.maxTokens * 0.75)} words. Return only the summary.
+
+Summary so far:
+${previousText || "(none)"}
+
+New messages:
+${transcript}
+
+Updated summary:`;
+
+    const { text } = await this.llm.generate(prompt, {
+      task: "summarize",
+      temperature: 0,
+      maxTokens: this.maxTokens,
+    });
+    return trimToTokens(text.trim(), this.maxTokens, this.llm.name);
+  }
+}
+
+let sharedSummarizer = null;
+
+// One instance per process so concurrent turns share the run queue
+export function getSessionSummarizer() {
+  if (!sharedSummarizer) {
+    sharedSummarizer = new SessionSummarizer();
+  }
+  return sharedSummarizer;
+}
@@ -0,0 +1,266 @@
+import { createHash, randomBytes } from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import { getPostgresPool, getRedisClient } from "../config/services.js";
+import logger from "../utils/logger.js";
+
+// Without Postgres: share:<token hash> holds the record (expiring with the
+// link) and shares:<sessionId> maps the session's share ids to token hashes
+const SHARE_PREFIX = "share:";
+const SESSION_SHARES_PREFIX = "shares:";
+
+// Process-local fallback when neither Postgres nor Redis is available:
+// token hash -> record
+const memoryShares = new Map();
+
+// Links carry the token; only its hash is stored, like API keys
+export function hashShareToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+function isExpired(record, now = Date.now()) {
+  return !!record.expiresAt && Date.parse(record.expiresAt) <= now;
+}
+
+// What the session owner sees of a link; the token is only returned once,
+// when the link is created
+export function describeShare(record) {
+  return {
+    id: record.id,
+    sessionId: record.sessionId,
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt,
+    messageCount: record.snapshot.messages.length,
+  };
+}
+
+function shareFromRow(row) {
+  return {
+    id: row.id,
+    tokenHash: row.token_hash,
+    sessionId: row.session_id,
+    ownerId: row.owner_id,
+    snapshot: row.snapshot,
+    createdAt: new Date(row.created_at).toISOString(),
+    expiresAt: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+  };
+}
+
+// Read-only share links to a snapshot of a conversation. Stored in Postgres
+// when DATABASE_URL is set, otherwise in Redis (in memory without Redis).
+// Expired links are treated as missing; revoking a link deletes it.
+export class ShareService {
+  // Store a link to snapshot (a transcript, see buildSharedTranscript).
+  // expiresAt is an ISO date or null. Returns { token, share }.
+  async create({ sessionId, ownerId, snapshot, expiresAt = null }) {
+    const token = randomBytes(24).toString("base64url");
+    const record = {
+      id: uuidv4(),
+      tokenHash: hashShareToken(token),
+      sessionId,
+      ownerId,
+      snapshot,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+    };
+
+    const pool = getPostgresPool();
+    if (pool) {
+      await pool.query(
+        `INSERT INTO session_shares
+           (id, token_hash, session_id, owner_id, snapshot, created_at, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          record.id,
+          record.tokenHash,
+          sessionId,
+          ownerId,
+          JSON.stringify(snapshot),
+          record.createdAt,
+          expiresAt,
+        ],
+      );
+      return { token, share: record };
+    }
+
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        const key = SHARE_PREFIX + record.tokenHash;
+        const transaction = redis
+          .multi()
+          .set(key, JSON.stringify(record))
+          .hset(SESSION_SHARES_PREFIX + sessionId, record.id, record.tokenHash);
+        if (expiresAt) {
+          transaction.pexpireat(key, Date.parse(expiresAt));
+        }
+        await transaction.exec();
+        return { token, share: record };
+      } catch (error) {
+        logger.warn("Failed to store share link in Redis", {
+          error: error.message,
+        });
+      }
+    }
+
+    memoryShares.set(record.tokenHash, record);
+    return { token, share: record };
+  }
+
+  // The live link for a token, or null when it is unknown, revoked or expired
+  async resolve(token) {
+    if (typeof token !== "string" || !token) {
+      return null;
+    }
+    const tokenHash = hashShareToken(token);
+
+    const pool = getPostgresPool();
+    if (pool) {
+      const { rows } = await pool.query(
+        `SELECT * FROM session_shares
+         WHERE token_hash = $1 AND (expires_at IS NULL OR expires_at > now())`,
+        [tokenHash],
+      );
+      return rows[0] ? shareFromRow(rows[0]) : null;
+    }
+
+    let record = memoryShares.get(tokenHash);
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        const value = await redis.get(SHARE_PREFIX + tokenHash);
+        record = value ? JSON.parse(value) : record;
+      } catch (error) {
+        logger.warn("Failed to read share link from Redis", {
+          error: error.message,
+        });
+      }
+    }
+
+    return record && !isExpired(record) ? record : null;
+  }
+
+  // The session's live links, oldest first
+  async list(sessionId) {
+    const pool = getPostgresPool();
+    if (pool) {
+      const { rows } = await pool.query(
+        `SELECT * FROM session_shares
+         WHERE session_id = $1 AND (expires_at IS NULL OR expires_at > now())
+         ORDER BY created_at`,
+        [sessionId],
+      );
+      return rows.map(shareFromRow);
+    }
+
+    let records = [...memoryShares.values()].filter(
+      (record) => record.sessionId === sessionId,
+    );
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        records = await this.listFromRedis(redis, sessionId);
+      } catch (error) {
+        logger.warn("Failed to list share links from Redis", {
+          error: error.message,
+        });
+      }
+    }
+
+    return records
+      .filter((record) => !isExpired(record))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // Links whose record expired are dropped from the session's index
+  async listFromRedis(redis, sessionId) {
+    const indexKey = SESSION_SHARES_PREFIX + sessionId;
+    const index = await redis.hgetall(indexKey);
+    const ids = Object.keys(index);
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const values = await redis.mget(
+      ...ids.map((id) => SHARE_PREFIX + index[id]),
+    );
+    const gone = ids.filter((id, position) => !values[position]);
+    if (gone.length > 0) {
+      await redis.hdel(indexKey, ...gone);
+    }
+    return values.filter(Boolean).map((value) => JSON.parse(value));
+  }
+
+  // Delete one of the session's links; false when there is no such link
+  async revoke(sessionId, shareId) {
+    const pool = getPostgresPool();
+    if (pool) {
+      const { rowCount } = await pool.query(
+        "DELETE FROM session_shares WHERE session_id = $1 AND id = $2",
+        [sessionId, shareId],
+      );
+      return rowCount > 0;
+    }
+
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        const indexKey = SESSION_SHARES_PREFIX + sessionId;
+        const tokenHash = await redis.hget(indexKey, shareId);
+        if (!tokenHash) {
+          return false;
+        }
+        const [[, deleted]] = await redis
+          .multi()
+          .del(SHARE_PREFIX + tokenHash)
+          .hdel(indexKey, shareId)
+          .exec();
+        return deleted > 0;
+      } catch (error) {
+        logger.warn("Failed to revoke share link in Redis", {
+          error: error.message,
+        });
+      }
+    }
+
+    for (const [tokenHash, record] of memoryShares) {
+      if (record.sessionId === sessionId && record.id === shareId) {
+        memoryShares.delete(tokenHash);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Delete every link to the session, e.g. when it is deleted
+  async revokeAll(sessionId) {
+    const pool = getPostgresPool();
+    if (pool) {
+      await pool.query("DELETE FROM session_shares WHERE session_id = $1", [
+        sessionId,
+      ]);
+      return;
+    }
+
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        const indexKey = SESSION_SHARES_PREFIX + sessionId;
+        const tokenHashes = Object.values(await redis.hgetall(indexKey));
+        await redis.del(
+          indexKey,
+          ...tokenHashes.map((tokenHash) => SHARE_PREFIX + tokenHash),
+        );
+      } catch (error) {
+        logger.warn("Failed to revoke share links in Redis", {
+          error: error.message,
+        });
+      }
+    }
+
+    for (const [tokenHash, record] of memoryShares) {
+      if (record.sessionId === sessionId) {
+        memoryShares.delete(tokenHash);
+      }
+    }
+  }
+}
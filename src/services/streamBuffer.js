@@ -0,0 +1,118 @@
+import { getRedisClient } from "../config/services.js";
+import logger from "../utils/logger.js";
+
+const KEY_PREFIX = "stream:";
+
+// Process-local fallback when Redis is unavailable: streamId -> { events, done, expiresAt }
+const memoryStreams = new Map();
+
+// Buffers the events of an SSE answer stream so a client that reconnects with
+// Last-Event-ID can replay what it missed. Events are { seq, event, data }
+// with seq increasing from 1 per stream.
+export class StreamBufferService {
+  constructor() {
+    this.ttl = parseInt(process.env.STREAM_BUFFER_TTL || "300", 10);
+  }
+
+  eventsKey(streamId) {
+    return `${KEY_PREFIX}${streamId}:events`;
+  }
+
+  doneKey(streamId) {
+    return `${KEY_PREFIX}${streamId}:done`;
+  }
+
+  async append(streamId, entry) {
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        const key = this.eventsKey(streamId);
+        await redis
+          .multi()
+          .rpush(key, JSON.stringify(entry))
+          .expire(key, this.ttl)
+          .exec();
+        return;
+      } catch (error) {
+        logger.warn("Failed to buffer stream event in Redis", {
+          error: error.message,
+        });
+      }
+    }
+
+    this.pruneMemory();
+    const stream = memoryStreams.get(streamId) || { events: [], done: false };
+    stream.events.push(entry);
+    stream.expiresAt = Date.now() + this.ttl * 1000;
+    memoryStreams.set(streamId, stream);
+  }
+
+  async markDone(streamId) {
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        await redis.set(this.doneKey(streamId), "1", "EX", this.ttl);
+        return;
+      } catch (error) {
+        logger.warn("Failed to mark stream done in Redis", {
+          error: error.message,
+        });
+      }
+    }
+
+    const stream = memoryStreams.get(streamId);
+    if (stream) {
+      stream.done = true;
+    }
+  }
+
+  // Events after afterSeq, and whether the stream has finished. Returns null
+  // when nothing is buffered for the stream (unknown or expired).
+  async read(streamId, afterSeq = 0) {
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        const [[, raw], [, done]] = await redis
+          .multi()
+          .lrange(this.eventsKey(streamId), 0, -1)
+          .get(this.doneKey(streamId))
+          .exec();
+        if (raw.length > 0) {
+          return {
+            events: raw
+              .map((item) => JSON.parse(item))
+              .filter((entry) => entry.seq > afterSeq),
+            done: !!done,
+          };
+        }
+      } catch (error) {
+        logger.warn("Failed to read stream buffer from Redis", {
+          error: error.message,
+        });
+      }
+    }
+
+    return this.readMemory(streamId, afterSeq);
+  }
+
+  readMemory(streamId, afterSeq) {
+    this.pruneMemory();
+    const stream = memoryStreams.get(streamId);
+    if (!stream) {
+      return null;
+    }
+    return {
+      events: stream.events.filter((entry) => entry.seq > afterSeq),
+      done: stream.done,
+    };
+  }
+
+  pruneMemory() {
+    const now = Date.now();
+    for (const [streamId, stream] of memoryStreams) {
+      if (stream.expiresAt <= now) {
+        memoryStreams.delete(streamId);
+      }
+    }
+  }
+}
@@ -1,5 +1,7 @@
 import { QdrantClient } from "@qdrant/js-client-rest";
 import logger from "../utils/logger.js";
+import { getKeywordIndex } from "./keywordIndex.js";
+import { SemanticCacheService } from "./semanticCache.js";
 
 export class VectorStoreService {
   constructor() {
@@ -58,12 +60,71 @@ export class VectorStoreService {
       } else {
         logger.info(`Collection ${this.collectionName} already exists`);
       }
+
+      await this.ensurePayloadIndexes();
     } catch (error) {
       logger.error("Failed to ensure collection exists:", error);
       throw error;
     }
   }
 
+  // Payload indexes backing the retrieval filters
+  async ensurePayloadIndexes() {
+    const indexes = [
+      { field: "publishedTs", schema: "integer" },
+      { field: "sourceKey", schema: "keyword" },
+      { field: "country", schema: "keyword" },
+      { field: "category", schema: "keyword" },
+      { field: "language", schema: "keyword" },
+    ];
+
+    for (const { field, schema } of indexes) {
+      try {
+        await this.client.createPayloadIndex(this.collectionName, {
+          field_name: field,
+          field_schema: schema,
+          wait: true,
+        });
+      } catch (error) {
+        // Creating an index that already exists is not an error we care about
+        logger.debug(`Payload index on ${field} not created`, {
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  // Translate retrieval constraints into a Qdrant filter: every constrained
+  // field is a `must` clause that matches any of the requested values
+  buildFilter(options = {}) {
+    const must = [];
+    const keywordFilters = {
+      sourceKey: options.sources,
+      country: options.countries,
+      category: options.categories,
+      language: options.languages,
+    };
+
+    for (const [key, values] of Object.entries(keywordFilters)) {
+      if (Array.isArray(values) && values.length > 0) {
+        must.push({ key, match: { any: values } });
+      }
+    }
+
+    if (options.dateRange) {
+      const range = {};
+      if (options.dateRange.from) {
+        range.gte = Date.parse(options.dateRange.from);
+      }
+      if (options.dateRange.to) {
+        range.lte = Date.parse(options.dateRange.to);
+      }
+      must.push({ key: "publishedTs", range });
+    }
+
+    return must.length > 0 ? { must } : undefined;
+  }
+
   async upsertVectors(vectors) {
     if (!this.client) {
       logger.warn("Qdrant client not initialized, skipping vector upsert");
@@ -76,6 +137,7 @@ export class VectorStoreService {
         vector: vector.embedding,
         payload: {
           content: vector.content,
+          chunkId: vector.id,
           ...vector.metadata,
         },
       }));
@@ -100,6 +162,9 @@ export class VectorStoreService {
       logger.info(
         `Successfully upserted ${points.length} vectors to ${this.collectionName}`,
       );
+
+      // Cached answers predate these articles
+      await new SemanticCacheService().invalidate();
       return true;
     } catch (error) {
       logger.error("Failed to upsert vectors:", error);
@@ -107,7 +172,9 @@ export class VectorStoreService {
     }
   }
 
-  async searchSimilar(queryVector, limit = 5, threshold = 0.7) {
+  // options: dateRange { from, to } plus sources, countries, categories and
+  // languages (lowercase value lists), see buildFilter
+  async searchSimilar(queryVector, limit = 5, threshold = 0.7, options = {}) {
     if (!this.client) {
       logger.warn("Qdrant client not initialized, returning empty results");
       return [];
@@ -119,6 +186,7 @@ export class VectorStoreService {
         limit,
         score_threshold: threshold,
         with_payload: true,
+        filter: this.buildFilter(options),
       });
 
       const results = searchResult.map((result) => ({
@@ -129,10 +197,18 @@ export class VectorStoreService {
           title: result.payload.title,
           url: result.payload.url,
           source: result.payload.source,
+          country: result.payload.country,
+          category: result.payload.category,
+          language: result.payload.language,
           publishedAt: result.payload.publishedAt,
           author: result.payload.author,
           description: result.payload.description,
           image: result.payload.image,
+          chunkId: result.payload.chunkId,
+          chunkIndex: result.payload.chunkIndex,
+          totalChunks: result.payload.totalChunks,
+          chunkOffset: result.payload.chunkOffset,
+          chunkLength: result.payload.chunkLength,
         },
       }));
 
@@ -195,6 +271,24 @@ export class VectorStoreService {
     }
   }
 
+  // Ids of every point, a page at a time, optionally narrowed by a filter
+  async *scrollPoints(filter, withPayload = false) {
+    let offset;
+    do {
+      const page = await this.client.scroll(this.collectionName, {
+        limit: 256,
+        offset,
+        filter,
+        with_payload: withPayload,
+        with_vector: false,
+      });
+      yield page.points;
+      offset = page.next_page_offset ?? undefined;
+    } while (offset !== undefined);
+  }
+
+  // Delete every point, whatever its source, and empty the keyword index
+  // that mirrors them
   async clearCollection() {
     if (!this.client) {
       logger.warn("Qdrant client not initialized");
@@ -202,28 +296,20 @@ export class VectorStoreService {
     }
 
     try {
-      // Delete all points in the collection
-      await this.client.delete(this.collectionName, {
-        filter: {
-          must: [
-            {
-              key: "source",
-              match: {
-                any: [
-                  "BBC News",
-                  "CNN",
-                  "Reuters",
-                  "The Guardian",
-                  "NewsAPI",
-                  "RSS Feed",
-                ],
-              },
-            },
-          ],
-        },
-      });
+      let deleted = 0;
+      for await (const points of this.scrollPoints()) {
+        if (points.length === 0) continue;
+        await this.client.delete(this.collectionName, {
+          wait: true,
+          points: points.map((point) => point.id),
+        });
+        deleted += points.length;
+      }
+      await getKeywordIndex().clear();
 
-      logger.info(`Collection ${this.collectionName} cleared successfully`);
+      logger.info(
+        `Collection ${this.collectionName} cleared successfully (${deleted} points)`,
+      );
       return true;
     } catch (error) {
       logger.error("Failed to clear collection:", error);
@@ -231,6 +317,53 @@ export class VectorStoreService {
     }
   }
 
+  // Points ingested before the filter fields existed have no publishedTs or
+  // sourceKey, so date and source filters skip them. Both are derived from
+  // publishedAt and source. country comes from the feed list and can't be
+  // recovered; those points match country filters only once re-ingested.
+  async backfillFilterFields() {
+    if (!this.client) {
+      logger.warn("Qdrant client not initialized, skipping payload backfill");
+      return 0;
+    }
+
+    try {
+      const filter = {
+        should: [
+          { is_empty: { key: "publishedTs" } },
+          { is_empty: { key: "sourceKey" } },
+        ],
+      };
+      let updated = 0;
+      for await (const points of this.scrollPoints(filter, true)) {
+        for (const point of points) {
+          const payload = {};
+          const publishedTs = Date.parse(point.payload.publishedAt);
+          if (point.payload.publishedTs == null && !Number.isNaN(publishedTs)) {
+            payload.publishedTs = publishedTs;
+          }
+          if (point.payload.sourceKey == null && point.payload.source) {
+            payload.sourceKey = point.payload.source.toLowerCase();
+          }
+          if (Object.keys(payload).length === 0) continue;
+
+          await this.client.setPayload(this.collectionName, {
+            wait: true,
+            payload,
+            points: [point.id],
+          });
+          updated += 1;
+        }
+      }
+
+      logger.info(`Backfilled filter fields on ${updated} points`);
+      return updated;
+    } catch (error) {
+      logger.error("Failed to backfill filter fields:", error);
+      return 0;
+    }
+  }
+
   // Health check for the vector store service
   async healthCheck() {
     try {
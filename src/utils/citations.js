@@ -0,0 +1,47 @@
+// Inline citation markers the model may emit: [1], [1, 3], [Source 2]
+export const CITATION_PATTERN =
+  /\[(?:sources?\s+)?(\d+(?:\s*,\s*\d+)*)\](?!\()/gi;
+
+// Rewrite every marker as canonical [N] markers pointing at sources[N - 1],
+// dropping numbers with no matching source. Returns the cleaned content and
+// one citation per marker with its position in that content.
+export function resolveCitations(content, sources = []) {
+  const citations = [];
+  let output = "";
+  let last = 0;
+  let stripped = 0;
+
+  for (const match of content.matchAll(CITATION_PATTERN)) {
+    output += content.slice(last, match.index);
+    last = match.index + match[0].length;
+
+    const ids = [
+      ...new Set(match[1].split(",").map((n) => parseInt(n.trim(), 10))),
+    ].filter((id) => id >= 1 && id <= sources.length);
+    stripped += match[1].split(",").length - ids.length;
+
+    if (ids.length === 0) {
+      // "claim [9]." -> "claim."
+      output = output.replace(/[ \t]+$/, "");
+      continue;
+    }
+
+    for (const id of ids) {
+      const source = sources[id - 1];
+      const start = output.length;
+      output += `[${id}]`;
+      citations.push({
+        sourceId: id,
+        start,
+        end: output.length,
+        url: source.url,
+        chunkId: source.chunkId,
+        chunkOffset: source.chunkOffset,
+      });
+    }
+  }
+
+  output += content.slice(last);
+
+  return { content: output, citations, stripped };
+}
@@ -0,0 +1,64 @@
+import { STOPWORDS } from "./tokenize.js";
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const SNIPPET_LENGTH = 160;
+
+function normalizeWord(word) {
+  return word.toLowerCase().normalize("NFKC");
+}
+
+function isSearchable(word) {
+  return !STOPWORDS.has(word) && (word.length > 1 || /\d/.test(word));
+}
+
+// Distinct lowercase words of a message, as indexed for history search.
+// Unlike tokenize(), dotted and hyphenated tokens are only split, so the
+// Postgres migration can derive the same terms in SQL.
+export function searchTerms(text = "") {
+  const words = normalizeWord(String(text)).match(WORD_PATTERN) || [];
+  return [...new Set(words.filter(isSearchable))];
+}
+
+// Whether a message contains every term
+export function matchesTerms(content, terms) {
+  const words = new Set(searchTerms(content));
+  return terms.every((term) => words.has(term));
+}
+
+// Up to SNIPPET_LENGTH characters of content around the first matching word,
+// on one line, with the position of each matching word in the snippet:
+// { snippet, highlights: [{ start, length }] }
+export function buildSnippet(content = "", terms = []) {
+  const wanted = new Set(terms);
+  const matches = [...content.matchAll(WORD_PATTERN)].filter((match) =>
+    wanted.has(normalizeWord(match[0])),
+  );
+
+  // Start a little before the first match, at a word boundary
+  let start = 0;
+  if (matches.length > 0 && content.length > SNIPPET_LENGTH) {
+    start = Math.max(0, matches[0].index - SNIPPET_LENGTH / 4);
+    const space = content.indexOf(" ", start - 1);
+    if (start > 0 && space !== -1 && space < matches[0].index) {
+      start = space + 1;
+    }
+  }
+  const end = Math.min(content.length, start + SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? "…" : "";
+  const snippet =
+    prefix +
+    content.substring(start, end).replace(/\s/g, " ") +
+    (end < content.length ? "…" : "");
+
+  const highlights = matches
+    .filter(
+      (match) => match.index >= start && match.index + match[0].length <= end,
+    )
+    .map((match) => ({
+      start: match.index - start + prefix.length,
+      length: match[0].length,
+    }));
+
+  return { snippet, highlights };
+}
@@ -0,0 +1,56 @@
+import { tokenize } from "./tokenize.js";
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let intersection = 0;
+  for (const term of a) {
+    if (b.has(term)) intersection += 1;
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+// Maximal marginal relevance over reranked chunks. Chunks of the same article
+// count as fully redundant, and at most `maxPerArticle` chunks per article are
+// taken while other articles are still available.
+export function applyMMR(candidates, options = {}) {
+  const { limit = 5, lambda = 0.7, maxPerArticle = 2 } = options;
+
+  const pool = candidates.map((candidate) => ({
+    candidate,
+    article: candidate.metadata?.url || String(candidate.id),
+    terms: new Set(tokenize(candidate.content || "")),
+  }));
+  const selected = [];
+  const perArticle = new Map();
+
+  const similarity = (a, b) =>
+    a.article === b.article ? 1 : jaccard(a.terms, b.terms);
+
+  while (selected.length < limit && pool.length > 0) {
+    const underCap = pool.filter(
+      (item) => (perArticle.get(item.article) || 0) < maxPerArticle,
+    );
+    const eligible = underCap.length > 0 ? underCap : pool;
+
+    let best = null;
+    let bestScore = -Infinity;
+    for (const item of eligible) {
+      const redundancy = selected.reduce(
+        (max, chosen) => Math.max(max, similarity(item, chosen)),
+        0,
+      );
+      const score =
+        lambda * (item.candidate.rerankScore ?? 0) - (1 - lambda) * redundancy;
+      if (score > bestScore) {
+        best = item;
+        bestScore = score;
+      }
+    }
+
+    selected.push(best);
+    pool.splice(pool.indexOf(best), 1);
+    perArticle.set(best.article, (perArticle.get(best.article) || 0) + 1);
+  }
+
+  return selected.map((item) => item.candidate);
+}
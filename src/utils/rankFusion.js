@@ -0,0 +1,46 @@
+// Stable identity for a chunk across retrievers (Qdrant point ids are hashes,
+// the keyword index uses the original chunk id)
+export function getChunkKey(result) {
+  const metadata = result.metadata || {};
+  if (metadata.chunkId) {
+    return metadata.chunkId;
+  }
+  if (metadata.url && metadata.chunkIndex !== undefined) {
+    return `${metadata.url}-${metadata.chunkIndex}`;
+  }
+  return String(result.id);
+}
+
+// Merge ranked result lists with weighted reciprocal rank fusion:
+// fusionScore = sum(weight / (k + rank)) over every list a chunk appears in
+export function reciprocalRankFusion(rankings, options = {}) {
+  const k = options.k ?? 60;
+  const fused = new Map();
+
+  for (const { name, results = [], weight = 1 } of rankings) {
+    if (weight <= 0) continue;
+
+    results.forEach((result, index) => {
+      const key = getChunkKey(result);
+      const entry = fused.get(key) || {
+        ...result,
+        score: null,
+        fusionScore: 0,
+        retrievers: {},
+      };
+
+      entry.fusionScore += weight / (k + index + 1);
+      entry.retrievers[name] = { rank: index + 1, score: result.score };
+
+      // Prefer the dense similarity as the displayed score when available
+      if (name === "vector") {
+        entry.id = result.id;
+        entry.score = result.score;
+      }
+
+      fused.set(key, entry);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.fusionScore - a.fusionScore);
+}
@@ -0,0 +1,364 @@
+import { isSupportedProvider, listProviders } from "../services/llm/index.js";
+import {
+  FEEDBACK_RATINGS,
+  FEEDBACK_REASONS,
+  MAX_FEEDBACK_COMMENT_LENGTH,
+} from "../services/feedbackService.js";
+
+const FILTER_LISTS = ["sources", "countries", "categories", "languages"];
+const MAX_FILTER_VALUES = 20;
+
+// Query-string values may arrive as JSON text (?filters={"sources":[...]})
+function parseJSONParam(value, name) {
+  if (typeof value !== "string") {
+    return { value };
+  }
+  try {
+    return { value: JSON.parse(value) };
+  } catch {
+    return { error: `${name} must be a JSON object` };
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+export const MAX_MESSAGE_LENGTH = 4000;
+
+// Checks shared by every chat entry point. Returns { error } or the request
+// with normalized filters/retrieval options. options.requireMessage = false
+// is for requests that reuse a stored message (regenerate).
+export function validateChatRequest(input = {}, options = {}) {
+  const { sessionId, message, provider, model } = input;
+  const requireMessage = options.requireMessage !== false;
+
+  if (!sessionId || (requireMessage && !message)) {
+    return {
+      error: requireMessage
+        ? "Missing required fields: sessionId and message"
+        : "Missing required field: sessionId",
+    };
+  }
+
+  if (typeof sessionId !== "string") {
+    return { error: "sessionId must be a string" };
+  }
+
+  if (requireMessage || message !== undefined) {
+    if (typeof message !== "string" || message.trim().length === 0) {
+      return { error: "Message must be a non-empty string" };
+    }
+
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      return {
+        error: `Message too long. Maximum ${MAX_MESSAGE_LENGTH} characters allowed.`,
+      };
+    }
+  }
+
+  const selectionError = validateModelSelection(provider, model);
+  if (selectionError) {
+    return { error: selectionError };
+  }
+
+  const retrievalOptions = validateRetrievalOptions(
+    input.filters,
+    input.retrieval,
+  );
+  if (retrievalOptions.error) {
+    return { error: retrievalOptions.error };
+  }
+
+  return {
+    sessionId,
+    message,
+    provider,
+    model,
+    filters: retrievalOptions.filters,
+    retrieval: retrievalOptions.retrieval,
+  };
+}
+
+// Validate optional per-request provider/model overrides
+export function validateModelSelection(provider, model) {
+  if (provider !== undefined && !isSupportedProvider(provider)) {
+    return `Unsupported provider. Expected one of: ${listProviders().join(", ")}`;
+  }
+
+  if (
+    model !== undefined &&
+    (typeof model !== "string" ||
+      model.trim().length === 0 ||
+      model.length > 100)
+  ) {
+    return "Model must be a non-empty string of at most 100 characters";
+  }
+
+  return null;
+}
+
+function normalizeList(value, name) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length > MAX_FILTER_VALUES) {
+    return {
+      error: `filters.${name} accepts at most ${MAX_FILTER_VALUES} values`,
+    };
+  }
+
+  const normalized = [];
+  for (const item of list) {
+    if (typeof item !== "string" || !item.trim() || item.length > 100) {
+      return {
+        error: `filters.${name} must contain non-empty strings of at most 100 characters`,
+      };
+    }
+    normalized.push(item.trim().toLowerCase());
+  }
+
+  return { value: [...new Set(normalized)] };
+}
+
+function normalizeDateRange(value) {
+  if (!isPlainObject(value)) {
+    return { error: "filters.dateRange must be an object with from and/or to" };
+  }
+
+  const range = {};
+  for (const key of ["from", "to"]) {
+    if (value[key] === undefined || value[key] === null || value[key] === "") {
+      range[key] = null;
+      continue;
+    }
+    const timestamp = Date.parse(value[key]);
+    if (Number.isNaN(timestamp)) {
+      return { error: `filters.dateRange.${key} must be an ISO 8601 date` };
+    }
+    range[key] = new Date(timestamp).toISOString();
+  }
+
+  if (!range.from && !range.to) {
+    return { error: "filters.dateRange needs at least one of from or to" };
+  }
+  if (range.from && range.to && range.from > range.to) {
+    return {
+      error: "filters.dateRange.from must be before filters.dateRange.to",
+    };
+  }
+
+  return { value: range };
+}
+
+// Validate and normalize the optional `filters` and `retrieval` request
+// fields. Returns { error } or { filters, retrieval } (undefined when absent).
+export function validateRetrievalOptions(rawFilters, rawRetrieval) {
+  const result = { filters: undefined, retrieval: undefined };
+
+  if (rawFilters !== undefined) {
+    const parsed = parseJSONParam(rawFilters, "filters");
+    if (parsed.error) return { error: parsed.error };
+    if (!isPlainObject(parsed.value)) {
+      return { error: "filters must be an object" };
+    }
+
+    const filters = {};
+    for (const [key, value] of Object.entries(parsed.value)) {
+      if (FILTER_LISTS.includes(key)) {
+        const list = normalizeList(value, key);
+        if (list.error) return { error: list.error };
+        filters[key] = list.value;
+      } else if (key === "dateRange") {
+        const range = normalizeDateRange(value);
+        if (range.error) return { error: range.error };
+        filters.dateRange = range.value;
+      } else {
+        return {
+          error: `Unknown filter "${key}". Expected one of: ${[...FILTER_LISTS, "dateRange"].join(", ")}`,
+        };
+      }
+    }
+    result.filters = filters;
+  }
+
+  if (rawRetrieval !== undefined) {
+    const parsed = parseJSONParam(rawRetrieval, "retrieval");
+    if (parsed.error) return { error: parsed.error };
+    if (!isPlainObject(parsed.value)) {
+      return { error: "retrieval must be an object" };
+    }
+
+    const retrieval = {};
+    const { topK, threshold, ...unknown } = parsed.value;
+    if (Object.keys(unknown).length > 0) {
+      return {
+        error: `Unknown retrieval option "${Object.keys(unknown)[0]}". Expected topK or threshold`,
+      };
+    }
+
+    if (topK !== undefined) {
+      const value = Number(topK);
+      if (!Number.isInteger(value) || value < 1 || value > 20) {
+        return { error: "retrieval.topK must be an integer between 1 and 20" };
+      }
+      retrieval.topK = value;
+    }
+
+    if (threshold !== undefined) {
+      const value = Number(threshold);
+      if (Number.isNaN(value) || value < 0 || value > 1) {
+        return {
+          error: "retrieval.threshold must be a number between 0 and 1",
+        };
+      }
+      retrieval.threshold = value;
+    }
+    result.retrieval = retrieval;
+  }
+
+  return result;
+}
+
+// Validate a message rating: { sessionId, rating, reason?, comment? }.
+// Returns { error } or the normalized fields.
+export function validateFeedbackRequest(input = {}) {
+  const { sessionId, rating, reason, comment } = input;
+
+  if (typeof sessionId !== "string" || !sessionId) {
+    return { error: "Missing required field: sessionId" };
+  }
+
+  if (!FEEDBACK_RATINGS.includes(rating)) {
+    return { error: `rating must be one of: ${FEEDBACK_RATINGS.join(", ")}` };
+  }
+
+  if (
+    reason !== undefined &&
+    reason !== null &&
+    !FEEDBACK_REASONS.includes(reason)
+  ) {
+    return { error: `reason must be one of: ${FEEDBACK_REASONS.join(", ")}` };
+  }
+
+  if (comment !== undefined && comment !== null) {
+    if (typeof comment !== "string") {
+      return { error: "comment must be a string" };
+    }
+    if (comment.length > MAX_FEEDBACK_COMMENT_LENGTH) {
+      return {
+        error: `comment too long. Maximum ${MAX_FEEDBACK_COMMENT_LENGTH} characters allowed.`,
+      };
+    }
+  }
+
+  return {
+    sessionId,
+    rating,
+    reason: reason || null,
+    comment: comment?.trim() || null,
+  };
+}
+
+const COMPLETION_ROLES = ["system", "developer", "user", "assistant", "tool"];
+
+// OpenAI message content: a string or an array of { type: "text", text } parts
+function completionText(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter((part) => part?.type === "text" && typeof part.text === "string")
+      .map((part) => part.text)
+      .join("\n");
+  }
+  return null;
+}
+
+// Validate an OpenAI chat-completions request. Returns { error, param } or
+// { message, history, provider, model, stream, includeUsage, filters,
+// retrieval }. `model` may be "<provider>/<model>", "<provider>", or any
+// other name, which selects the deployment default.
+export function validateCompletionRequest(body = {}) {
+  const { messages } = body;
+
+  if (typeof body.model !== "string" || body.model.trim().length === 0) {
+    return { error: "model is required", param: "model" };
+  }
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { error: "messages must be a non-empty array", param: "messages" };
+  }
+
+  const normalized = [];
+  for (const [index, msg] of messages.entries()) {
+    if (!isPlainObject(msg) || !COMPLETION_ROLES.includes(msg.role)) {
+      return {
+        error: `messages[${index}].role must be one of: ${COMPLETION_ROLES.join(", ")}`,
+        param: `messages[${index}].role`,
+      };
+    }
+
+    const content = completionText(msg.content);
+    if (content === null && msg.role !== "assistant") {
+      return {
+        error: `messages[${index}].content must be a string or an array of text parts`,
+        param: `messages[${index}].content`,
+      };
+    }
+    normalized.push({ role: msg.role, content: content || "" });
+  }
+
+  const last = normalized[normalized.length - 1];
+  if (last.role !== "user" || last.content.trim().length === 0) {
+    return {
+      error: "The last message must be a non-empty user message",
+      param: "messages",
+    };
+  }
+
+  if (last.content.length > MAX_MESSAGE_LENGTH) {
+    return {
+      error: `Message too long. Maximum ${MAX_MESSAGE_LENGTH} characters allowed.`,
+      param: "messages",
+    };
+  }
+
+  if (body.n !== undefined && body.n !== 1) {
+    return { error: "Only n=1 is supported", param: "n" };
+  }
+
+  let provider;
+  let model;
+  const [prefix, ...rest] = body.model.split("/");
+  if (isSupportedProvider(prefix)) {
+    provider = prefix.toLowerCase();
+    model = rest.join("/") || undefined;
+  }
+
+  const selectionError = validateModelSelection(provider, model);
+  if (selectionError) {
+    return { error: selectionError, param: "model" };
+  }
+
+  const retrievalOptions = validateRetrievalOptions(
+    body.filters,
+    body.retrieval,
+  );
+  if (retrievalOptions.error) {
+    return { error: retrievalOptions.error, param: "filters" };
+  }
+
+  return {
+    message: last.content,
+    // Earlier user/assistant turns are the conversation history
+    history: normalized
+      .slice(0, -1)
+      .filter((msg) => msg.role === "user" || msg.role === "assistant"),
+    provider,
+    model,
+    stream: body.stream === true,
+    includeUsage: body.stream_options?.include_usage === true,
+    filters: retrievalOptions.filters,
+    retrieval: retrievalOptions.retrieval,
+  };
+}
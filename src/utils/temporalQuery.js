@@ -0,0 +1,313 @@
+const DAY_MS = 86400000;
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+const MONTH_PATTERN =
+  "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+// Explicit years before this are not taken as dates ("in 1500 words")
+const MIN_YEAR = 1990;
+// A number followed by one of these is a quantity, not a year
+const QUANTITY_PATTERN =
+  "(?:words?|characters?|chars?|tokens?|lines?|sentences?|paragraphs?|pages?|points?|bullets?|items?|steps?|people|times|percent|%)";
+const UNIT_MS = { hour: 3600000, day: DAY_MS, week: 7 * DAY_MS };
+const NUMBER_WORDS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  ten: 10,
+  few: 3,
+  couple: 2,
+};
+
+function startOfDay(date) {
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+}
+
+function endOfDay(date) {
+  return new Date(startOfDay(date).getTime() + DAY_MS - 1);
+}
+
+function startOfWeek(date) {
+  // Weeks start on Monday
+  const day = (date.getUTCDay() + 6) % 7;
+  return new Date(startOfDay(date).getTime() - day * DAY_MS);
+}
+
+function monthIndex(name) {
+  return MONTHS.findIndex((month) => month.startsWith(name.slice(0, 3)));
+}
+
+function monthRange(year, month) {
+  return {
+    from: new Date(Date.UTC(year, month, 1)),
+    to: new Date(Date.UTC(year, month + 1, 1) - 1),
+  };
+}
+
+// Years outside MIN_YEAR..now can't be publication dates; null for those
+function parseYear(value, now) {
+  const year = parseInt(value, 10);
+  return year >= MIN_YEAR && year <= now.getUTCFullYear() ? year : null;
+}
+
+// Date.UTC rolls impossible dates over ("feb 30" is march 2); null instead
+function utcDay(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && date.getUTCDate() === day
+    ? date
+    : null;
+}
+
+// A month named without a year means its most recent occurrence
+function resolveYear(month, year, now) {
+  if (year) return parseYear(year, now);
+  return month > now.getUTCMonth()
+    ? now.getUTCFullYear() - 1
+    : now.getUTCFullYear();
+}
+
+function parseCount(value) {
+  return NUMBER_WORDS[value] ?? parseInt(value, 10);
+}
+
+// A window of count units ending now
+function rollingRange(now, count, unit) {
+  const from = new Date(now);
+  if (unit === "month") {
+    from.setUTCMonth(from.getUTCMonth() - count);
+  } else if (unit === "year") {
+    from.setUTCFullYear(from.getUTCFullYear() - count);
+  } else {
+    from.setTime(now.getTime() - count * UNIT_MS[unit]);
+  }
+  return { from, to: now };
+}
+
+// Lowercase "may" is usually the verb ("did it pass may 3 votes"). It names
+// the month when capitalised, after "on", before an ordinal or a year, or at
+// the end of a clause ("news in may?").
+function namesMonth(m, text) {
+  if (monthIndex(m[1]) !== 4) return true;
+  if (/\bMay\b/.test(text) || m[0].startsWith("on ")) return true;
+  if (/\d(?:st|nd|rd|th)|\d{4}$/.test(m[0])) return true;
+  return /^\s*(?:[.,;:!?)]|$)/.test(m.input.slice(m.index + m[0].length));
+}
+
+// Each rule returns { from, to } for its match; first match wins, so
+// more specific phrases come first
+const RULES = [
+  {
+    pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/,
+    resolve: (m, now) => {
+      const year = parseYear(m[1], now);
+      const day = year && utcDay(year, +m[2] - 1, +m[3]);
+      return day ? { from: day, to: endOfDay(day) } : null;
+    },
+  },
+  {
+    pattern: new RegExp(
+      `\\bbetween ${MONTH_PATTERN}(?: (\\d{4}))? and ${MONTH_PATTERN}(?: (\\d{4}))?\\b`,
+    ),
+    resolve: (m, now) => {
+      const startMonth = monthIndex(m[1]);
+      const endMonth = monthIndex(m[3]);
+      const endYear = resolveYear(endMonth, m[4], now);
+      const startYear = m[2]
+        ? parseYear(m[2], now)
+        : startMonth > endMonth
+          ? endYear - 1
+          : endYear;
+      if (!startYear || !endYear) return null;
+      return {
+        from: monthRange(startYear, startMonth).from,
+        to: monthRange(endYear, endMonth).to,
+      };
+    },
+  },
+  {
+    pattern: new RegExp(
+      `\\b(?:since|after) ${MONTH_PATTERN}(?: (\\d{1,2})(?:st|nd|rd|th)?)?(?:,? (\\d{4}))?\\b`,
+    ),
+    resolve: (m, now) => {
+      const month = monthIndex(m[1]);
+      const year = resolveYear(month, m[3], now);
+      const from = year && utcDay(year, month, m[2] ? parseInt(m[2], 10) : 1);
+      return from ? { from, to: now } : null;
+    },
+  },
+  {
+    pattern: new RegExp(
+      `\\b(?:on )?${MONTH_PATTERN} (\\d{1,2})(?:st|nd|rd|th)?(?:,? (\\d{4}))?\\b`,
+    ),
+    resolve: (m, now, text) => {
+      if (!namesMonth(m, text)) return null;
+      const month = monthIndex(m[1]);
+      const year = resolveYear(month, m[3], now);
+      const day = year && utcDay(year, month, parseInt(m[2], 10));
+      return day ? { from: day, to: endOfDay(day) } : null;
+    },
+  },
+  {
+    pattern: new RegExp(`\\b(?:in |during )?${MONTH_PATTERN}(?: (\\d{4}))\\b`),
+    resolve: (m, now) => {
+      const year = parseYear(m[2], now);
+      return year ? monthRange(year, monthIndex(m[1])) : null;
+    },
+  },
+  {
+    pattern: new RegExp(`\\b(?:in|during) ${MONTH_PATTERN}\\b(?! \\d)`),
+    resolve: (m, now, text) => {
+      if (!namesMonth(m, text)) return null;
+      const month = monthIndex(m[1]);
+      return monthRange(resolveYear(month, null, now), month);
+    },
+  },
+  {
+    pattern: new RegExp(
+      `\\b(?:since|in) (\\d{4})\\b(?! ?${QUANTITY_PATTERN}(?![\\p{L}]))`,
+      "u",
+    ),
+    resolve: (m, now) => {
+      const year = parseYear(m[1], now);
+      if (!year) return null;
+      return m[0].startsWith("since")
+        ? { from: new Date(Date.UTC(year, 0, 1)), to: now }
+        : {
+            from: new Date(Date.UTC(year, 0, 1)),
+            to: new Date(Date.UTC(year + 1, 0, 1) - 1),
+          };
+    },
+  },
+  {
+    pattern: /\b(today|tonight|this morning|this afternoon)\b/,
+    resolve: (m, now) => ({ from: startOfDay(now), to: now }),
+  },
+  {
+    pattern: /\byesterday\b/,
+    resolve: (m, now) => {
+      const day = new Date(startOfDay(now).getTime() - DAY_MS);
+      return { from: day, to: endOfDay(day) };
+    },
+  },
+  {
+    pattern:
+      /\b(?:(?:in|over|during) )?the (?:past|last) (\d+|a|an|one|two|three|four|five|six|seven|ten|few|couple(?: of)?) (hour|day|week|month|year)s?\b|\b(?:past|last) (\d+) (hour|day|week|month|year)s?\b/,
+    resolve: (m, now) =>
+      rollingRange(
+        now,
+        parseCount((m[1] || m[3]).replace(" of", "")),
+        m[2] || m[4],
+      ),
+  },
+  {
+    pattern: /\b(\d+|a|an|one|two|three|few|couple(?: of)?) (day|week)s? ago\b/,
+    resolve: (m, now) => {
+      const count = parseCount(m[1].replace(" of", ""));
+      const day = new Date(startOfDay(now).getTime() - count * UNIT_MS[m[2]]);
+      if (m[2] === "day") {
+        return { from: day, to: endOfDay(day) };
+      }
+      const weekStart = startOfWeek(day);
+      return {
+        from: weekStart,
+        to: new Date(weekStart.getTime() + 7 * DAY_MS - 1),
+      };
+    },
+  },
+  {
+    // "The past week" is the last seven days, not the previous calendar week
+    pattern: /\bpast (week|month|year)\b/,
+    resolve: (m, now) => rollingRange(now, 1, m[1]),
+  },
+  {
+    pattern: /\b(this|last|previous) (week|month|year)\b/,
+    resolve: (m, now) => {
+      const current = m[1] === "this";
+      if (m[2] === "week") {
+        const start = startOfWeek(now);
+        return current
+          ? { from: start, to: now }
+          : {
+              from: new Date(start.getTime() - 7 * DAY_MS),
+              to: new Date(start.getTime() - 1),
+            };
+      }
+      if (m[2] === "month") {
+        const year = now.getUTCFullYear();
+        const month = now.getUTCMonth();
+        return current
+          ? { from: monthRange(year, month).from, to: now }
+          : monthRange(month === 0 ? year - 1 : year, (month + 11) % 12);
+      }
+      const year = now.getUTCFullYear() - (current ? 0 : 1);
+      return current
+        ? { from: new Date(Date.UTC(year, 0, 1)), to: now }
+        : {
+            from: new Date(Date.UTC(year, 0, 1)),
+            to: new Date(Date.UTC(year + 1, 0, 1) - 1),
+          };
+    },
+  },
+  {
+    pattern: /\b(?:this weekend|over the weekend|last weekend)\b/,
+    resolve: (m, now) => {
+      // Most recent Saturday through Sunday night
+      const daysSinceSaturday = (now.getUTCDay() + 1) % 7;
+      const saturday = new Date(
+        startOfDay(now).getTime() - daysSinceSaturday * DAY_MS,
+      );
+      const sunday = endOfDay(new Date(saturday.getTime() + DAY_MS));
+      return { from: saturday, to: sunday < now ? sunday : now };
+    },
+  },
+];
+
+// Pull the first relative or absolute date range out of a question.
+// Returns { from, to, expression } with ISO timestamps, or null.
+export function extractDateRange(text, now = new Date()) {
+  if (!text) return null;
+  const normalized = text.toLowerCase();
+
+  for (const rule of RULES) {
+    const match = normalized.match(rule.pattern);
+    if (!match) continue;
+
+    const range = rule.resolve(match, now, text);
+    if (
+      !range ||
+      Number.isNaN(range.from.getTime()) ||
+      Number.isNaN(range.to.getTime()) ||
+      range.from > range.to
+    ) {
+      continue;
+    }
+
+    return {
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      expression: match[0].trim(),
+    };
+  }
+
+  return null;
+}
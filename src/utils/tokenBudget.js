@@ -0,0 +1,144 @@
+// Approximate characters per token for each provider's tokenizer family.
+// Good enough for budgeting; providers report exact counts after the fact.
+const CHARS_PER_TOKEN = {
+  gemini: 4,
+  openai: 3.8,
+  stub: 4,
+};
+
+// Context window sizes when LLM_CONTEXT_WINDOW is not set
+const CONTEXT_WINDOWS = {
+  gemini: 1000000,
+  openai: 8192, // Conservative default for local OpenAI-compatible servers
+  stub: 8192,
+};
+
+export function estimateTokens(text = "", provider = "gemini") {
+  if (!text) return 0;
+  return Math.ceil(text.length / (CHARS_PER_TOKEN[provider] || 4));
+}
+
+// Cut text to roughly `maxTokens`, preferring a word boundary
+export function trimToTokens(text, maxTokens, provider = "gemini") {
+  const maxChars = Math.floor(maxTokens * (CHARS_PER_TOKEN[provider] || 4));
+  if (text.length <= maxChars) return text;
+
+  const cut = text.substring(0, maxChars);
+  const lastSpace = cut.lastIndexOf(" ");
+  return (
+    (lastSpace > maxChars * 0.8 ? cut.substring(0, lastSpace) : cut) + "..."
+  );
+}
+
+// Tracks prompt tokens per section against a fixed budget. Fixed sections
+// (instructions, question) are reserved first; ranked sections are filled
+// best-first so the lowest-ranked items are trimmed or dropped.
+export class TokenBudget {
+  constructor(options = {}) {
+    this.provider = options.provider || "gemini";
+
+    const contextWindow =
+      options.contextWindow ||
+      parseInt(process.env.LLM_CONTEXT_WINDOW || "0", 10) ||
+      CONTEXT_WINDOWS[this.provider] ||
+      8192;
+    const completionReserve =
+      options.completionReserve ||
+      parseInt(process.env.MAX_TOKENS || "2048", 10);
+    const promptBudget =
+      options.promptBudget ||
+      parseInt(process.env.PROMPT_TOKEN_BUDGET || "6000", 10);
+
+    this.contextWindow = contextWindow;
+    this.completionReserve = completionReserve;
+    this.limit = Math.max(
+      0,
+      Math.min(promptBudget, contextWindow - completionReserve),
+    );
+    this.sections = {};
+    this.dropped = {};
+    this.trimmed = {};
+  }
+
+  get used() {
+    return Object.values(this.sections).reduce(
+      (sum, tokens) => sum + tokens,
+      0,
+    );
+  }
+
+  get remaining() {
+    return Math.max(0, this.limit - this.used);
+  }
+
+  count(text) {
+    return estimateTokens(text, this.provider);
+  }
+
+  // Always-included text; counted even if it overruns the budget
+  reserve(section, text) {
+    const tokens = this.count(text);
+    this.sections[section] = (this.sections[section] || 0) + tokens;
+    return tokens;
+  }
+
+  // Fit ranked items into at most `maxTokens` of the remaining budget.
+  // render(item, content) builds the item's prompt text; each item's content
+  // is capped at `maxItemTokens` and trimmed when only part of it fits.
+  // Items that would get fewer than `minItemTokens` of content are dropped,
+  // along with everything ranked below them.
+  fit(section, items, options = {}) {
+    const {
+      render,
+      getContent,
+      maxTokens = this.remaining,
+      maxItemTokens = Infinity,
+      minItemTokens = 50,
+    } = options;
+
+    let available = Math.min(maxTokens, this.remaining);
+    const included = [];
+    this.sections[section] = this.sections[section] || 0;
+    this.dropped[section] = 0;
+    this.trimmed[section] = 0;
+
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      const content = getContent(item);
+      const overhead = this.count(render(item, ""));
+      const contentBudget = Math.min(maxItemTokens, available - overhead);
+
+      if (contentBudget < minItemTokens) {
+        this.dropped[section] += items.length - i;
+        break;
+      }
+
+      let text = content;
+      if (this.count(content) > contentBudget) {
+        text = trimToTokens(content, contentBudget, this.provider);
+        this.trimmed[section] += 1;
+      }
+
+      const rendered = render(item, text);
+      const tokens = this.count(rendered);
+      included.push({ item, text: rendered });
+      available -= tokens;
+      this.sections[section] += tokens;
+    }
+
+    return included;
+  }
+
+  report() {
+    return {
+      limit: this.limit,
+      used: this.used,
+      remaining: this.remaining,
+      contextWindow: this.contextWindow,
+      completionReserve: this.completionReserve,
+      sections: { ...this.sections },
+      dropped: { ...this.dropped },
+      trimmed: { ...this.trimmed },
+    };
+  }
+}
@@ -0,0 +1,33 @@
+export const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by for from has have he her his i in is it its " +
+    "of on or our she that the their them they this to was we were what when " +
+    "where which who why will with you your about after did do does how new news"
+  ).split(" "),
+);
+
+// Split text into lowercase terms. Dotted/hyphenated tokens such as
+// "H.R.1234" or "COVID-19" are indexed joined ("hr1234") and by their parts,
+// so exact identifiers (tickers, bill numbers, names) match either way.
+export function tokenize(text = "") {
+  const terms = [];
+  const matches =
+    text
+      .toLowerCase()
+      .normalize("NFKC")
+      .match(/[\p{L}\p{N}]+(?:[.\-'][\p{L}\p{N}]+)*/gu) || [];
+
+  for (const token of matches) {
+    const parts = token.split(/[.\-']/).filter(Boolean);
+    if (parts.length > 1) {
+      terms.push(parts.join(""));
+    }
+    for (const part of parts) {
+      if (!STOPWORDS.has(part) && (part.length > 1 || /\d/.test(part))) {
+        terms.push(part);
+      }
+    }
+  }
+
+  return terms;
+}
@@ -0,0 +1,304 @@
+// Conversation transcripts: Markdown and HTML renderings for reading, and a
+// versioned JSON document that can be imported back as a new session
+
+export const TRANSCRIPT_SCHEMA = "newsflow.transcript";
+export const TRANSCRIPT_VERSION = 1;
+export const EXPORT_FORMATS = ["md", "json", "html"];
+
+const MAX_IMPORT_MESSAGES = 100;
+const MAX_IMPORT_CONTENT_LENGTH = 50000;
+
+// Sources an answer actually cited; answers stored before citations were
+// tracked list every retrieved source
+function citedSources(message) {
+  const sources = Array.isArray(message.sources) ? message.sources : [];
+  const tracked = sources.some((source) => source.cited !== undefined);
+  return tracked ? sources.filter((source) => source.cited) : sources;
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? ""
+    : date.toISOString().replace("T", " ").substring(0, 16) + " UTC";
+}
+
+function formatDay(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? "" : date.toISOString().split("T")[0];
+}
+
+export function transcriptTitle(session) {
+  return session.title || "Conversation";
+}
+
+export function buildTranscript(session, messages) {
+  return {
+    schema: TRANSCRIPT_SCHEMA,
+    version: TRANSCRIPT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: {
+      id: session.id,
+      title: session.title || null,
+      created: session.created,
+      lastActivity: session.lastActivity,
+    },
+    messages: messages.map((message) => ({
+      id: message.id,
+      role: message.role,
+      content: message.content,
+      timestamp: message.timestamp,
+      status: message.status,
+      provider: message.provider,
+      model: message.model,
+      sources: citedSources(message).map((source) => ({
+        id: source.id,
+        title: source.title,
+        url: source.url,
+        source: source.source,
+        publishedAt: source.publishedAt,
+      })),
+      citations: message.citations || [],
+    })),
+  };
+}
+
+// The transcript behind a public share link: the export without the id of
+// the owner's session
+export function buildSharedTranscript(session, messages) {
+  const transcript = buildTranscript(session, messages);
+  delete transcript.session.id;
+  return transcript;
+}
+
+export function renderMarkdown(session, messages) {
+  const lines = [
+    `# ${transcriptTitle(session)}`,
+    "",
+    `_Exported ${formatDate(new Date())} · ${messages.length} messages · session ${session.id}_`,
+  ];
+
+  for (const message of messages) {
+    const speaker = message.role === "user" ? "User" : "Assistant";
+    lines.push(
+      "",
+      "---",
+      "",
+      `### ${speaker} · ${formatDate(message.timestamp)}`,
+    );
+    lines.push("", message.content || "");
+
+    if (message.status === "interrupted") {
+      lines.push("", "_(answer interrupted)_");
+    }
+
+    const sources = citedSources(message);
+    if (message.role === "assistant" && sources.length > 0) {
+      lines.push("", "**Sources**", "");
+      sources.forEach((source, index) => {
+        const details = [source.source, formatDay(source.publishedAt)]
+          .filter(Boolean)
+          .join(", ");
+        lines.push(
+          `${source.id ?? index + 1}. [${source.title || source.url}](${source.url})${details ? ` — ${details}` : ""}`,
+        );
+      });
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+function isWebURL(value) {
+  return typeof value === "string" && /^https?:\/\//i.test(value);
+}
+
+function escapeHTML(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Enough Markdown for chat answers: headings, lists, bold/italic, code and
+// paragraphs. Input is escaped first, so no HTML from messages survives.
+function renderContentHTML(content) {
+  const inline = (text) =>
+    text
+      .replace(/`([^`]+)`/g, "<code>$1</code>")
+      .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+      .replace(/\*([^*]+)\*/g, "<em>$1</em>");
+
+  return escapeHTML(content)
+    .split(/\n{2,}/)
+    .map((block) => {
+      const heading = /^(#{1,6})\s+(.*)$/.exec(block);
+      if (heading) {
+        const level = Math.min(heading[1].length + 2, 6);
+        return `<h${level}>${inline(heading[2])}</h${level}>`;
+      }
+
+      const lines = block.split("\n");
+      if (lines.every((line) => /^\s*(?:[-*+]|\d+\.)\s+/.test(line))) {
+        const tag = /^\s*\d+\./.test(lines[0]) ? "ol" : "ul";
+        const items = lines
+          .map(
+            (line) =>
+              `<li>${inline(line.replace(/^\s*(?:[-*+]|\d+\.)\s+/, ""))}</li>`,
+          )
+          .join("");
+        return `<${tag}>${items}</${tag}>`;
+      }
+
+      if (lines.every((line) => line.startsWith("&gt;"))) {
+        return `<blockquote>${inline(lines.map((line) => line.replace(/^&gt;\s?/, "")).join("<br>"))}</blockquote>`;
+      }
+
+      return `<p>${inline(lines.join("<br>"))}</p>`;
+    })
+    .join("\n");
+}
+
+export function renderHTML(session, messages) {
+  const title = escapeHTML(transcriptTitle(session));
+
+  const turns = messages
+    .map((message) => {
+      const speaker = message.role === "user" ? "User" : "Assistant";
+      const sources = citedSources(message);
+      const sourceList =
+        message.role === "assistant" && sources.length > 0
+          ? `<ol class="sources">${sources
+              .map((source, index) => {
+                const details = [source.source, formatDay(source.publishedAt)]
+                  .filter(Boolean)
+                  .join(", ");
+                return `<li value="${escapeHTML(source.id ?? index + 1)}"><a href="${escapeHTML(isWebURL(source.url) ? source.url : "#")}" rel="noopener noreferrer">${escapeHTML(source.title || source.url)}</a>${details ? ` <span class="meta">${escapeHTML(details)}</span>` : ""}</li>`;
+              })
+              .join("")}</ol>`
+          : "";
+      const interrupted =
+        message.status === "interrupted"
+          ? `<p class="meta">Answer interrupted</p>`
+          : "";
+
+      return `<section class="turn ${message.role}">
+<header>${speaker} <span class="meta">${escapeHTML(formatDate(message.timestamp))}</span></header>
+${renderContentHTML(message.content)}
+${interrupted}${sourceList}
+</section>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; color: #1f2933; line-height: 1.5; }
+h1 { font-size: 1.6rem; }
+.turn { border-radius: 8px; padding: 0.75rem 1rem; margin: 1rem 0; }
+.turn.user { background: #eef2ff; }
+.turn.assistant { background: #f5f7fa; }
+.turn header { font-weight: 600; margin-bottom: 0.25rem; }
+.meta { color: #616e7c; font-size: 0.85rem; font-weight: normal; }
+.sources { font-size: 0.9rem; border-top: 1px solid #d9e2ec; padding-top: 0.5rem; }
+blockquote { border-left: 3px solid #f0b429; margin: 0; padding-left: 0.75rem; color: #52606d; }
+code { background: #e4e7eb; padding: 0 0.2rem; border-radius: 3px; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="meta">Exported ${escapeHTML(formatDate(new Date()))} · ${messages.length} messages</p>
+${turns}
+</body>
+</html>
+`;
+}
+
+// Validate an exported JSON transcript for import. Returns { error } or
+// { title, messages } with the fields a session stores.
+export function parseTranscript(document) {
+  if (!document || typeof document !== "object") {
+    return { error: "Transcript must be a JSON object" };
+  }
+
+  if (document.schema !== TRANSCRIPT_SCHEMA) {
+    return {
+      error: `Unsupported transcript schema. Expected "${TRANSCRIPT_SCHEMA}"`,
+    };
+  }
+
+  if (
+    !Number.isInteger(document.version) ||
+    document.version < 1 ||
+    document.version > TRANSCRIPT_VERSION
+  ) {
+    return {
+      error: `Unsupported transcript version ${document.version}. This server reads versions 1 to ${TRANSCRIPT_VERSION}`,
+    };
+  }
+
+  const { messages } = document;
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { error: "Transcript has no messages" };
+  }
+  if (messages.length > MAX_IMPORT_MESSAGES) {
+    return {
+      error: `Transcripts can hold at most ${MAX_IMPORT_MESSAGES} messages`,
+    };
+  }
+
+  const imported = [];
+  for (const [index, message] of messages.entries()) {
+    if (
+      !message ||
+      !["user", "assistant"].includes(message.role) ||
+      typeof message.content !== "string" ||
+      message.content.length > MAX_IMPORT_CONTENT_LENGTH
+    ) {
+      return {
+        error: `messages[${index}] must have a role of user or assistant and string content of at most ${MAX_IMPORT_CONTENT_LENGTH} characters`,
+      };
+    }
+
+    const timestamp = new Date(message.timestamp);
+    imported.push({
+      role: message.role,
+      content: message.content,
+      timestamp: Number.isNaN(timestamp.getTime())
+        ? new Date().toISOString()
+        : timestamp.toISOString(),
+      ...(message.role === "assistant" && {
+        status: message.status === "interrupted" ? "interrupted" : "complete",
+        provider:
+          typeof message.provider === "string" ? message.provider : undefined,
+        model: typeof message.model === "string" ? message.model : undefined,
+        sources: (Array.isArray(message.sources) ? message.sources : [])
+          .filter((source) => source && isWebURL(source.url))
+          .map((source) => ({
+            id: source.id,
+            title: String(source.title || ""),
+            url: source.url,
+            source: source.source ? String(source.source) : undefined,
+            publishedAt: source.publishedAt,
+            cited: true,
+          })),
+        citations: Array.isArray(message.citations) ? message.citations : [],
+      }),
+    });
+  }
+
+  const title = document.session?.title;
+  return {
+    title:
+      typeof title === "string" && title.trim()
+        ? title.trim().substring(0, 120)
+        : null,
+    messages: imported,
+  };
+}
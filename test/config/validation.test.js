@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { validateEnvironment } from "../../src/config/validation.js";
+
+const VARIABLES = [
+  "JINA_API_KEY",
+  "QDRANT_URL",
+  "QDRANT_API_KEY",
+  "LLM_PROVIDER",
+  "AUTH_MODE",
+  "API_KEYS",
+  "JWT_SECRET",
+  "JWT_PUBLIC_KEY",
+];
+
+describe("validateEnvironment", () => {
+  const saved = {};
+  beforeEach(() => {
+    for (const name of VARIABLES) {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    }
+    process.env.JINA_API_KEY = "jina";
+    process.env.QDRANT_URL = "http://localhost:6333";
+    process.env.QDRANT_API_KEY = "qdrant";
+    process.env.LLM_PROVIDER = "stub";
+  });
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it("passes without auth settings, since auth is off by default", () => {
+    assert.equal(validateEnvironment(), true);
+  });
+
+  it("requires a way to verify callers when AUTH_MODE=required", () => {
+    process.env.AUTH_MODE = "required";
+    assert.throws(() => validateEnvironment(), /API_KEYS or JWT_SECRET/);
+
+    process.env.JWT_SECRET = "secret";
+    assert.equal(validateEnvironment(), true);
+  });
+
+  it("rejects unknown auth modes", () => {
+    process.env.AUTH_MODE = "optional";
+    assert.throws(() => validateEnvironment(), /Unsupported AUTH_MODE/);
+  });
+});
@@ -0,0 +1,54 @@
+import express from "express";
+import { once } from "node:events";
+import { authenticate } from "../../src/middleware/auth.js";
+import chatRoutes from "../../src/routes/chat.js";
+import { attachChatSocket } from "../../src/routes/chatSocket.js";
+import openAIRoutes from "../../src/routes/openai.js";
+import sessionRoutes from "../../src/routes/session.js";
+import sharedRoutes from "../../src/routes/shared.js";
+
+// The API routes mounted as in src/app.js, without rate limiting or external
+// services, listening on a free local port
+export async function startApp() {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/chat", authenticate, chatRoutes);
+  app.use("/api/session", authenticate, sessionRoutes);
+  app.use("/api/shared", sharedRoutes);
+  app.use("/v1", authenticate, openAIRoutes);
+
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const sockets = attachChatSocket(server);
+
+  const { port } = server.address();
+  return {
+    url: `http://127.0.0.1:${port}`,
+    wsUrl: `ws://127.0.0.1:${port}`,
+    close: () => {
+      sockets.close();
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// Server-sent events of a response body: [{ id, event, data }]
+export function parseEvents(text) {
+  return text
+    .split("\n\n")
+    .map((block) => {
+      const fields = {};
+      for (const line of block.split("\n")) {
+        const match = /^(id|event|data): (.*)$/.exec(line);
+        if (match) fields[match[1]] = match[2];
+      }
+      return fields;
+    })
+    .filter((fields) => fields.event || fields.data)
+    .map(({ id, event, data }) => ({
+      id,
+      event,
+      data: data === undefined || data === "[DONE]" ? data : JSON.parse(data),
+    }));
+}
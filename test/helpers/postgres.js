@@ -0,0 +1,29 @@
+import { PGlite } from "@electric-sql/pglite";
+import { runMigrations } from "../../src/db/migrate.js";
+
+// A pg-compatible pool over an in-process Postgres (PGlite) with the app's
+// migrations applied. PGlite has one connection, so connect() hands out the
+// pool itself and queries must not run concurrently with a transaction.
+export async function createPool() {
+  const db = new PGlite();
+
+  const query = async (text, params = []) => {
+    // exec runs multi-statement scripts such as migrations
+    const result =
+      params.length === 0
+        ? (await db.exec(text)).at(-1) || { rows: [] }
+        : await db.query(text, params);
+    return {
+      rows: result.rows,
+      rowCount: result.affectedRows ?? result.rows.length,
+    };
+  };
+  const pool = {
+    query,
+    connect: async () => ({ query, release() {} }),
+    end: () => db.close(),
+  };
+
+  await runMigrations(pool);
+  return pool;
+}
@@ -0,0 +1,9 @@
+import RedisMock from "ioredis-mock";
+
+let nextPort = 16379;
+
+// An ioredis-compatible client over a fresh, empty in-memory keyspace
+// (ioredis-mock shares data between clients of the same host and port)
+export function createRedis() {
+  return new RedisMock({ port: nextPort++ });
+}
@@ -0,0 +1,138 @@
+import assert from "node:assert/strict";
+import { createHmac, randomUUID } from "node:crypto";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import {
+  authenticateRequest,
+  authorizeSession,
+  hashApiKey,
+  isAuthEnabled,
+} from "../../src/middleware/auth.js";
+
+const KEY = "nf_test-key";
+
+function jwt(claims, secret = "test-secret") {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const input = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}`;
+  const signature = createHmac("sha256", secret)
+    .update(input)
+    .digest("base64url");
+  return `${input}.${signature}`;
+}
+
+const request = ({ method = "GET", url = "/api/chat", headers = {} } = {}) => ({
+  method,
+  url,
+  headers,
+});
+
+describe("authentication", () => {
+  const saved = {};
+  beforeEach(() => {
+    for (const name of ["AUTH_MODE", "API_KEYS", "JWT_SECRET"]) {
+      saved[name] = process.env[name];
+    }
+    process.env.AUTH_MODE = "required";
+    process.env.API_KEYS = `alice:${hashApiKey(KEY)}`;
+    process.env.JWT_SECRET = "test-secret";
+  });
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it("is off unless AUTH_MODE=required", () => {
+    delete process.env.AUTH_MODE;
+    assert.equal(isAuthEnabled(), false);
+    assert.deepEqual(authenticateRequest(request()).user, {
+      id: "anonymous",
+      method: "none",
+    });
+
+    process.env.AUTH_MODE = "required";
+    assert.equal(isAuthEnabled(), true);
+    assert.equal(authenticateRequest(request()).status, 401);
+  });
+
+  it("accepts API keys from the Authorization or X-API-Key header", () => {
+    const bearer = authenticateRequest(
+      request({ headers: { authorization: `Bearer ${KEY}` } }),
+    );
+    assert.deepEqual(bearer.user, { id: "alice", method: "api-key" });
+
+    const header = authenticateRequest(
+      request({ headers: { "x-api-key": KEY } }),
+    );
+    assert.equal(header.user.id, "alice");
+
+    const wrong = authenticateRequest(
+      request({ headers: { "x-api-key": "nf_other" } }),
+    );
+    assert.deepEqual(wrong, { status: 401, error: "Invalid API key" });
+  });
+
+  it("verifies HS256 tokens and their expiry", () => {
+    const now = Math.floor(Date.now() / 1000);
+    const valid = authenticateRequest(
+      request({
+        headers: {
+          authorization: `Bearer ${jwt({ sub: "bob", exp: now + 60 })}`,
+        },
+      }),
+    );
+    assert.equal(valid.user.id, "bob");
+    assert.equal(valid.user.method, "jwt");
+
+    const expired = authenticateRequest(
+      request({
+        headers: {
+          authorization: `Bearer ${jwt({ sub: "bob", exp: now - 3600 })}`,
+        },
+      }),
+    );
+    assert.deepEqual(expired, { status: 401, error: "Token expired" });
+
+    const forged = authenticateRequest(
+      request({
+        headers: { authorization: `Bearer ${jwt({ sub: "bob" }, "guess")}` },
+      }),
+    );
+    assert.deepEqual(forged, { status: 401, error: "Invalid token signature" });
+  });
+
+  it("only reads access_token on WebSocket upgrades", () => {
+    const url = `/api/chat/stream?access_token=${KEY}`;
+    assert.equal(authenticateRequest(request({ url })).status, 401);
+
+    const upgrade = authenticateRequest(
+      request({
+        url: `/api/chat/ws?access_token=${KEY}`,
+        headers: { upgrade: "websocket", connection: "Upgrade" },
+      }),
+    );
+    assert.equal(upgrade.user.id, "alice");
+  });
+
+  it("lets only the owner use a session and claims new ones", async () => {
+    const alice = { id: "alice" };
+    const bob = { id: "bob" };
+    const sessionId = randomUUID();
+
+    assert.equal(await authorizeSession(alice, sessionId), false);
+    assert.equal(
+      await authorizeSession(alice, sessionId, { allowMissing: true }),
+      true,
+    );
+    assert.equal(
+      await authorizeSession(alice, sessionId, { create: true }),
+      true,
+    );
+    assert.equal(await authorizeSession(alice, sessionId), true);
+    assert.equal(
+      await authorizeSession(bob, sessionId, { create: true }),
+      false,
+    );
+  });
+});
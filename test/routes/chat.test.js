@@ -0,0 +1,217 @@
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, describe, it } from "node:test";
+import { parseEvents, startApp } from "../helpers/app.js";
+
+process.env.AUTH_MODE = "off";
+
+describe("chat streaming routes", () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  const stream = (body, headers = {}) =>
+    fetch(`${app.url}/api/chat/stream`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    });
+
+  it("streams numbered delta events ending with the complete answer", async () => {
+    const sessionId = randomUUID();
+    const response = await stream({
+      sessionId,
+      message: "What happened today?",
+      provider: "stub",
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /text\/event-stream/);
+
+    const events = parseEvents(await response.text());
+    const { messageId } = events[0].data;
+    assert.equal(events[0].event, "status");
+    assert.deepEqual(
+      events.map((event) => event.id),
+      events.map((_, index) => `${messageId}:${index + 1}`),
+    );
+
+    const deltas = events
+      .filter((event) => event.event === "chunk")
+      .map((event) => event.data.delta)
+      .join("");
+    const complete = events.at(-1);
+    assert.equal(complete.event, "complete");
+    assert.equal(complete.data.content, deltas);
+    assert.match(deltas, /What happened today\?/);
+  });
+
+  it("replays the events after Last-Event-ID", async () => {
+    const sessionId = randomUUID();
+    const events = parseEvents(
+      await (
+        await stream({ sessionId, message: "Resume me", provider: "stub" })
+      ).text(),
+    );
+
+    const resumed = await stream(
+      { sessionId },
+      { "Last-Event-ID": events[1].id },
+    );
+    assert.equal(resumed.status, 200);
+    assert.deepEqual(parseEvents(await resumed.text()), events.slice(2));
+
+    const unknown = await stream(
+      { sessionId },
+      { "Last-Event-ID": `${randomUUID()}:1` },
+    );
+    assert.equal(unknown.status, 404);
+
+    const invalid = await stream({ sessionId }, { "Last-Event-ID": "nope" });
+    assert.equal(invalid.status, 400);
+  });
+});
+
+describe("conversation branches", () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  const post = async (path, body) => {
+    const response = await fetch(`${app.url}/api/chat${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ provider: "stub", ...body }),
+    });
+    const text = await response.text();
+    return {
+      status: response.status,
+      body: response.headers.get("content-type").includes("event-stream")
+        ? parseEvents(text).at(-1).data
+        : JSON.parse(text),
+    };
+  };
+  const history = async (sessionId) =>
+    (await (await fetch(`${app.url}/api/chat/history/${sessionId}`)).json())
+      .messages;
+
+  it("regenerates and edits turns as siblings and switches between them", async () => {
+    const sessionId = randomUUID();
+    const { body: first } = await post("/stream", {
+      sessionId,
+      message: "original question",
+    });
+    const [question] = await history(sessionId);
+
+    const { body: retry } = await post("/regenerate", { sessionId });
+    let messages = await history(sessionId);
+    assert.deepEqual(
+      messages.map((message) => message.id),
+      [question.id, retry.messageId],
+    );
+    assert.deepEqual(messages[1].siblingIds, [
+      first.messageId,
+      retry.messageId,
+    ]);
+
+    await post("/edit", {
+      sessionId,
+      messageId: question.id,
+      message: "edited question",
+    });
+    messages = await history(sessionId);
+    assert.equal(messages[0].content, "edited question");
+    assert.equal(messages[0].siblingIds.length, 2);
+
+    // Back to the original question, continued to its latest answer
+    const { body: branch } = await post("/branch", {
+      sessionId,
+      messageId: question.id,
+    });
+    assert.equal(branch.activeLeafId, retry.messageId);
+    assert.deepEqual(
+      branch.messages.map((message) => message.id),
+      [question.id, retry.messageId],
+    );
+
+    ({
+      body: { messages },
+    } = await post("/branch", {
+      sessionId,
+      messageId: first.messageId,
+    }));
+    assert.deepEqual(
+      messages.map((message) => message.id),
+      [question.id, first.messageId],
+    );
+
+    const missing = await post("/branch", {
+      sessionId,
+      messageId: randomUUID(),
+    });
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe("answer feedback", () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${app.url}/api/chat${path}`, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it("rates answers and reports the rates", async () => {
+    const sessionId = randomUUID();
+    const {
+      body: { message: answer },
+    } = await request("POST", "/", {
+      sessionId,
+      message: "Rate this",
+      provider: "stub",
+    });
+    const { body: history } = await request("GET", `/history/${sessionId}`);
+    const [question] = history.messages;
+
+    const rated = await request("POST", `/messages/${answer.id}/feedback`, {
+      sessionId,
+      rating: "down",
+      reason: "incomplete",
+      comment: " short ",
+    });
+    assert.equal(rated.status, 200);
+    assert.equal(rated.body.feedback.comment, "short");
+
+    const { body: after } = await request("GET", `/history/${sessionId}`);
+    assert.equal(after.messages[1].feedback.rating, "down");
+
+    const { body: stats } = await request("GET", "/feedback/stats");
+    assert.equal(stats.total.down, 1);
+    assert.deepEqual(stats.reasons, [{ reason: "incomplete", count: 1 }]);
+
+    const ratesQuestion = await request(
+      "POST",
+      `/messages/${question.id}/feedback`,
+      { sessionId, rating: "up" },
+    );
+    assert.equal(ratesQuestion.status, 400);
+    const badRating = await request("POST", `/messages/${answer.id}/feedback`, {
+      sessionId,
+      rating: "meh",
+    });
+    assert.equal(badRating.status, 400);
+    const badRange = await request("GET", "/feedback/stats?from=yesterday");
+    assert.equal(badRange.status, 400);
+  });
+});
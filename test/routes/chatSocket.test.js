@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { once } from "node:events";
+import { after, before, describe, it } from "node:test";
+import WebSocket from "ws";
+import { startApp } from "../helpers/app.js";
+
+process.env.AUTH_MODE = "off";
+
+// A client socket that queues incoming frames for next(type)
+async function connect(url) {
+  const ws = new WebSocket(`${url}/api/chat/ws`);
+  const frames = [];
+  const waiting = [];
+  ws.on("message", (data) => {
+    frames.push(JSON.parse(data.toString()));
+    waiting.splice(0).forEach((resolve) => resolve());
+  });
+  await once(ws, "open");
+
+  ws.next = async (type) => {
+    for (;;) {
+      const index = frames.findIndex((frame) => frame.type === type);
+      if (index !== -1) return frames.splice(0, index + 1).at(-1);
+      await new Promise((resolve) => waiting.push(resolve));
+    }
+  };
+  ws.frames = frames;
+  ws.sendFrame = (frame) => ws.send(JSON.stringify(frame));
+  return ws;
+}
+
+describe("WebSocket chat transport", () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  it("streams a turn as frames tagged with the session and request", async () => {
+    const ws = await connect(app.wsUrl);
+    await ws.next("ready");
+
+    const sessionId = randomUUID();
+    ws.sendFrame({
+      type: "send",
+      sessionId,
+      message: "Hello over the socket",
+      provider: "stub",
+      requestId: "r1",
+    });
+
+    const status = await ws.next("status");
+    assert.equal(status.sessionId, sessionId);
+    assert.equal(status.requestId, "r1");
+
+    const complete = await ws.next("complete");
+    assert.equal(complete.messageId, status.messageId);
+    assert.match(complete.content, /Hello over the socket/);
+    ws.close();
+  });
+
+  it("cancels a turn in progress and reports it interrupted", async () => {
+    process.env.STUB_STREAM_DELAY_MS = "20";
+    const ws = await connect(app.wsUrl);
+    try {
+      const sessionId = randomUUID();
+      ws.sendFrame({
+        type: "send",
+        sessionId,
+        message: "A long question to cancel",
+        provider: "stub",
+      });
+      const chunk = await ws.next("chunk");
+      ws.sendFrame({ type: "cancel", sessionId });
+
+      const interrupted = await ws.next("interrupted");
+      assert.equal(interrupted.messageId, chunk.messageId);
+      assert.equal(ws.frames.filter((f) => f.type === "complete").length, 0);
+    } finally {
+      delete process.env.STUB_STREAM_DELAY_MS;
+      ws.close();
+    }
+  });
+
+  it("relays typing to the other sockets of a session", async () => {
+    const sessionId = randomUUID();
+    const first = await connect(app.wsUrl);
+    const second = await connect(app.wsUrl);
+
+    first.sendFrame({
+      type: "send",
+      sessionId,
+      message: "hi",
+      provider: "stub",
+    });
+    await first.next("complete");
+    second.sendFrame({ type: "typing", sessionId, isTyping: true });
+
+    assert.deepEqual(await first.next("typing"), {
+      type: "typing",
+      sessionId,
+      isTyping: true,
+    });
+    first.close();
+    second.close();
+  });
+
+  it("answers malformed frames with an error", async () => {
+    const ws = await connect(app.wsUrl);
+    ws.send("not json");
+    assert.equal((await ws.next("error")).error, "Frames must be JSON objects");
+    ws.sendFrame({ type: "dance", sessionId: randomUUID() });
+    assert.match((await ws.next("error")).error, /Unknown frame type/);
+    ws.close();
+  });
+});
@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { KeywordIndexService } from "../../src/services/keywordIndex.js";
+import { parseEvents, startApp } from "../helpers/app.js";
+
+process.env.AUTH_MODE = "off";
+
+describe("OpenAI-compatible chat completions", () => {
+  let app;
+  let directory;
+  before(async () => {
+    // A keyword index the stub answer can cite
+    directory = await mkdtemp(join(tmpdir(), "openai-route-"));
+    process.env.KEYWORD_INDEX_PATH = join(directory, "index.json");
+    const index = new KeywordIndexService();
+    index.addDocuments([
+      {
+        id: "rates-0",
+        content: "The central bank raised interest rates on Wednesday.",
+        metadata: {
+          title: "Rates rise",
+          url: "https://example.com/rates",
+          source: "BBC",
+          publishedAt: "2025-06-18T10:00:00.000Z",
+          chunkId: "rates-0",
+        },
+      },
+    ]);
+    await index.save();
+    app = await startApp();
+  });
+  after(async () => {
+    await app.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  const complete = (body) =>
+    fetch(`${app.url}/v1/chat/completions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  const messages = [{ role: "user", content: "Did interest rates rise?" }];
+
+  it("answers in the chat.completion format with extension fields", async () => {
+    const response = await complete({ model: "stub", messages });
+    assert.equal(response.status, 200);
+
+    const body = await response.json();
+    assert.equal(body.object, "chat.completion");
+    assert.equal(body.model, "stub/stub-1");
+    assert.equal(body.choices[0].message.role, "assistant");
+    assert.match(body.choices[0].message.content, /\[1\] BBC - Rates rise/);
+    assert.equal(body.sources[0].url, "https://example.com/rates");
+    assert.ok(body.usage.total_tokens > 0);
+  });
+
+  it("streams chunks and sends the resolved content with the citations", async () => {
+    const response = await complete({ model: "stub", messages, stream: true });
+    const events = parseEvents(await response.text());
+    assert.equal(events.at(-1).data, "[DONE]");
+
+    const chunks = events.slice(0, -1).map((event) => event.data);
+    assert.deepEqual(chunks[0].choices[0].delta, {
+      role: "assistant",
+      content: "",
+    });
+
+    const final = chunks.at(-1);
+    assert.equal(final.choices[0].finish_reason, "stop");
+    assert.equal(typeof final.content, "string");
+    assert.ok(final.citations.length > 0);
+    for (const citation of final.citations) {
+      assert.equal(
+        final.content.slice(citation.start, citation.end),
+        `[${citation.sourceId}]`,
+      );
+    }
+  });
+
+  it("rejects invalid requests with OpenAI-style errors", async () => {
+    const response = await complete({ model: "stub", messages: [] });
+    assert.equal(response.status, 400);
+    const { error } = await response.json();
+    assert.equal(error.type, "invalid_request_error");
+    assert.equal(error.param, "messages");
+  });
+});
@@ -0,0 +1,353 @@
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, describe, it } from "node:test";
+import { hashApiKey } from "../../src/middleware/auth.js";
+import { startApp } from "../helpers/app.js";
+
+process.env.AUTH_MODE = "required";
+process.env.API_KEYS = ["alice", "bob"]
+  .map((user) => `${user}:${hashApiKey(`key-${user}`)}`)
+  .join(",");
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+// fetch as one of the API_KEYS users; resolves to { status, body }
+function client(user) {
+  return async (method, path, body) => {
+    const response = await fetch(`${app.url}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer key-${user}`,
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const type = response.headers.get("content-type") || "";
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: type.includes("json")
+        ? await response.json()
+        : await response.text(),
+    };
+  };
+}
+
+const alice = client("alice");
+const bob = client("bob");
+
+async function chat(as, sessionId, message) {
+  const { status, body } = await as("POST", "/api/chat", {
+    sessionId,
+    message,
+    provider: "stub",
+  });
+  assert.equal(status, 200);
+  return body.message;
+}
+
+describe("session lifecycle routes", () => {
+  it("lists only the caller's sessions, titled by their first question", async () => {
+    const sessionId = randomUUID();
+    await chat(alice, sessionId, "What is **happening** with interest rates?");
+
+    const own = await alice("GET", "/api/session");
+    const listed = own.body.sessions.find((s) => s.id === sessionId);
+    assert.equal(listed.title, "What is happening with interest rates?");
+    assert.equal(listed.titleSource, "auto");
+
+    const other = await bob("GET", "/api/session");
+    assert.equal(
+      other.body.sessions.some((s) => s.id === sessionId),
+      false,
+    );
+    assert.equal((await bob("GET", `/api/session/${sessionId}`)).status, 404);
+  });
+
+  it("renames, pins, archives and extends sessions", async () => {
+    const older = randomUUID();
+    const newer = randomUUID();
+    await chat(alice, older, "first");
+    await chat(alice, newer, "second");
+
+    let { body } = await alice("PATCH", `/api/session/${older}`, {
+      title: "  Pinned one ",
+      pinned: true,
+    });
+    assert.equal(body.title, "Pinned one");
+    assert.equal(body.titleSource, "user");
+
+    ({ body } = await alice("GET", "/api/session"));
+    assert.equal(body.sessions[0].id, older);
+
+    await alice("POST", `/api/session/${newer}/archive`);
+    ({ body } = await alice("GET", "/api/session"));
+    assert.equal(
+      body.sessions.some((s) => s.id === newer),
+      false,
+    );
+    ({ body } = await alice("GET", "/api/session?archived=true"));
+    assert.deepEqual(
+      body.sessions.map((s) => s.id),
+      [newer],
+    );
+    await alice("POST", `/api/session/${newer}/restore`);
+
+    ({ body } = await alice("POST", `/api/session/${older}/extend`, {
+      ttl: 7200,
+    }));
+    assert.equal(body.ttl, 7200);
+  });
+
+  it("validates changes and hides other users' sessions", async () => {
+    const sessionId = randomUUID();
+    await chat(alice, sessionId, "mine");
+
+    const empty = await alice("PATCH", `/api/session/${sessionId}`, {});
+    assert.equal(empty.status, 400);
+    const badTtl = await alice("POST", `/api/session/${sessionId}/extend`, {
+      ttl: 5,
+    });
+    assert.equal(badTtl.status, 400);
+
+    const rename = await bob("PATCH", `/api/session/${sessionId}`, {
+      title: "stolen",
+    });
+    assert.equal(rename.status, 404);
+    assert.equal(
+      (await bob("DELETE", `/api/session/${sessionId}`)).status,
+      404,
+    );
+  });
+});
+
+describe("export and import", () => {
+  it("exports Markdown, HTML and JSON attachments", async () => {
+    const sessionId = randomUUID();
+    await chat(alice, sessionId, "Export me");
+
+    const markdown = await alice(
+      "GET",
+      `/api/session/${sessionId}/export?format=md`,
+    );
+    assert.match(markdown.headers.get("content-type"), /^text\/markdown/);
+    assert.match(
+      markdown.headers.get("content-disposition"),
+      /filename="export-me\.md"/,
+    );
+    assert.match(markdown.body, /^# Export me/);
+
+    const html = await alice(
+      "GET",
+      `/api/session/${sessionId}/export?format=html`,
+    );
+    assert.match(html.headers.get("content-type"), /^text\/html/);
+    assert.match(html.body, /<title>Export me<\/title>/);
+
+    const bad = await alice(
+      "GET",
+      `/api/session/${sessionId}/export?format=pdf`,
+    );
+    assert.equal(bad.status, 400);
+    assert.equal(
+      (await bob("GET", `/api/session/${sessionId}/export`)).status,
+      404,
+    );
+  });
+
+  it("imports a JSON export as a new session of the caller", async () => {
+    const sessionId = randomUUID();
+    await chat(alice, sessionId, "Round trip");
+    const { body: transcript } = await alice(
+      "GET",
+      `/api/session/${sessionId}/export?format=json`,
+    );
+
+    const imported = await bob("POST", "/api/session/import", transcript);
+    assert.equal(imported.status, 201);
+    assert.notEqual(imported.body.id, sessionId);
+    assert.equal(imported.body.title, "Round trip");
+
+    const { body: copy } = await bob(
+      "GET",
+      `/api/session/${imported.body.id}/export?format=json`,
+    );
+    assert.deepEqual(
+      copy.messages.map(({ role, content }) => ({ role, content })),
+      transcript.messages.map(({ role, content }) => ({ role, content })),
+    );
+    assert.equal(
+      (await alice("GET", `/api/session/${imported.body.id}?strict=true`))
+        .status,
+      404,
+    );
+
+    const invalid = await bob("POST", "/api/session/import", {
+      ...transcript,
+      schema: "other",
+    });
+    assert.equal(invalid.status, 400);
+  });
+});
+
+describe("history search", () => {
+  it("searches the caller's messages with highlighted snippets", async () => {
+    const sessionId = randomUUID();
+    await chat(alice, sessionId, "What about the zeppelin strike?");
+    await chat(bob, randomUUID(), "zeppelin strike too");
+
+    const { status, body } = await alice(
+      "GET",
+      "/api/session/search?q=Zeppelin+strikes+strike&role=user",
+    );
+    assert.equal(status, 200);
+    assert.deepEqual(body.terms, ["zeppelin", "strikes", "strike"]);
+    assert.equal(body.total, 0);
+
+    const { body: found } = await alice(
+      "GET",
+      "/api/session/search?q=zeppelin+strike&role=user",
+    );
+    assert.equal(found.total, 1);
+    const [result] = found.results;
+    assert.equal(result.sessionId, sessionId);
+    assert.equal(result.snippet, "What about the zeppelin strike?");
+    assert.deepEqual(result.highlights, [
+      { start: 15, length: 8 },
+      { start: 24, length: 6 },
+    ]);
+
+    const later = await alice(
+      "GET",
+      `/api/session/search?q=zeppelin&from=${new Date(Date.now() + 60000).toISOString()}`,
+    );
+    assert.equal(later.body.total, 0);
+  });
+
+  it("rejects queries without searchable words and unknown roles", async () => {
+    for (const query of ["", "q=the+a", "q=news&role=system", "q=x1&to=soon"]) {
+      const { status } = await alice("GET", `/api/session/search?${query}`);
+      assert.equal(status, 400, query);
+    }
+  });
+});
+
+describe("share links", () => {
+  const anonymous = async (method, path) => {
+    const response = await fetch(`${app.url}${path}`, { method });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it("shares a snapshot anyone with the token can read", async () => {
+    const sessionId = randomUUID();
+    await chat(alice, sessionId, "Shared question");
+
+    const { status, body: link } = await alice(
+      "POST",
+      `/api/session/${sessionId}/share`,
+      { expiresIn: 3600 },
+    );
+    assert.equal(status, 201);
+    assert.equal(link.url, `/api/shared/${link.token}`);
+    assert.equal(link.messageCount, 2);
+    assert.ok(Date.parse(link.expiresAt) > Date.now());
+
+    // Later messages are not part of the snapshot
+    await chat(alice, sessionId, "Private follow-up");
+
+    const shared = await anonymous("GET", link.url);
+    assert.equal(shared.status, 200);
+    assert.equal(shared.body.title, "Shared question");
+    assert.equal("id" in shared.body.transcript.session, false);
+    assert.deepEqual(
+      shared.body.transcript.messages.map((message) => message.role),
+      ["user", "assistant"],
+    );
+
+    const { body: listed } = await alice(
+      "GET",
+      `/api/session/${sessionId}/share`,
+    );
+    assert.deepEqual(
+      listed.shares.map((share) => share.id),
+      [link.id],
+    );
+    assert.equal("token" in listed.shares[0], false);
+  });
+
+  it("forks a shared conversation into the viewer's own session", async () => {
+    const sessionId = randomUUID();
+    await chat(alice, sessionId, "Fork me");
+    const { body: link } = await alice(
+      "POST",
+      `/api/session/${sessionId}/share`,
+    );
+
+    assert.equal((await anonymous("POST", `${link.url}/fork`)).status, 401);
+
+    const fork = await bob("POST", `${link.url}/fork`);
+    assert.equal(fork.status, 201);
+    assert.equal(fork.body.ownerId, "bob");
+    assert.equal(fork.body.title, "Fork me");
+    const { body: copy } = await bob(
+      "GET",
+      `/api/session/${fork.body.id}/export?format=json`,
+    );
+    assert.equal(copy.messages[0].content, "Fork me");
+  });
+
+  it("revokes links, and only the owner can manage them", async () => {
+    const sessionId = randomUUID();
+    await chat(alice, sessionId, "Revoke me");
+    const { body: link } = await alice(
+      "POST",
+      `/api/session/${sessionId}/share`,
+    );
+
+    assert.equal(
+      (await bob("POST", `/api/session/${sessionId}/share`)).status,
+      404,
+    );
+    assert.equal(
+      (await bob("DELETE", `/api/session/${sessionId}/share/${link.id}`))
+        .status,
+      404,
+    );
+    const invalid = await alice("POST", `/api/session/${sessionId}/share`, {
+      expiresIn: 5,
+    });
+    assert.equal(invalid.status, 400);
+
+    const revoked = await alice(
+      "DELETE",
+      `/api/session/${sessionId}/share/${link.id}`,
+    );
+    assert.equal(revoked.status, 200);
+    assert.equal((await anonymous("GET", link.url)).status, 404);
+  });
+
+  it("revokes every link when the session is deleted", async () => {
+    const sessionId = randomUUID();
+    await chat(alice, sessionId, "Delete me");
+    const { body: link } = await alice(
+      "POST",
+      `/api/session/${sessionId}/share`,
+    );
+
+    await alice("DELETE", `/api/session/${sessionId}`);
+    assert.equal((await anonymous("GET", link.url)).status, 404);
+  });
+
+  it("refuses to share an empty conversation", async () => {
+    const { body: session } = await alice("POST", "/api/session");
+    const empty = await alice(
+      "POST",
+      `/api/session/${session.sessionId}/share`,
+    );
+    assert.equal(empty.status, 400);
+  });
+});
@@ -0,0 +1,177 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { ChatService } from "../../src/services/chatService.js";
+
+const turn = (role, content) => ({ role, content });
+
+describe("ChatService history", () => {
+  it("keeps the latest user/assistant turns with content", () => {
+    const service = new ChatService({ provider: "stub" });
+    service.historyTurns = 1;
+
+    const history = [
+      turn("user", "first"),
+      turn("assistant", "first answer"),
+      turn("system", "ignored"),
+      turn("user", "   "),
+      turn("user", "second"),
+      turn("assistant", "second answer"),
+    ];
+    assert.deepEqual(service.selectHistory(history), [
+      turn("user", "second"),
+      turn("assistant", "second answer"),
+    ]);
+    assert.deepEqual(service.selectHistory(undefined), []);
+
+    service.historyTurns = 0;
+    assert.deepEqual(service.selectHistory(history), []);
+  });
+
+  it("condenses follow-ups only when there is history", async () => {
+    const service = new ChatService({ provider: "stub" });
+    const prompts = [];
+    service.llm = {
+      generate: async (prompt, options) => {
+        prompts.push({ prompt, options });
+        return { text: '"Fed interest rate decision March"' };
+      },
+    };
+
+    assert.equal(await service.condenseQuery("And in March?"), "And in March?");
+    assert.equal(prompts.length, 0);
+
+    const condensed = await service.condenseQuery("And in March?", [
+      turn("user", "What did the Fed decide?"),
+      turn("assistant", "It raised rates."),
+    ]);
+    assert.equal(condensed, "Fed interest rate decision March");
+    assert.equal(prompts[0].options.task, "condense");
+    assert.match(prompts[0].prompt, /User: What did the Fed decide\?/);
+    assert.match(prompts[0].prompt, /Follow-up question: And in March\?/);
+  });
+
+  it("falls back to the message when condensing fails", async () => {
+    const service = new ChatService({ provider: "stub" });
+    service.llm = {
+      generate: async () => {
+        throw new Error("provider down");
+      },
+    };
+    const history = [turn("user", "q"), turn("assistant", "a")];
+    assert.equal(await service.condenseQuery("why?", history), "why?");
+
+    service.condenseQueries = false;
+    assert.equal(await service.condenseQuery("why?", history), "why?");
+  });
+});
+
+describe("ChatService prompt budget", () => {
+  const chunk = (id, content) => ({
+    content,
+    metadata: {
+      source: "BBC",
+      title: `Story ${id}`,
+      url: `https://example.com/${id}`,
+      publishedAt: "2025-06-01T00:00:00.000Z",
+    },
+  });
+
+  it("numbers the chunks that fit and drops the lowest-ranked", () => {
+    const service = new ChatService({ provider: "stub" });
+    service.promptBudget.maxChunkTokens = 300;
+    const context = [
+      chunk(1, "first ".repeat(200)),
+      chunk(2, "second ".repeat(200)),
+      chunk(3, "third ".repeat(200)),
+    ];
+
+    const budgeted = (limit) => {
+      const original = process.env.PROMPT_TOKEN_BUDGET;
+      process.env.PROMPT_TOKEN_BUDGET = String(limit);
+      try {
+        return service.buildPrompt("What happened?", context);
+      } finally {
+        if (original === undefined) delete process.env.PROMPT_TOKEN_BUDGET;
+        else process.env.PROMPT_TOKEN_BUDGET = original;
+      }
+    };
+
+    const full = budgeted(6000);
+    assert.equal(full.context.length, 3);
+    assert.match(full.prompt, /\[Source 3: BBC - Story 3\]/);
+
+    const tight = budgeted(900);
+    assert.ok(tight.context.length < 3);
+    assert.ok(tight.budget.used <= tight.budget.limit);
+    assert.equal(tight.budget.dropped.context, 3 - tight.context.length);
+    assert.doesNotMatch(tight.prompt, /\[Source 3:/);
+    assert.match(tight.prompt, /User question: What happened\?/);
+  });
+
+  it("keeps the newest turns of history within its share", () => {
+    const service = new ChatService({ provider: "stub" });
+    const history = Array.from({ length: 40 }, (_, i) =>
+      turn(i % 2 ? "assistant" : "user", `turn ${i} ${"words ".repeat(60)}`),
+    );
+
+    const { prompt, budget } = service.buildPrompt("And now?", [], history);
+    assert.match(prompt, /turn 39 /);
+    assert.doesNotMatch(prompt, /turn 0 /);
+    assert.ok(budget.dropped.history > 0);
+    assert.ok(budget.sections.history <= budget.limit * 0.25);
+  });
+});
+
+describe("ChatService citations", () => {
+  it("marks which sources the answer cites", () => {
+    const service = new ChatService({ provider: "stub" });
+    const context = ["one", "two"].map((id, index) => ({
+      content: `Chunk ${id}`,
+      score: 0.9,
+      metadata: {
+        title: `Story ${id}`,
+        url: `https://example.com/${id}`,
+        source: "BBC",
+        chunkId: `${id}-0`,
+        chunkIndex: 0,
+        chunkOffset: index * 100,
+      },
+    }));
+
+    const { content, sources, citations } = service.citeSources(
+      "Only the second story matters [2][3].",
+      context,
+    );
+    assert.equal(content, "Only the second story matters [2].");
+    assert.deepEqual(
+      sources.map((source) => [source.id, source.cited]),
+      [
+        [1, false],
+        [2, true],
+      ],
+    );
+    assert.equal(citations[0].chunkOffset, 100);
+  });
+});
+
+describe("ChatService mock streaming", () => {
+  it("stops the demo stream when the request is aborted", async () => {
+    const service = new ChatService({ provider: "stub" });
+    service.llm = null;
+    const controller = new AbortController();
+    const chunks = [];
+
+    const result = await service.generateStreamingResponse(
+      "session-1",
+      "Hello?",
+      (chunk) => {
+        chunks.push(chunk);
+        if (chunks.length === 2) controller.abort();
+      },
+      { signal: controller.signal },
+    );
+
+    assert.equal(chunks.length, 2);
+    assert.deepEqual(result, { interrupted: true });
+  });
+});
@@ -0,0 +1,207 @@
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, describe, it } from "node:test";
+import {
+  FeedbackService,
+  buildFeedbackRecord,
+  summarizeFeedback,
+} from "../../src/services/feedbackService.js";
+import { createPool } from "../helpers/postgres.js";
+
+const answer = {
+  id: "a1",
+  role: "assistant",
+  provider: "stub",
+  model: "stub-1",
+  promptVersion: "v2",
+  sources: [
+    {
+      chunkId: "c1",
+      source: "Reuters",
+      category: "business",
+      score: 0.8,
+      cited: true,
+    },
+    { chunkId: "c2", source: "Reuters", category: "politics", score: 0.5 },
+    { chunkId: "c3", source: "BBC News", category: "business" },
+  ],
+};
+
+function rating(rating, fields = {}) {
+  return {
+    ...buildFeedbackRecord("s1", answer, "alice", { rating }),
+    ...fields,
+  };
+}
+
+describe("buildFeedbackRecord", () => {
+  it("keeps the prompt version and the chunks the answer was built from", () => {
+    const record = buildFeedbackRecord("s1", answer, "alice", {
+      rating: "down",
+      reason: "outdated",
+      comment: "Old figures",
+    });
+
+    assert.equal(record.promptVersion, "v2");
+    assert.equal(record.reason, "outdated");
+    assert.deepEqual(record.sources, ["Reuters", "BBC News"]);
+    assert.deepEqual(record.topics, ["business", "politics"]);
+    assert.deepEqual(record.chunks[0], {
+      chunkId: "c1",
+      source: "Reuters",
+      category: "business",
+      score: 0.8,
+      fusionScore: null,
+      rerankScore: null,
+      cited: true,
+    });
+    assert.equal(record.chunks[2].score, null);
+    assert.equal(record.chunks[2].cited, false);
+  });
+});
+
+describe("summarizeFeedback", () => {
+  it("counts a rating once per source and topic of its answer", () => {
+    const summary = summarizeFeedback([
+      rating("up"),
+      rating("down", { reason: "outdated", sources: ["Reuters"] }),
+      rating("down", {
+        reason: "outdated",
+        promptVersion: null,
+        sources: [],
+        topics: [],
+      }),
+    ]);
+
+    assert.deepEqual(summary.total, {
+      count: 3,
+      up: 1,
+      down: 2,
+      upRate: 0.333,
+    });
+    assert.deepEqual(summary.bySource, [
+      { source: "Reuters", count: 2, up: 1, down: 1, upRate: 0.5 },
+      { source: "BBC News", count: 1, up: 1, down: 0, upRate: 1 },
+    ]);
+    assert.deepEqual(
+      summary.byPromptVersion.map((group) => [
+        group.promptVersion,
+        group.count,
+      ]),
+      [
+        ["v2", 2],
+        ["unknown", 1],
+      ],
+    );
+    assert.deepEqual(summary.reasons, [{ reason: "outdated", count: 2 }]);
+  });
+
+  it("reports no rate without ratings", () => {
+    assert.deepEqual(summarizeFeedback([]).total, {
+      count: 0,
+      up: 0,
+      down: 0,
+      upRate: null,
+    });
+  });
+});
+
+describe("FeedbackService in memory", () => {
+  const service = new FeedbackService();
+
+  it("replaces a user's earlier rating but keeps when it was first given", async () => {
+    const sessionId = randomUUID();
+    const first = await service.record({
+      ...rating("up", { createdAt: "2025-06-01T00:00:00.000Z" }),
+      sessionId,
+    });
+    const second = await service.record({
+      ...rating("down", { reason: "inaccurate" }),
+      sessionId,
+    });
+
+    assert.equal(second.createdAt, first.createdAt);
+    const feedback = await service.getForMessages(
+      sessionId,
+      ["a1", "a2"],
+      "alice",
+    );
+    assert.deepEqual([...feedback.keys()], ["a1"]);
+    assert.equal(feedback.get("a1").rating, "down");
+    assert.equal(feedback.get("a1").reason, "inaccurate");
+    assert.equal(
+      (await service.getForMessages(sessionId, ["a1"], "bob")).size,
+      0,
+    );
+  });
+
+  it("limits stats to ratings updated within the range", async () => {
+    await service.record({
+      ...rating("up", { updatedAt: "2020-01-01T00:00:00.000Z" }),
+      sessionId: randomUUID(),
+    });
+
+    const old = await service.stats({ to: "2020-12-31T00:00:00.000Z" });
+    assert.equal(old.total.count, 1);
+    assert.equal(old.total.up, 1);
+  });
+});
+
+describe("FeedbackService in Postgres", () => {
+  let pool;
+  before(async () => {
+    pool = await createPool();
+  });
+  after(() => pool.end());
+
+  it("aggregates the same way as summarizeFeedback", async () => {
+    const records = [
+      rating("up", { sessionId: "s1" }),
+      rating("down", { sessionId: "s2", reason: "outdated" }),
+      rating("down", {
+        sessionId: "s3",
+        promptVersion: null,
+        sources: ["BBC News"],
+        topics: [],
+      }),
+    ];
+    for (const record of records) {
+      await pool.query(
+        `INSERT INTO message_feedback
+           (session_id, message_id, user_id, rating, reason, prompt_version,
+            sources, topics)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          record.sessionId,
+          record.messageId,
+          record.userId,
+          record.rating,
+          record.reason,
+          record.promptVersion,
+          record.sources,
+          record.topics,
+        ],
+      );
+    }
+
+    const sorted = (groups, key) =>
+      [...groups].sort((a, b) => a[key].localeCompare(b[key]));
+    const expected = summarizeFeedback(records);
+    const actual = await new FeedbackService().statsFromPostgres(pool, {});
+
+    assert.deepEqual(actual.total, expected.total);
+    assert.deepEqual(
+      sorted(actual.bySource, "source"),
+      sorted(expected.bySource, "source"),
+    );
+    assert.deepEqual(
+      sorted(actual.byTopic, "topic"),
+      sorted(expected.byTopic, "topic"),
+    );
+    assert.deepEqual(
+      sorted(actual.byPromptVersion, "promptVersion"),
+      sorted(expected.byPromptVersion, "promptVersion"),
+    );
+    assert.deepEqual(actual.reasons, expected.reasons);
+  });
+});
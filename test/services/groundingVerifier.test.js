@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  GroundingVerifier,
+  LLMGroundingVerifier,
+  splitClaims,
+} from "../../src/services/groundingVerifier.js";
+
+const context = [
+  {
+    content:
+      "The central bank raised interest rates by 0.25% on Wednesday, citing persistent inflation.",
+    metadata: { title: "Central bank raises rates" },
+  },
+];
+
+describe("splitClaims", () => {
+  it("keeps factual sentences and drops headings, questions and hedges", () => {
+    const claims = splitClaims(
+      [
+        "## Summary",
+        "- The central bank raised interest rates on Wednesday [1].",
+        "Would you like to know more about this?",
+        "Sorry, I could not find more details.",
+        "Short one.",
+      ].join("\n"),
+    );
+    assert.deepEqual(claims, [
+      "The central bank raised interest rates on Wednesday.",
+    ]);
+  });
+});
+
+describe("GroundingVerifier", () => {
+  it("reports supported and unsupported claims with a confidence", async () => {
+    const verifier = new GroundingVerifier({ verifier: "heuristic" });
+    const result = await verifier.verify(
+      "The central bank raised interest rates by 0.25% on Wednesday. " +
+        "Football fans celebrated the championship parade downtown.",
+      context,
+    );
+
+    assert.equal(result.verifier, "heuristic");
+    assert.deepEqual(
+      result.claims.map((claim) => [claim.status, claim.sourceIndex]),
+      [
+        ["supported", 1],
+        ["unsupported", null],
+      ],
+    );
+    assert.equal(result.confidence, 0.5);
+    assert.equal(result.grounded, false);
+  });
+
+  it("flags figures that do not appear in the sources", async () => {
+    const verifier = new GroundingVerifier({ verifier: "heuristic" });
+    const result = await verifier.verify(
+      "The central bank raised interest rates by 0.75% on Wednesday.",
+      context,
+    );
+    assert.notEqual(result.claims[0].status, "supported");
+  });
+
+  it("treats answers without claims as grounded", async () => {
+    const verifier = new GroundingVerifier({ verifier: "heuristic" });
+    const result = await verifier.verify("Hello!", []);
+    assert.equal(result.confidence, 1);
+    assert.equal(result.grounded, true);
+  });
+
+  it("falls back to the heuristic when the LLM verdicts are unusable", async () => {
+    const llm = { generate: async () => ({ text: "I cannot comply" }) };
+    const verifier = new GroundingVerifier({ verifier: "llm", llm });
+    const result = await verifier.verify(
+      "The central bank raised interest rates by 0.25% on Wednesday.",
+      context,
+    );
+    assert.equal(result.verifier, "heuristic");
+    assert.equal(result.claims[0].status, "supported");
+  });
+
+  it("maps unknown LLM statuses to unsupported", async () => {
+    const llm = {
+      generate: async () => ({
+        text: '[{"status":"constructor","source":1},{"status":"partial","source":9}]',
+      }),
+    };
+    const results = await new LLMGroundingVerifier({ llm }).verify(
+      ["first claim here", "second claim here"],
+      context,
+    );
+    assert.deepEqual(
+      results.map((claim) => [claim.status, claim.score, claim.sourceIndex]),
+      [
+        ["unsupported", 0, null],
+        ["partial", 0.5, null],
+      ],
+    );
+  });
+});
@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, describe, it } from "node:test";
+import { KeywordIndexService } from "../../src/services/keywordIndex.js";
+import { tokenize } from "../../src/utils/tokenize.js";
+
+const chunks = [
+  {
+    id: "fed-0",
+    content: "The Federal Reserve raised interest rates again in March.",
+    metadata: { title: "Fed raises rates" },
+  },
+  {
+    id: "covid-0",
+    content: "COVID-19 cases fell as the vaccine rollout continued.",
+    metadata: { title: "Cases fall" },
+  },
+  {
+    id: "bill-0",
+    content: "Congress passed H.R.1234, the infrastructure bill, on Friday.",
+    metadata: { title: "Bill passes" },
+  },
+];
+
+describe("tokenize", () => {
+  it("lowercases, drops stopwords and keeps identifiers joined and split", () => {
+    assert.deepEqual(tokenize("The COVID-19 vaccine"), [
+      "covid19",
+      "covid",
+      "19",
+      "vaccine",
+    ]);
+    assert.ok(tokenize("H.R.1234").includes("hr1234"));
+  });
+});
+
+describe("KeywordIndexService", () => {
+  const directory = mkdtemp(join(tmpdir(), "keyword-index-"));
+  after(async () => rm(await directory, { recursive: true, force: true }));
+
+  it("ranks chunks by BM25 and returns their chunk ids", () => {
+    const index = new KeywordIndexService({ indexPath: "unused.json" });
+    index.addDocuments(chunks);
+
+    const results = index.search("interest rates", 5);
+    assert.equal(results.length, 1);
+    assert.equal(results[0].id, "fed-0");
+    assert.equal(results[0].metadata.chunkId, "fed-0");
+    assert.ok(results[0].score > 0);
+
+    assert.equal(index.search("covid19")[0].id, "covid-0");
+    assert.equal(index.search("HR1234")[0].id, "bill-0");
+    assert.deepEqual(index.search("the and of"), []);
+  });
+
+  it("replaces re-added chunks and forgets removed ones", () => {
+    const index = new KeywordIndexService({ indexPath: "unused.json" });
+    index.addDocuments(chunks);
+    index.addDocuments([{ id: "fed-0", content: "Markets rallied." }]);
+
+    assert.deepEqual(index.search("interest rates"), []);
+    assert.equal(index.search("markets")[0].id, "fed-0");
+
+    index.removeDocument("fed-0");
+    assert.deepEqual(index.search("markets"), []);
+    assert.equal(index.documents.size, 2);
+    assert.equal(index.postings.has("markets"), false);
+  });
+
+  it("saves to and reloads from its JSON file", async () => {
+    const indexPath = join(await directory, "index.json");
+    const index = new KeywordIndexService({ indexPath });
+    index.addDocuments(chunks);
+    assert.equal(await index.save(), true);
+
+    const reloaded = new KeywordIndexService({ indexPath });
+    assert.equal(await reloaded.load(), true);
+    assert.deepEqual(reloaded.search("vaccine"), index.search("vaccine"));
+    assert.equal(reloaded.totalLength, index.totalLength);
+  });
+
+  it("clears every chunk, on disk too", async () => {
+    const indexPath = join(await directory, "cleared.json");
+    const index = new KeywordIndexService({ indexPath });
+    index.addDocuments(chunks);
+    assert.equal(await index.clear(), true);
+    assert.deepEqual(index.search("vaccine"), []);
+
+    const reloaded = new KeywordIndexService({ indexPath });
+    assert.equal(await reloaded.load(), true);
+    assert.equal(reloaded.documents.size, 0);
+    assert.equal(reloaded.totalLength, 0);
+  });
+});
+
+describe("KeywordIndexService filters", () => {
+  const index = new KeywordIndexService({ indexPath: "unused.json" });
+  index.addDocuments([
+    {
+      id: "bbc-0",
+      content: "Election results are in.",
+      metadata: {
+        source: "BBC",
+        country: "gb",
+        language: "en",
+        publishedAt: "2025-03-02T10:00:00.000Z",
+      },
+    },
+    {
+      id: "cnn-0",
+      content: "Election results are in.",
+      metadata: {
+        source: "CNN",
+        country: "us",
+        language: "en",
+        publishedAt: "2025-05-02T10:00:00.000Z",
+      },
+    },
+  ]);
+  const ids = (options) =>
+    index.search("election results", 5, options).map((result) => result.id);
+
+  it("matches any of the requested values per field", () => {
+    assert.deepEqual(ids({ sources: ["bbc"] }), ["bbc-0"]);
+    assert.deepEqual(ids({ countries: ["us", "gb"] }).sort(), [
+      "bbc-0",
+      "cnn-0",
+    ]);
+    assert.deepEqual(ids({ sources: ["bbc"], countries: ["us"] }), []);
+  });
+
+  it("limits results to the date range", () => {
+    assert.deepEqual(ids({ dateRange: { from: "2025-04-01T00:00:00Z" } }), [
+      "cnn-0",
+    ]);
+    assert.deepEqual(ids({ dateRange: { to: "2025-04-01T00:00:00Z" } }), [
+      "bbc-0",
+    ]);
+  });
+});
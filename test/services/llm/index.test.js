@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  createLLMProvider,
+  isSupportedProvider,
+  listProviders,
+} from "../../../src/services/llm/index.js";
+import { StubProvider } from "../../../src/services/llm/stubProvider.js";
+import { validateModelSelection } from "../../../src/utils/requestValidation.js";
+
+describe("LLM provider registry", () => {
+  it("accepts the registered providers in any case", () => {
+    assert.deepEqual(listProviders(), ["gemini", "openai", "stub"]);
+    assert.equal(isSupportedProvider("stub"), true);
+    assert.equal(isSupportedProvider("OpenAI"), true);
+    assert.equal(isSupportedProvider("anthropic"), false);
+    assert.equal(isSupportedProvider(undefined), false);
+  });
+
+  it("rejects names inherited from Object.prototype", () => {
+    for (const name of [
+      "constructor",
+      "__proto__",
+      "toString",
+      "hasOwnProperty",
+    ]) {
+      assert.equal(isSupportedProvider(name), false, name);
+      assert.throws(() => createLLMProvider(name), /Unsupported LLM provider/);
+      assert.match(validateModelSelection(name), /Unsupported provider/);
+    }
+  });
+
+  it("creates providers with the requested model", () => {
+    const provider = createLLMProvider("STUB", { model: "stub-2" });
+    assert.ok(provider instanceof StubProvider);
+    assert.equal(provider.model, "stub-2");
+    assert.equal(createLLMProvider("stub").model, "stub-1");
+  });
+});
+
+describe("StubProvider", () => {
+  it("answers deterministically and lists the prompt's sources", async () => {
+    const provider = new StubProvider();
+    const prompt =
+      "[Source 1: BBC - Rates rise]\nContent: ...\n\nUser question: What happened?";
+    const first = await provider.generate(prompt);
+    const second = await provider.generate(prompt);
+
+    assert.equal(first.text, second.text);
+    assert.match(first.text, /to: "What happened\?"/);
+    assert.match(first.text, /- \[1\] BBC - Rates rise/);
+    assert.equal(
+      first.usage.totalTokens,
+      first.usage.promptTokens + first.usage.completionTokens,
+    );
+  });
+
+  it("streams the same text word by word and stops when aborted", async () => {
+    const provider = new StubProvider();
+    const prompt = "User question: Tell me the news";
+    const chunks = [];
+    const { text } = await provider.generateStream(prompt, (chunk) =>
+      chunks.push(chunk),
+    );
+    assert.equal(chunks.join(""), text);
+    assert.equal(text, (await provider.generate(prompt)).text);
+
+    const controller = new AbortController();
+    const partial = [];
+    const result = await provider.generateStream(
+      prompt,
+      (chunk) => {
+        partial.push(chunk);
+        if (partial.length === 2) controller.abort();
+      },
+      { signal: controller.signal },
+    );
+    assert.equal(partial.length, 2);
+    assert.equal(result.text, partial.join(""));
+  });
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  HeuristicReranker,
+  LLMReranker,
+  NoopReranker,
+  createReranker,
+} from "../../src/services/rerankers.js";
+
+const candidates = [
+  {
+    id: 1,
+    content: "Local team wins the football cup final.",
+    metadata: { title: "Cup final", publishedAt: new Date().toISOString() },
+  },
+  {
+    id: 2,
+    content: "The central bank raised interest rates by a quarter point.",
+    metadata: {
+      title: "Interest rates rise",
+      publishedAt: new Date().toISOString(),
+    },
+  },
+];
+
+describe("rerankers", () => {
+  it("heuristic reranker puts term matches first with scores in 0..1", async () => {
+    const reranked = await new HeuristicReranker().rerank(
+      "interest rates",
+      candidates,
+    );
+    assert.deepEqual(
+      reranked.map((candidate) => candidate.id),
+      [2, 1],
+    );
+    for (const candidate of reranked) {
+      assert.ok(candidate.rerankScore >= 0 && candidate.rerankScore <= 1);
+    }
+  });
+
+  it("noop reranker keeps retrieval order", async () => {
+    const reranked = await new NoopReranker().rerank("anything", candidates);
+    assert.deepEqual(
+      reranked.map((candidate) => candidate.id),
+      [1, 2],
+    );
+  });
+
+  it("LLM reranker scores by the grades the model returns", async () => {
+    const llm = { generate: async () => ({ text: "Grades: [2, 9]" }) };
+    const reranked = await new LLMReranker({ llm }).rerank("rates", candidates);
+    assert.deepEqual(
+      reranked.map((candidate) => [candidate.id, candidate.rerankScore]),
+      [
+        [2, 0.9],
+        [1, 0.2],
+      ],
+    );
+  });
+
+  it("falls back to the heuristic when the configured reranker fails", async () => {
+    const llm = { generate: async () => ({ text: "no idea" }) };
+    const reranker = createReranker("llm", { llm });
+    assert.equal(reranker.name, "llm");
+
+    const reranked = await reranker.rerank("interest rates", candidates);
+    assert.equal(reranked[0].id, 2);
+  });
+
+  it("uses the heuristic for unknown names", () => {
+    assert.ok(createReranker("bogus") instanceof HeuristicReranker);
+    assert.ok(createReranker("constructor") instanceof HeuristicReranker);
+    assert.equal(createReranker("none").name, "none");
+  });
+});
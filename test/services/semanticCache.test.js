@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { SemanticCacheService } from "../../src/services/semanticCache.js";
+import { createRedis } from "../helpers/redis.js";
+
+describe("SemanticCacheService", () => {
+  let redis;
+  let cache;
+  beforeEach(() => {
+    redis = createRedis();
+    cache = new SemanticCacheService();
+    cache.getClient = () => redis;
+  });
+
+  it("returns answers for similar queries asked under the same scope", async () => {
+    const scope = cache.buildScope({ provider: "stub", filters: null });
+    const response = { content: "Rates went up.", sources: [] };
+    assert.equal(await cache.store([1, 0, 0], scope, "rates?", response), true);
+
+    const hit = await cache.lookup([0.99, 0.01, 0], scope);
+    assert.deepEqual(hit.response, response);
+    assert.ok(hit.similarity >= cache.threshold);
+
+    assert.equal(await cache.lookup([0, 1, 0], scope), null);
+    assert.equal(
+      await cache.lookup([1, 0, 0], cache.buildScope({ provider: "other" })),
+      null,
+    );
+  });
+
+  it("ignores entries older than the last ingestion run", async () => {
+    const scope = cache.buildScope({ provider: "stub" });
+    await cache.store([1, 0], scope, "q", { content: "old" });
+    await redis.set(
+      "ingestion:lastRun",
+      new Date(Date.now() + 1000).toISOString(),
+    );
+
+    assert.equal(await cache.lookup([1, 0], scope), null);
+  });
+
+  it("does nothing without Redis or an embedding", async () => {
+    cache.getClient = () => null;
+    assert.equal(await cache.store([1], "scope", "q", {}), false);
+    assert.equal(await cache.lookup([1], "scope"), null);
+
+    cache.getClient = () => redis;
+    assert.equal(await cache.store(null, "scope", "q", {}), false);
+  });
+});
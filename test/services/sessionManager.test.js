@@ -0,0 +1,207 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, beforeEach, describe, it } from "node:test";
+import { authorizeSession } from "../../src/middleware/auth.js";
+import {
+  SessionManager,
+  getSessionManager,
+} from "../../src/services/sessionManager.js";
+import { PostgresSessionStore } from "../../src/services/sessionStores/postgresSessionStore.js";
+import { RedisSessionStore } from "../../src/services/sessionStores/redisSessionStore.js";
+import { createPool } from "../helpers/postgres.js";
+import { createRedis } from "../helpers/redis.js";
+
+// A manager in front of Redis whose availability the test switches
+function managerWithRedis() {
+  const manager = new SessionManager();
+  const redis = new RedisSessionStore(createRedis(), {
+    defaultTTL: manager.sessionTTL,
+  });
+  let up = true;
+  redis.isAvailable = () => up;
+  return {
+    manager,
+    redis,
+    setUp(value) {
+      up = value;
+    },
+  };
+}
+
+function message(id, content, parentId) {
+  return {
+    id,
+    role: "user",
+    content,
+    parentId,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+const ids = (messages) => messages.map((m) => m.id);
+
+describe("SessionManager failover without a database", () => {
+  it("serves new sessions from memory and merges them back", async () => {
+    const { manager, redis, setUp } = managerWithRedis();
+    manager.store = redis;
+
+    setUp(false);
+    await manager.createSession("outage", "alice");
+    await manager.addMessage("outage", message("m1", "During the outage"));
+    assert.equal(manager.failedOver, true);
+    assert.equal(await redis.getSession("outage"), null);
+
+    setUp(true);
+    const session = await manager.getSession("outage");
+    assert.equal(manager.failedOver, false);
+    assert.equal(session.ownerId, "alice");
+    assert.equal(session.title, "During the outage");
+    assert.deepEqual(ids(await redis.allMessages("outage")), ["m1"]);
+    assert.equal(await manager.memoryStore.getSession("outage"), null);
+  });
+
+  it("does not hand out unknown session ids while failed over", async () => {
+    const shared = getSessionManager();
+    const { redis, setUp } = managerWithRedis();
+    const saved = { store: shared.store, database: shared.database };
+    shared.store = redis;
+    shared.database = null;
+
+    try {
+      setUp(false);
+      const user = { id: "mallory" };
+      assert.equal(
+        await authorizeSession(user, "taken-in-redis", { create: true }),
+        false,
+      );
+      assert.equal(await shared.getSession("taken-in-redis"), null);
+
+      setUp(true);
+      assert.equal(
+        await authorizeSession(user, "new-after-outage", { create: true }),
+        true,
+      );
+    } finally {
+      Object.assign(shared, saved, { failedOver: false });
+    }
+  });
+});
+
+describe("SessionManager failover with a database", () => {
+  let pool;
+  before(async () => {
+    pool = await createPool();
+  });
+  after(() => pool.end());
+  beforeEach(() => pool.query("DELETE FROM chat_sessions"));
+
+  let setup;
+  beforeEach(() => {
+    setup = managerWithRedis();
+    setup.manager.store = setup.redis;
+    setup.manager.database = new PostgresSessionStore(pool);
+  });
+  afterEach(() => setup.setUp(true));
+
+  it("reloads sessions from the database and merges the outage writes", async () => {
+    const { manager, redis, setUp } = setup;
+    await manager.createSession("s1", "alice");
+    await manager.addMessage("s1", message("m1", "Before"));
+
+    setUp(false);
+    assert.equal(manager.canCreateMissingSessions(), true);
+    await manager.addMessage("s1", message("m2", "During", "m1"));
+    await manager.updateSession("s1", { title: "Renamed", pinned: true });
+    assert.deepEqual(ids(await redis.allMessages("s1")), ["m1"]);
+
+    setUp(true);
+    await manager.getSession("s1");
+    const stored = await redis.getSession("s1");
+    assert.deepEqual(ids(await redis.allMessages("s1")), ["m1", "m2"]);
+    assert.equal(stored.activeLeafId, "m2");
+    assert.equal(stored.title, "Renamed");
+    assert.equal(stored.pinned, true);
+  });
+
+  it("drops outage copies of sessions Redis holds for another owner", async () => {
+    const { manager, redis, setUp } = setup;
+    await manager.createSession("s1", "alice");
+
+    setUp(false);
+    const session = await manager.getSession("s1");
+    await manager.memoryStore.restoreSession({ ...session, ownerId: "bob" }, [
+      message("m1", "Not alice's"),
+    ]);
+
+    setUp(true);
+    await manager.getSession("s1");
+    assert.equal((await redis.getSession("s1")).ownerId, "alice");
+    assert.deepEqual(await redis.allMessages("s1"), []);
+    assert.equal(await manager.memoryStore.getSession("s1"), null);
+  });
+});
+
+describe("SessionManager branches", () => {
+  // m1 ─┬─ a1
+  //     └─ a2 ── m2 ── a3
+  //  e1 (edit of m1)
+  async function conversation(manager) {
+    await manager.createSession("s1", "alice");
+    await manager.addMessage("s1", message("m1", "question"));
+    await manager.addMessage("s1", message("a1", "answer"));
+    await manager.addMessage("s1", message("a2", "retry", "m1"));
+    await manager.addMessage("s1", message("m2", "follow-up"));
+    await manager.addMessage("s1", message("a3", "answer"));
+    await manager.addMessage("s1", message("e1", "edited", null));
+  }
+
+  it("follows the latest reply from the chosen message", async () => {
+    const manager = new SessionManager();
+    await conversation(manager);
+
+    // One read of the stored messages, however deep the branch
+    let reads = 0;
+    const getMessages = manager.memoryStore.getMessages;
+    manager.memoryStore.getMessages = (...args) => {
+      reads++;
+      return getMessages.apply(manager.memoryStore, args);
+    };
+    const session = await manager.switchBranch("s1", "m1");
+    assert.equal(reads, 1);
+    manager.memoryStore.getMessages = getMessages;
+
+    assert.equal(session.activeLeafId, "a3");
+    assert.deepEqual(ids(await manager.getMessages("s1")), [
+      "m1",
+      "a2",
+      "m2",
+      "a3",
+    ]);
+
+    await manager.switchBranch("s1", "a1");
+    const messages = await manager.getMessages("s1", { withSiblings: true });
+    assert.deepEqual(ids(messages), ["m1", "a1"]);
+    assert.deepEqual(messages[0].siblingIds, ["m1", "e1"]);
+    assert.deepEqual(messages[1].siblingIds, ["a1", "a2"]);
+
+    assert.equal(await manager.switchBranch("s1", "missing"), null);
+  });
+
+  it("finds the latest leaf with one query against Postgres", async () => {
+    const pool = await createPool();
+    try {
+      const manager = new SessionManager();
+      manager.database = new PostgresSessionStore(pool);
+      await conversation(manager);
+
+      assert.equal(await manager.database.getLatestLeafId("s1", "m1"), "a3");
+      assert.equal(await manager.database.getLatestLeafId("s1", "a1"), "a1");
+      assert.equal(
+        await manager.database.getLatestLeafId("s1", "missing"),
+        null,
+      );
+      assert.equal((await manager.switchBranch("s1", "a2")).activeLeafId, "a3");
+    } finally {
+      await pool.end();
+    }
+  });
+});
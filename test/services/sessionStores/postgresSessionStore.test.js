@@ -0,0 +1,227 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { SessionManager } from "../../../src/services/sessionManager.js";
+import { PostgresSessionStore } from "../../../src/services/sessionStores/postgresSessionStore.js";
+import { createPool } from "../../helpers/postgres.js";
+
+let pool;
+let store;
+before(async () => {
+  pool = await createPool();
+  store = new PostgresSessionStore(pool);
+});
+after(() => pool.end());
+beforeEach(() => pool.query("DELETE FROM chat_sessions"));
+
+function newSession(id, fields = {}) {
+  return {
+    id,
+    ownerId: "alice",
+    title: null,
+    titleSource: null,
+    pinned: false,
+    archived: false,
+    archivedAt: null,
+    created: "2025-06-18T09:00:00.000Z",
+    lastActivity: "2025-06-18T09:00:00.000Z",
+    messageCount: 0,
+    ttl: 3600,
+    activeLeafId: null,
+    ...fields,
+  };
+}
+
+let clock = Date.parse("2025-06-18T10:00:00.000Z");
+async function append(session, id, content, fields = {}, title = null) {
+  const timestamp = new Date((clock += 1000)).toISOString();
+  return store.appendMessage(
+    session,
+    { id, role: "user", content, timestamp, parentId: null, ...fields },
+    { title, lastActivity: timestamp },
+  );
+}
+
+describe("PostgresSessionStore", () => {
+  it("creates sessions once and reads them back", async () => {
+    await store.createSession(newSession("s1"));
+    await store.createSession(newSession("s1", { ownerId: "bob" }));
+
+    const stored = await store.getSession("s1");
+    assert.equal(stored.ownerId, "alice");
+    assert.equal(stored.created, "2025-06-18T09:00:00.000Z");
+    assert.equal(stored.pinned, false);
+    assert.equal(await store.getSession("missing"), null);
+  });
+
+  it("fills in the ttl and dates legacy sessions lack on their first append", async () => {
+    // Sessions migrated from legacy keys carry only some of the fields
+    const legacy = new PostgresSessionStore(pool, { defaultTTL: 7200 });
+    const timestamp = "2025-06-18T10:30:00.000Z";
+    await legacy.appendMessage(
+      { id: "legacy", ownerId: "alice", messageCount: 0 },
+      { id: "m1", role: "user", content: "hello", timestamp, parentId: null },
+      { title: null, lastActivity: timestamp },
+    );
+
+    const stored = await store.getSession("legacy");
+    assert.equal(stored.ttl, 7200);
+    assert.equal(stored.messageCount, 1);
+    assert.ok(stored.created);
+    assert.equal(stored.lastActivity, timestamp);
+  });
+
+  it("appends messages, counting them and setting the first title", async () => {
+    // Sessions only cached until now are inserted by the first append
+    const session = newSession("s1");
+    assert.equal(await append(session, "m1", "first", {}, "First"), 1);
+    assert.equal(
+      await append(
+        session,
+        "m2",
+        "second",
+        { role: "assistant", parentId: "m1" },
+        "Second",
+      ),
+      2,
+    );
+
+    const stored = await store.getSession("s1");
+    assert.equal(stored.messageCount, 2);
+    assert.equal(stored.activeLeafId, "m2");
+    assert.equal(stored.title, "First");
+    assert.equal(stored.titleSource, "auto");
+    assert.deepEqual(await store.getMessage("s1", "m2"), {
+      id: "m2",
+      role: "assistant",
+      content: "second",
+      timestamp: stored.lastActivity,
+      parentId: "m1",
+    });
+  });
+
+  it("pages messages newest first and walks branches from a leaf", async () => {
+    const session = newSession("s1");
+    await append(session, "m1", "one");
+    await append(session, "m2", "two", { parentId: "m1" });
+    await append(session, "m3", "three", { parentId: "m2" });
+    await append(session, "m2b", "edited two", { parentId: "m1" });
+
+    const ids = (messages) => messages.map((message) => message.id);
+    assert.deepEqual(
+      ids(await store.getMessages("s1", { limit: 2, offset: 1 })),
+      ["m2", "m3"],
+    );
+    assert.deepEqual(ids(await store.getBranch("s1", "m3")), [
+      "m1",
+      "m2",
+      "m3",
+    ]);
+    assert.deepEqual(ids(await store.getBranch("s1", "m2b")), ["m1", "m2b"]);
+    assert.deepEqual(
+      ids(await store.getBranch("s1", "m3", { limit: 1, offset: 1 })),
+      ["m2"],
+    );
+    assert.deepEqual(await store.getChildren("s1", ["m1", null]), [
+      { id: "m1", parentId: null },
+      { id: "m2", parentId: "m1" },
+      { id: "m2b", parentId: "m1" },
+    ]);
+  });
+
+  it("lists an owner's sessions pinned first, then by activity", async () => {
+    await store.createSession(newSession("old", { pinned: true }));
+    await store.createSession(
+      newSession("new", { lastActivity: "2025-06-18T11:00:00.000Z" }),
+    );
+    await store.createSession(newSession("archived", { archived: true }));
+    await store.createSession(newSession("other", { ownerId: "bob" }));
+
+    const { sessions, total } = await store.listSessions("alice");
+    assert.deepEqual(
+      sessions.map((session) => session.id),
+      ["old", "new"],
+    );
+    assert.equal(total, 2);
+
+    const all = await store.listSessions("alice", {
+      archived: "all",
+      limit: 1,
+      offset: 2,
+    });
+    assert.deepEqual(
+      all.sessions.map((session) => session.id),
+      ["archived"],
+    );
+    assert.equal(all.total, 3);
+  });
+
+  it("searches an owner's messages by terms, role and date", async () => {
+    const session = newSession("s1");
+    await append(session, "m1", "Inflation figures for May");
+    await append(session, "m2", "May inflation rose", { role: "assistant" });
+    await append(newSession("s2", { ownerId: "bob" }), "m3", "inflation May");
+
+    const search = (options) =>
+      store.searchMessages("alice", {
+        terms: ["inflation", "may"],
+        role: null,
+        from: null,
+        to: null,
+        limit: 10,
+        offset: 0,
+        ...options,
+      });
+
+    const all = await search();
+    assert.deepEqual(
+      all.matches.map((match) => match.message.id),
+      ["m2", "m1"],
+    );
+    assert.equal(all.total, 2);
+    assert.equal(all.matches[0].session.id, "s1");
+
+    assert.deepEqual(
+      (await search({ role: "user" })).matches.map((m) => m.message.id),
+      ["m1"],
+    );
+    const { timestamp } = await store.getMessage("s1", "m2");
+    assert.deepEqual(
+      (await search({ from: timestamp })).matches.map((m) => m.message.id),
+      ["m2"],
+    );
+  });
+
+  it("deletes a session with its messages", async () => {
+    await append(newSession("s1"), "m1", "bye");
+    await store.deleteSession("s1");
+
+    assert.equal(await store.getSession("s1"), null);
+    assert.deepEqual(await store.getMessages("s1"), []);
+  });
+});
+
+describe("SessionManager with Postgres", () => {
+  it("writes through and reloads sessions that left the cache", async () => {
+    const manager = new SessionManager();
+    manager.database = store;
+
+    await manager.createSession("s1", "alice");
+    await manager.addMessage("s1", {
+      id: "m1",
+      role: "user",
+      content: "Keep me",
+      timestamp: new Date().toISOString(),
+    });
+    assert.equal((await store.getSession("s1")).messageCount, 1);
+
+    // As when the cached copy expires after CHAT_HISTORY_TTL
+    await manager.memoryStore.deleteSession("s1");
+
+    const reloaded = await manager.getSession("s1");
+    assert.equal(reloaded.title, "Keep me");
+    assert.deepEqual(
+      (await manager.getMessages("s1")).map((message) => message.content),
+      ["Keep me"],
+    );
+  });
+});
@@ -0,0 +1,337 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { RedisSessionStore } from "../../../src/services/sessionStores/redisSessionStore.js";
+import { createRedis } from "../../helpers/redis.js";
+
+const TTL = 3600;
+
+function newSession(id, fields = {}) {
+  const now = new Date().toISOString();
+  return {
+    id,
+    ownerId: "alice",
+    title: null,
+    titleSource: null,
+    pinned: false,
+    archived: false,
+    archivedAt: null,
+    created: now,
+    lastActivity: now,
+    messageCount: 0,
+    ttl: TTL,
+    activeLeafId: null,
+    ...fields,
+  };
+}
+
+function message(id, content, role = "user") {
+  return { id, role, content, timestamp: new Date().toISOString() };
+}
+
+let redis;
+let store;
+beforeEach(async () => {
+  redis = createRedis();
+  store = new RedisSessionStore(redis, { defaultTTL: TTL });
+});
+
+async function append(session, msg, options = {}) {
+  return store.appendMessage(session, msg, {
+    title: null,
+    lastActivity: new Date().toISOString(),
+    maxMessages: 100,
+    ...options,
+  });
+}
+
+describe("RedisSessionStore append script", () => {
+  it("pushes the message and updates the session hash", async () => {
+    const session = newSession("s1");
+    await store.saveSession(session, {
+      fields: Object.keys(session),
+      replace: true,
+    });
+
+    const lastActivity = "2025-06-18T10:00:00.000Z";
+    assert.equal(
+      await append(session, message("m1", "hello"), { lastActivity }),
+      1,
+    );
+
+    const stored = await store.getSession("s1");
+    assert.equal(stored.messageCount, 1);
+    assert.equal(stored.activeLeafId, "m1");
+    assert.equal(stored.lastActivity, lastActivity);
+    assert.ok(Date.parse(stored.expiresAt) > Date.now());
+    assert.deepEqual(
+      (await store.getMessages("s1", { limit: 10, offset: 0 })).map(
+        (m) => m.content,
+      ),
+      ["hello"],
+    );
+    assert.ok((await redis.ttl("messages:s1")) > 0);
+    assert.equal(
+      await redis.zscore("user:alice:sessions", "s1"),
+      String(Date.parse(lastActivity)),
+    );
+  });
+
+  it("keeps the newest messages but counts every one appended", async () => {
+    const session = newSession("s1");
+    await store.saveSession(session, {
+      fields: Object.keys(session),
+      replace: true,
+    });
+
+    for (let index = 1; index <= 5; index++) {
+      await append(session, message(`m${index}`, `message ${index}`), {
+        maxMessages: 3,
+      });
+    }
+
+    assert.deepEqual(
+      (await store.allMessages("s1")).map((m) => m.id),
+      ["m3", "m4", "m5"],
+    );
+    assert.equal((await store.getSession("s1")).messageCount, 5);
+    assert.deepEqual(
+      (await store.getMessages("s1", { limit: 1, offset: 1 })).map((m) => m.id),
+      ["m4"],
+    );
+  });
+
+  it("sets the automatic title only while the session has none", async () => {
+    const session = newSession("s1");
+    await store.saveSession(session, {
+      fields: Object.keys(session),
+      replace: true,
+    });
+
+    await append(session, message("m1", "first"), { title: "First" });
+    await append(session, message("m2", "second"), { title: "Second" });
+
+    const stored = await store.getSession("s1");
+    assert.equal(stored.title, "First");
+    assert.equal(stored.titleSource, "auto");
+  });
+
+  it("titles sessions stored before they had a title field", async () => {
+    const { title, titleSource, ...legacy } = newSession("s1");
+    await store.saveSession(legacy, {
+      fields: Object.keys(legacy),
+      replace: true,
+    });
+    assert.equal(await redis.hexists("session:s1", "title"), 0);
+
+    await append(legacy, message("m1", "first"), { title: "First" });
+    assert.equal((await store.getSession("s1")).title, "First");
+  });
+
+  it("does not recreate a session that expired or was deleted", async () => {
+    const session = newSession("s1");
+    assert.equal(await append(session, message("m1", "late")), null);
+    assert.equal(await redis.exists("messages:s1"), 0);
+  });
+});
+
+describe("RedisSessionStore legacy migration", () => {
+  it("converts JSON string keys to the hash and list layout", async () => {
+    const session = newSession("old", { messageCount: 3 });
+    await redis.set("session:old", JSON.stringify(session), "EX", 600);
+    await redis.set(
+      "messages:old",
+      JSON.stringify([
+        message("m1", "one"),
+        message("m2", "two"),
+        message("m3", "three"),
+      ]),
+      "EX",
+      600,
+    );
+
+    assert.deepEqual(await store.migrateLegacyKeys(2), {
+      sessions: 1,
+      messages: 1,
+    });
+
+    assert.equal(await redis.type("session:old"), "hash");
+    assert.equal((await store.getSession("old")).messageCount, 3);
+    assert.deepEqual(
+      (await store.allMessages("old")).map((m) => m.id),
+      ["m2", "m3"],
+    );
+    assert.ok((await redis.ttl("messages:old")) > 0);
+
+    // Already converted keys are left alone
+    assert.deepEqual(await store.migrateLegacyKeys(2), {
+      sessions: 0,
+      messages: 0,
+    });
+  });
+});
+
+describe("RedisSessionStore search", () => {
+  const query = (terms, options = {}) => ({
+    terms,
+    role: undefined,
+    from: undefined,
+    to: undefined,
+    limit: 10,
+    offset: 0,
+    ...options,
+  });
+  const found = ({ matches }) => matches.map((match) => match.message.id);
+
+  async function seed() {
+    const session = newSession("s1");
+    await store.saveSession(session, {
+      fields: Object.keys(session),
+      replace: true,
+    });
+    await append(session, {
+      ...message("m1", "Inflation in May"),
+      timestamp: "2025-05-01T00:00:00.000Z",
+    });
+    await append(session, {
+      ...message("m2", "May inflation eased", "assistant"),
+      timestamp: "2025-06-01T00:00:00.000Z",
+    });
+    return session;
+  }
+
+  it("finds the owner's messages by every term, newest first", async () => {
+    await seed();
+    const other = newSession("s2", { ownerId: "bob" });
+    await store.saveSession(other, {
+      fields: Object.keys(other),
+      replace: true,
+    });
+    await append(other, message("m3", "inflation in may"));
+
+    const result = await store.searchMessages(
+      "alice",
+      query(["inflation", "may"]),
+    );
+    assert.deepEqual(found(result), ["m2", "m1"]);
+    assert.equal(result.total, 2);
+    assert.equal(result.matches[0].session.id, "s1");
+
+    assert.deepEqual(
+      found(await store.searchMessages("alice", query(["inflation", "eased"]))),
+      ["m2"],
+    );
+    assert.deepEqual(
+      found(
+        await store.searchMessages("alice", query(["may"], { role: "user" })),
+      ),
+      ["m1"],
+    );
+    assert.deepEqual(
+      found(
+        await store.searchMessages(
+          "alice",
+          query(["may"], { from: "2025-05-15T00:00:00.000Z" }),
+        ),
+      ),
+      ["m2"],
+    );
+    const page = await store.searchMessages(
+      "alice",
+      query(["may"], { limit: 1, offset: 1 }),
+    );
+    assert.deepEqual(found(page), ["m1"]);
+    assert.equal(page.total, 2);
+  });
+
+  it("keeps every index key with the session's keys", async () => {
+    const session = await seed();
+    assert.deepEqual((await redis.smembers("search:s1")).sort(), [
+      "eased",
+      "inflation",
+      "may",
+    ]);
+    assert.deepEqual((await redis.smembers("search:s1:may")).sort(), [
+      "m1",
+      "m2",
+    ]);
+
+    // Later writes extend the words of earlier messages too
+    await redis.expire("search:s1:inflation", 10);
+    await append(session, message("m3", "budget"));
+    assert.ok((await redis.ttl("search:s1:inflation")) > 10);
+    await redis.expire("search:s1:budget", 10);
+    await store.saveSession(session, { fields: ["title"], replace: false });
+    assert.ok((await redis.ttl("search:s1:budget")) > 10);
+
+    await store.deleteSession("s1");
+    assert.deepEqual(await redis.keys("search:*"), []);
+  });
+
+  it("rebuilds the index when a session is restored", async () => {
+    const session = await seed();
+    await store.restoreSession(session, [message("m9", "Restored budget")]);
+
+    assert.deepEqual((await redis.smembers("search:s1")).sort(), [
+      "budget",
+      "restored",
+    ]);
+    assert.equal(await redis.exists("search:s1:inflation"), 0);
+    assert.deepEqual(
+      found(await store.searchMessages("alice", query(["budget"]))),
+      ["m9"],
+    );
+  });
+
+  it("removes trimmed messages from the index", async () => {
+    const session = newSession("s1");
+    await store.saveSession(session, {
+      fields: Object.keys(session),
+      replace: true,
+    });
+    for (let index = 1; index <= 3; index++) {
+      await append(session, message(`m${index}`, `update ${index}`), {
+        maxMessages: 1,
+      });
+    }
+
+    assert.deepEqual(await redis.smembers("search:s1:update"), ["m3"]);
+    assert.deepEqual((await redis.smembers("search:s1")).sort(), [
+      "3",
+      "update",
+    ]);
+    const result = await store.searchMessages("alice", query(["update"]));
+    assert.deepEqual(found(result), ["m3"]);
+    assert.equal(result.total, 1);
+  });
+
+  it("replaces the earlier indexes once, keeping session expiry", async () => {
+    await redis.zadd("search:alice:inflation", 1, '["s1","m1"]');
+    await redis.set("search:indexed", "1");
+    await redis.hset("search:s1", "m1", '{"terms":["inflation"]}');
+    await redis.hset(
+      "session:s1",
+      "id",
+      JSON.stringify("s1"),
+      "ownerId",
+      JSON.stringify("alice"),
+    );
+    await redis.rpush(
+      "messages:s1",
+      JSON.stringify(message("m1", "Inflation in May")),
+    );
+    await redis.expire("messages:s1", 600);
+    await redis.zadd("user:alice:sessions", Date.now(), "s1");
+
+    assert.equal(await store.indexExistingMessages(), 1);
+    assert.equal(await redis.exists("search:alice:inflation"), 0);
+    assert.equal(await redis.exists("search:indexed"), 0);
+    assert.equal(await redis.type("search:s1"), "set");
+    assert.ok((await redis.ttl("search:s1")) > 0);
+    assert.ok((await redis.ttl("search:s1:inflation")) > 0);
+    assert.deepEqual(
+      found(await store.searchMessages("alice", query(["inflation"]))),
+      ["m1"],
+    );
+    assert.equal(await store.indexExistingMessages(), 0);
+  });
+});
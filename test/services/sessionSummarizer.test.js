@@ -0,0 +1,206 @@
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { beforeEach, describe, it } from "node:test";
+import { ChatService } from "../../src/services/chatService.js";
+import { prepareTurn } from "../../src/services/chatTurn.js";
+import { getSessionManager } from "../../src/services/sessionManager.js";
+import { SessionSummarizer } from "../../src/services/sessionSummarizer.js";
+
+process.env.SESSION_SUMMARY = "false";
+
+const sessionManager = getSessionManager();
+
+// Summaries are "summary of <ids folded so far>", so tests can read what
+// went into each one
+function summarizer({ recentMessages = 2, minBatch = 2 } = {}) {
+  const instance = new SessionSummarizer();
+  instance.recentMessages = recentMessages;
+  instance.minBatch = minBatch;
+  instance.prompts = [];
+  instance.llm = {
+    name: "stub",
+    generate: async (prompt) => {
+      instance.prompts.push(prompt);
+      const previous = /Summary so far:\n(.*)\n/.exec(prompt)[1];
+      const folded = [...prompt.matchAll(/^(?:User|Assistant): (\S+)/gm)].map(
+        (match) => match[1],
+      );
+      return {
+        text: `summary of ${[
+          ...(previous === "(none)" ? [] : previous.split(" ").slice(2)),
+          ...folded,
+        ].join(" ")}`,
+      };
+    },
+  };
+  return instance;
+}
+
+let sessionId;
+beforeEach(() => {
+  sessionId = randomUUID();
+});
+
+async function conversation(count) {
+  await sessionManager.createSession(sessionId);
+  for (let index = 1; index <= count; index++) {
+    await sessionManager.addMessage(sessionId, {
+      id: `m${index}`,
+      role: index % 2 ? "user" : "assistant",
+      content: `m${index} text`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+describe("SessionSummarizer", () => {
+  it("folds what precedes the recent messages into the summary", async () => {
+    await conversation(6);
+    const summary = await summarizer().summarize(sessionId);
+
+    assert.equal(summary.text, "summary of m1 m2 m3 m4");
+    assert.equal(summary.throughMessageId, "m4");
+    assert.equal(summary.messageCount, 4);
+    assert.deepEqual(
+      (await sessionManager.getSession(sessionId)).summary,
+      summary,
+    );
+  });
+
+  it("waits for a full batch and then builds on the summary", async () => {
+    await conversation(5);
+    const instance = summarizer({ minBatch: 3 });
+    assert.equal((await instance.summarize(sessionId)).throughMessageId, "m3");
+
+    await sessionManager.addMessage(sessionId, {
+      id: "m6",
+      role: "assistant",
+      content: "m6 text",
+    });
+    assert.equal(await instance.summarize(sessionId), null);
+    assert.equal(instance.prompts.length, 1);
+
+    for (const id of ["m7", "m8"]) {
+      await sessionManager.addMessage(sessionId, {
+        id,
+        role: "user",
+        content: `${id} text`,
+      });
+    }
+    const summary = await instance.summarize(sessionId);
+    assert.equal(summary.text, "summary of m1 m2 m3 m4 m5 m6");
+    assert.equal(summary.messageCount, 6);
+    assert.match(instance.prompts[1], /Summary so far:\nsummary of m1 m2 m3\n/);
+  });
+
+  it("starts over for a branch the summary doesn't cover", async () => {
+    await conversation(6);
+    await summarizer().summarize(sessionId);
+
+    // Edit the first question: the new branch shares nothing with m1..m4
+    await sessionManager.addMessage(sessionId, {
+      id: "e1",
+      role: "user",
+      content: "e1 text",
+      parentId: null,
+    });
+    for (const id of ["e2", "e3", "e4", "e5"]) {
+      await sessionManager.addMessage(sessionId, {
+        id,
+        role: "assistant",
+        content: `${id} text`,
+      });
+    }
+
+    const summary = await summarizer().summarize(sessionId);
+    assert.equal(summary.text, "summary of e1 e2 e3");
+    assert.equal(summary.messageCount, 3);
+  });
+
+  it("runs once more for calls made during a run and never rejects", async () => {
+    await conversation(6);
+    const instance = summarizer();
+    let runs = 0;
+    const summarize = instance.summarize.bind(instance);
+    instance.summarize = async (id) => {
+      runs++;
+      return summarize(id);
+    };
+
+    const first = instance.schedule(sessionId);
+    const second = instance.schedule(sessionId);
+    const third = instance.schedule(sessionId);
+    assert.equal(second, first);
+    assert.equal(third, first);
+    assert.equal((await first).throughMessageId, "m4");
+    assert.equal(runs, 2);
+
+    instance.llm.generate = async () => {
+      throw new Error("provider down");
+    };
+    await sessionManager.addMessage(sessionId, {
+      id: "m7",
+      role: "user",
+      content: "m7 text",
+    });
+    await sessionManager.addMessage(sessionId, {
+      id: "m8",
+      role: "assistant",
+      content: "m8 text",
+    });
+    assert.equal(await instance.schedule(sessionId), null);
+  });
+
+  it("is off without an LLM", async () => {
+    const instance = new SessionSummarizer();
+    assert.equal(instance.isEnabled(), false);
+    assert.equal(await instance.schedule(sessionId), null);
+  });
+});
+
+describe("summaries in prompts", () => {
+  it("replaces the summarised messages of the next turn's history", async () => {
+    await conversation(6);
+    await summarizer().summarize(sessionId);
+
+    const turn = await prepareTurn({ sessionId, message: "next" });
+    assert.equal(turn.summary, "summary of m1 m2 m3 m4");
+    assert.deepEqual(
+      turn.history.map((message) => message.id),
+      ["m5", "m6"],
+    );
+
+    const service = new ChatService({ provider: "stub" });
+    const { prompt } = service.buildPrompt(
+      turn.message,
+      [],
+      service.selectHistory(turn.history, turn.summary),
+      { summary: turn.summary },
+    );
+    assert.match(
+      prompt,
+      /SUMMARY OF THE EARLIER CONVERSATION:\nsummary of m1 m2 m3 m4/,
+    );
+    assert.match(prompt, /m5 text/);
+    assert.doesNotMatch(prompt, /m4 text/);
+  });
+
+  it("ignores a summary of another branch", async () => {
+    await conversation(6);
+    await summarizer().summarize(sessionId);
+    await sessionManager.switchBranch(sessionId, "m1");
+    await sessionManager.addMessage(sessionId, {
+      id: "a2",
+      role: "assistant",
+      content: "a2 text",
+      parentId: "m1",
+    });
+
+    const turn = await prepareTurn({ sessionId, message: "next" });
+    assert.equal(turn.summary, null);
+    assert.deepEqual(
+      turn.history.map((message) => message.id),
+      ["m1", "a2"],
+    );
+  });
+});
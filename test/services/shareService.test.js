@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { beforeEach, describe, it } from "node:test";
+import {
+  ShareService,
+  describeShare,
+  hashShareToken,
+} from "../../src/services/shareService.js";
+
+const snapshot = {
+  schema: "newsflow.transcript",
+  version: 1,
+  session: { title: "Shared" },
+  messages: [{ role: "user", content: "hi" }],
+};
+
+describe("ShareService in memory", () => {
+  const service = new ShareService();
+  let sessionId;
+  beforeEach(() => {
+    sessionId = randomUUID();
+  });
+
+  const create = (fields = {}) =>
+    service.create({ sessionId, ownerId: "alice", snapshot, ...fields });
+
+  it("resolves a link by its token, storing only the token's hash", async () => {
+    const { token, share } = await create();
+
+    assert.equal(share.tokenHash, hashShareToken(token));
+    assert.equal(JSON.stringify(share).includes(token), false);
+    assert.deepEqual(await service.resolve(token), share);
+    assert.equal(await service.resolve(`${token}x`), null);
+    assert.equal(await service.resolve(""), null);
+    assert.equal(await service.resolve(undefined), null);
+  });
+
+  it("treats expired links as missing", async () => {
+    const past = new Date(Date.now() - 1000).toISOString();
+    const future = new Date(Date.now() + 60000).toISOString();
+    const expired = await create({ expiresAt: past });
+    const live = await create({ expiresAt: future });
+
+    assert.equal(await service.resolve(expired.token), null);
+    assert.equal((await service.resolve(live.token)).expiresAt, future);
+    assert.deepEqual(
+      (await service.list(sessionId)).map((share) => share.id),
+      [live.share.id],
+    );
+  });
+
+  it("lists a session's links oldest first and revokes them", async () => {
+    const first = await create();
+    const second = await create();
+    await service.create({ sessionId: randomUUID(), ownerId: "bob", snapshot });
+
+    assert.deepEqual(
+      (await service.list(sessionId)).map((share) => share.id),
+      [first.share.id, second.share.id],
+    );
+
+    assert.equal(await service.revoke(sessionId, first.share.id), true);
+    assert.equal(await service.revoke(sessionId, first.share.id), false);
+    assert.equal(await service.revoke(randomUUID(), second.share.id), false);
+    assert.equal(await service.resolve(first.token), null);
+
+    await service.revokeAll(sessionId);
+    assert.equal(await service.resolve(second.token), null);
+    assert.deepEqual(await service.list(sessionId), []);
+  });
+
+  it("describes links without their token or snapshot", async () => {
+    const { share } = await create();
+    assert.deepEqual(describeShare(share), {
+      id: share.id,
+      sessionId,
+      createdAt: share.createdAt,
+      expiresAt: null,
+      messageCount: 1,
+    });
+  });
+});
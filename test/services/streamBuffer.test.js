@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { StreamBufferService } from "../../src/services/streamBuffer.js";
+
+describe("StreamBufferService", () => {
+  it("replays the events after a sequence number until the stream is done", async () => {
+    const buffer = new StreamBufferService();
+    await buffer.append("stream-a", { seq: 1, event: "status", data: {} });
+    await buffer.append("stream-a", { seq: 2, event: "chunk", data: "Hi" });
+
+    const partial = await buffer.read("stream-a", 1);
+    assert.deepEqual(partial, {
+      events: [{ seq: 2, event: "chunk", data: "Hi" }],
+      done: false,
+    });
+
+    await buffer.markDone("stream-a");
+    assert.equal((await buffer.read("stream-a", 0)).events.length, 2);
+    assert.equal((await buffer.read("stream-a", 2)).done, true);
+  });
+
+  it("forgets streams once their buffer expires", async () => {
+    const buffer = new StreamBufferService();
+    buffer.ttl = 0;
+    await buffer.append("stream-b", { seq: 1, event: "status", data: {} });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    assert.equal(await buffer.read("stream-b", 0), null);
+    assert.equal(await buffer.read("unknown", 0), null);
+  });
+});
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, describe, it } from "node:test";
+import { getKeywordIndex } from "../../src/services/keywordIndex.js";
+import { VectorStoreService } from "../../src/services/vectorStore.js";
+
+// The shared keyword index writes to a scratch file
+const directory = await mkdtemp(join(tmpdir(), "vector-store-"));
+process.env.KEYWORD_INDEX_PATH = join(directory, "keyword-index.json");
+after(() => rm(directory, { recursive: true, force: true }));
+
+describe("VectorStoreService", () => {
+  it("builds a Qdrant filter from the retrieval filters", () => {
+    const store = new VectorStoreService();
+    assert.equal(store.buildFilter({}), undefined);
+    assert.deepEqual(
+      store.buildFilter({
+        sources: ["bbc", "reuters"],
+        languages: [],
+        dateRange: { from: "2025-01-01T00:00:00.000Z", to: null },
+      }),
+      {
+        must: [
+          { key: "sourceKey", match: { any: ["bbc", "reuters"] } },
+          { key: "publishedTs", range: { gte: Date.parse("2025-01-01") } },
+        ],
+      },
+    );
+  });
+
+  it("clears every point and the keyword index", async () => {
+    const index = getKeywordIndex();
+    index.addDocuments([{ id: "legacy-0", content: "Old article" }]);
+    const store = new VectorStoreService();
+    const pages = [
+      { points: [{ id: 1 }, { id: 2 }], next_page_offset: 3 },
+      { points: [{ id: 3 }], next_page_offset: null },
+    ];
+    const calls = [];
+    store.client = {
+      scroll: async (collection, body) => {
+        calls.push(["scroll", body.offset, body.filter]);
+        return pages.shift();
+      },
+      delete: async (collection, body) => calls.push(["delete", body.points]),
+    };
+
+    assert.equal(await store.clearCollection(), true);
+    assert.deepEqual(calls, [
+      ["scroll", undefined, undefined],
+      ["delete", [1, 2]],
+      ["scroll", 3, undefined],
+      ["delete", [3]],
+    ]);
+    assert.equal(index.documents.size, 0);
+  });
+
+  it("backfills the filter fields of older points", async () => {
+    const store = new VectorStoreService();
+    const updates = [];
+    store.client = {
+      scroll: async () => ({
+        points: [
+          {
+            id: 1,
+            payload: {
+              source: "Al Jazeera",
+              publishedAt: "2025-01-02T03:04:05.000Z",
+            },
+          },
+          { id: 2, payload: { source: "NPR", publishedAt: "not a date" } },
+          { id: 3, payload: { publishedAt: "unknown" } },
+        ],
+        next_page_offset: null,
+      }),
+      setPayload: async (collection, body) =>
+        updates.push([body.points, body.payload]),
+    };
+
+    assert.equal(await store.backfillFilterFields(), 2);
+    assert.deepEqual(updates, [
+      [
+        [1],
+        {
+          publishedTs: Date.parse("2025-01-02T03:04:05.000Z"),
+          sourceKey: "al jazeera",
+        },
+      ],
+      [[2], { sourceKey: "npr" }],
+    ]);
+  });
+});
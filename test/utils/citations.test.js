@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { resolveCitations } from "../../src/utils/citations.js";
+
+const sources = [
+  { url: "https://a.example", chunkId: "a-0", chunkOffset: 0 },
+  { url: "https://b.example", chunkId: "b-3", chunkOffset: 1200 },
+];
+
+describe("resolveCitations", () => {
+  it("rewrites markers as [N] with offsets into the cleaned content", () => {
+    const { content, citations, stripped } = resolveCitations(
+      "Rates rose [Source 1]. Markets fell [1, 2].",
+      sources,
+    );
+
+    assert.equal(content, "Rates rose [1]. Markets fell [1][2].");
+    assert.equal(stripped, 0);
+    assert.deepEqual(
+      citations.map(({ sourceId, start, end }) => [sourceId, start, end]),
+      [
+        [1, 11, 14],
+        [1, 29, 32],
+        [2, 32, 35],
+      ],
+    );
+    for (const citation of citations) {
+      assert.equal(
+        content.slice(citation.start, citation.end),
+        `[${citation.sourceId}]`,
+      );
+    }
+    assert.deepEqual(citations[2], {
+      sourceId: 2,
+      start: 32,
+      end: 35,
+      url: "https://b.example",
+      chunkId: "b-3",
+      chunkOffset: 1200,
+    });
+  });
+
+  it("removes markers for unknown sources with their leading space", () => {
+    const { content, citations, stripped } = resolveCitations(
+      "A claim [9]. Another [2, 7].",
+      sources,
+    );
+    assert.equal(content, "A claim. Another [2].");
+    assert.equal(stripped, 2);
+    assert.deepEqual(
+      citations.map((citation) => citation.sourceId),
+      [2],
+    );
+  });
+
+  it("leaves markdown links and duplicate numbers alone", () => {
+    const { content, citations } = resolveCitations(
+      "See [1](https://x.example) and [2, 2].",
+      sources,
+    );
+    assert.equal(content, "See [1](https://x.example) and [2].");
+    assert.equal(citations.length, 1);
+  });
+});
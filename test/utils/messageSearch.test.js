@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  buildSnippet,
+  matchesTerms,
+  searchTerms,
+} from "../../src/utils/messageSearch.js";
+
+describe("searchTerms", () => {
+  it("keeps distinct lowercase words without stopwords", () => {
+    assert.deepEqual(searchTerms("The ECB and the Fed: rates, RATES!"), [
+      "ecb",
+      "fed",
+      "rates",
+    ]);
+  });
+
+  it("splits dotted and hyphenated words, keeping digits but not letters", () => {
+    assert.deepEqual(searchTerms("U.S. covid-19 in 2 weeks"), [
+      "covid",
+      "19",
+      "2",
+      "weeks",
+    ]);
+  });
+
+  it("normalizes compatibility characters", () => {
+    assert.deepEqual(searchTerms("ｆｕｌｌwidth Café"), ["fullwidth", "café"]);
+  });
+});
+
+describe("matchesTerms", () => {
+  it("requires every term as a whole word", () => {
+    assert.equal(matchesTerms("Rates rose in May", ["rates", "may"]), true);
+    assert.equal(matchesTerms("Rates rose", ["rates", "may"]), false);
+    assert.equal(matchesTerms("Mayor speaks", ["may"]), false);
+  });
+});
+
+describe("buildSnippet", () => {
+  it("returns short content whole with each match highlighted", () => {
+    const { snippet, highlights } = buildSnippet("Rates rose.\nRATES fell.", [
+      "rates",
+    ]);
+    assert.equal(snippet, "Rates rose. RATES fell.");
+    assert.deepEqual(highlights, [
+      { start: 0, length: 5 },
+      { start: 12, length: 5 },
+    ]);
+  });
+
+  it("centres long content on the first match at a word boundary", () => {
+    const content = `${"filler ".repeat(40)}inflation figures ${"tail ".repeat(40)}`;
+    const { snippet, highlights } = buildSnippet(content, ["inflation"]);
+
+    assert.ok(snippet.startsWith("…filler "));
+    assert.ok(snippet.endsWith("…"));
+    assert.equal(snippet.length, 160 + 2);
+    const [{ start, length }] = highlights;
+    assert.equal(snippet.substring(start, start + length), "inflation");
+  });
+
+  it("starts at the beginning without a match", () => {
+    const { snippet, highlights } = buildSnippet("x ".repeat(100), ["none"]);
+    assert.ok(!snippet.startsWith("…"));
+    assert.deepEqual(highlights, []);
+  });
+});
@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { applyMMR } from "../../src/utils/mmr.js";
+
+const candidate = (id, url, rerankScore, content) => ({
+  id,
+  content,
+  rerankScore,
+  metadata: { url },
+});
+
+describe("applyMMR", () => {
+  it("takes the most relevant chunk first and stops at the limit", () => {
+    const selected = applyMMR(
+      [
+        candidate("a", "https://a", 0.5, "rates inflation"),
+        candidate("b", "https://b", 0.9, "election results"),
+        candidate("c", "https://c", 0.7, "storm warning"),
+      ],
+      { limit: 2 },
+    );
+    assert.deepEqual(
+      selected.map((item) => item.id),
+      ["b", "c"],
+    );
+  });
+
+  it("prefers a different article over a near-duplicate", () => {
+    const selected = applyMMR(
+      [
+        candidate("a1", "https://a", 0.9, "fed raises interest rates"),
+        candidate("b1", "https://b", 0.85, "fed raises interest rates again"),
+        candidate("c1", "https://c", 0.7, "wildfire spreads in california"),
+      ],
+      { limit: 2, lambda: 0.5 },
+    );
+    assert.deepEqual(
+      selected.map((item) => item.id),
+      ["a1", "c1"],
+    );
+  });
+
+  it("caps chunks per article while other articles remain", () => {
+    const candidates = [
+      candidate("a1", "https://a", 0.99, "one"),
+      candidate("a2", "https://a", 0.98, "two"),
+      candidate("a3", "https://a", 0.97, "three"),
+      candidate("b1", "https://b", 0.1, "four"),
+    ];
+
+    const capped = applyMMR(candidates, {
+      limit: 3,
+      lambda: 1,
+      maxPerArticle: 2,
+    });
+    assert.deepEqual(
+      capped.map((item) => item.id),
+      ["a1", "a2", "b1"],
+    );
+
+    // Once every other article is used up the cap no longer applies
+    const all = applyMMR(candidates, { limit: 4, lambda: 1, maxPerArticle: 1 });
+    assert.deepEqual(
+      all.map((item) => item.id),
+      ["a1", "b1", "a2", "a3"],
+    );
+  });
+});
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  getChunkKey,
+  reciprocalRankFusion,
+} from "../../src/utils/rankFusion.js";
+
+const chunk = (id, score, metadata = {}) => ({
+  id,
+  score,
+  content: `chunk ${id}`,
+  metadata: { chunkId: id, ...metadata },
+});
+
+describe("getChunkKey", () => {
+  it("prefers the chunk id, then url and chunk index, then the point id", () => {
+    assert.equal(getChunkKey({ id: 1, metadata: { chunkId: "a-0" } }), "a-0");
+    assert.equal(
+      getChunkKey({ id: 1, metadata: { url: "https://x", chunkIndex: 0 } }),
+      "https://x-0",
+    );
+    assert.equal(getChunkKey({ id: 42 }), "42");
+  });
+});
+
+describe("reciprocalRankFusion", () => {
+  it("sums weight / (k + rank) over the lists a chunk appears in", () => {
+    const fused = reciprocalRankFusion(
+      [
+        { name: "vector", results: [chunk("a", 0.9), chunk("b", 0.8)] },
+        { name: "keyword", results: [chunk("b", 7), chunk("c", 5)] },
+      ],
+      { k: 60 },
+    );
+
+    assert.deepEqual(
+      fused.map((result) => result.metadata.chunkId),
+      ["b", "a", "c"],
+    );
+    assert.equal(fused[0].fusionScore, 1 / 62 + 1 / 61);
+    assert.equal(fused[1].fusionScore, 1 / 61);
+    assert.deepEqual(fused[0].retrievers, {
+      vector: { rank: 2, score: 0.8 },
+      keyword: { rank: 1, score: 7 },
+    });
+  });
+
+  it("shows the vector score and id, and null for keyword-only hits", () => {
+    const fused = reciprocalRankFusion([
+      { name: "keyword", results: [chunk("a", 12), chunk("b", 3)] },
+      { name: "vector", results: [{ ...chunk("a", 0.7), id: "point-a" }] },
+    ]);
+
+    const a = fused.find((result) => result.metadata.chunkId === "a");
+    const b = fused.find((result) => result.metadata.chunkId === "b");
+    assert.equal(a.id, "point-a");
+    assert.equal(a.score, 0.7);
+    assert.equal(b.score, null);
+  });
+
+  it("weights lists and skips those with a weight of zero", () => {
+    const fused = reciprocalRankFusion([
+      { name: "vector", results: [chunk("a", 0.9)], weight: 1 },
+      { name: "keyword", results: [chunk("b", 9)], weight: 2 },
+      { name: "other", results: [chunk("c", 1)], weight: 0 },
+    ]);
+
+    assert.deepEqual(
+      fused.map((result) => result.metadata.chunkId),
+      ["b", "a"],
+    );
+    assert.equal(fused[0].fusionScore, 2 / 61);
+  });
+});
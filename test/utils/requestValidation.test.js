@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { validateRetrievalOptions } from "../../src/utils/requestValidation.js";
+
+describe("validateRetrievalOptions", () => {
+  it("normalizes filter lists and date ranges", () => {
+    const result = validateRetrievalOptions(
+      {
+        sources: ["BBC", " bbc ", "Reuters"],
+        countries: "US",
+        dateRange: { from: "2025-01-01", to: null },
+      },
+      { topK: "8", threshold: 0.5 },
+    );
+    assert.deepEqual(result, {
+      filters: {
+        sources: ["bbc", "reuters"],
+        countries: ["us"],
+        dateRange: { from: "2025-01-01T00:00:00.000Z", to: null },
+      },
+      retrieval: { topK: 8, threshold: 0.5 },
+    });
+  });
+
+  it("accepts JSON text from query strings", () => {
+    const result = validateRetrievalOptions(
+      '{"languages":["en"]}',
+      '{"topK":3}',
+    );
+    assert.deepEqual(result.filters, { languages: ["en"] });
+    assert.deepEqual(result.retrieval, { topK: 3 });
+    assert.deepEqual(validateRetrievalOptions(), {
+      filters: undefined,
+      retrieval: undefined,
+    });
+  });
+
+  it("rejects malformed filters and options", () => {
+    const error = (filters, retrieval) =>
+      validateRetrievalOptions(filters, retrieval).error;
+
+    assert.match(error("{not json"), /filters must be a JSON object/);
+    assert.match(error({ authors: ["x"] }), /Unknown filter "authors"/);
+    assert.match(error({ sources: [""] }), /non-empty strings/);
+    assert.match(
+      error({ sources: Array.from({ length: 21 }, (_, i) => `s${i}`) }),
+      /at most 20 values/,
+    );
+    assert.match(error({ dateRange: {} }), /at least one of from or to/);
+    assert.match(error({ dateRange: { from: "soon" } }), /ISO 8601/);
+    assert.match(
+      error({ dateRange: { from: "2025-02-01", to: "2025-01-01" } }),
+      /must be before/,
+    );
+    assert.match(error(undefined, { topK: 0 }), /between 1 and 20/);
+    assert.match(error(undefined, { threshold: 2 }), /between 0 and 1/);
+    assert.match(error(undefined, { limit: 2 }), /Unknown retrieval option/);
+  });
+});
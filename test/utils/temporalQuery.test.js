@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { extractDateRange } from "../../src/utils/temporalQuery.js";
+
+// A Wednesday
+const now = new Date("2025-06-18T15:30:00.000Z");
+const range = (text) => extractDateRange(text, now);
+
+describe("extractDateRange", () => {
+  it("resolves relative expressions against now", () => {
+    assert.deepEqual(range("What happened yesterday?"), {
+      from: "2025-06-17T00:00:00.000Z",
+      to: "2025-06-17T23:59:59.999Z",
+      expression: "yesterday",
+    });
+    assert.deepEqual(range("news in the past 3 days"), {
+      from: "2025-06-15T15:30:00.000Z",
+      to: now.toISOString(),
+      expression: "in the past 3 days",
+    });
+    assert.equal(range("this week").from, "2025-06-16T00:00:00.000Z");
+    assert.deepEqual(range("last month"), {
+      from: "2025-05-01T00:00:00.000Z",
+      to: "2025-05-31T23:59:59.999Z",
+      expression: "last month",
+    });
+  });
+
+  it("resolves months and days to their most recent occurrence", () => {
+    assert.equal(range("since March").from, "2025-03-01T00:00:00.000Z");
+    assert.equal(range("in December").from, "2024-12-01T00:00:00.000Z");
+    assert.deepEqual(range("on Feb 29, 2024"), {
+      from: "2024-02-29T00:00:00.000Z",
+      to: "2024-02-29T23:59:59.999Z",
+      expression: "on feb 29, 2024",
+    });
+    assert.deepEqual(range("between November and February"), {
+      from: "2024-11-01T00:00:00.000Z",
+      to: "2025-02-28T23:59:59.999Z",
+      expression: "between november and february",
+    });
+  });
+
+  it("resolves explicit years and ISO dates", () => {
+    assert.deepEqual(range("elections in 2020"), {
+      from: "2020-01-01T00:00:00.000Z",
+      to: "2020-12-31T23:59:59.999Z",
+      expression: "in 2020",
+    });
+    assert.equal(range("since 2019").to, now.toISOString());
+    assert.equal(range("on 2025-01-31").from, "2025-01-31T00:00:00.000Z");
+  });
+
+  it("does not take quantities for years", () => {
+    assert.equal(range("explain it in 2000 words"), null);
+    assert.equal(range("Summarize in 1500 words"), null);
+    assert.equal(range("in 2000 characters please"), null);
+    assert.equal(range("list the top stories in 2020 points"), null);
+  });
+
+  it("ignores years outside the archive's range", () => {
+    assert.equal(range("the war in 1500"), null);
+    assert.equal(range("plans for 2030-01-01"), null);
+    assert.equal(range("in march 1850"), null);
+    assert.equal(range("since 2099"), null);
+  });
+
+  it("rejects impossible days instead of rolling them over", () => {
+    assert.equal(range("march 40"), null);
+    assert.equal(range("what happened on Feb 30"), null);
+    assert.equal(range("feb 29 2025"), null);
+    assert.equal(range("2025-13-01"), null);
+    assert.equal(range("since april 31"), null);
+    assert.equal(range("in march 40"), null);
+  });
+
+  it("returns null without a time expression", () => {
+    assert.equal(range("What is inflation?"), null);
+    assert.equal(range(""), null);
+  });
+});
+
+describe("extractDateRange mid-period", () => {
+  // Wednesday in the middle of the month
+  const midOctober = new Date("2026-10-21T09:00:00.000Z");
+  const rangeAt = (text) => extractDateRange(text, midOctober);
+
+  it("treats past week, month and year as windows ending now", () => {
+    assert.deepEqual(rangeAt("what happened over the past week"), {
+      from: "2026-10-14T09:00:00.000Z",
+      to: midOctober.toISOString(),
+      expression: "past week",
+    });
+    assert.equal(rangeAt("the past month").from, "2026-09-21T09:00:00.000Z");
+    assert.equal(rangeAt("past year").from, "2025-10-21T09:00:00.000Z");
+  });
+
+  it("keeps last week and last month as calendar periods", () => {
+    assert.deepEqual(rangeAt("last week"), {
+      from: "2026-10-12T00:00:00.000Z",
+      to: "2026-10-18T23:59:59.999Z",
+      expression: "last week",
+    });
+    assert.equal(rangeAt("previous month").from, "2026-09-01T00:00:00.000Z");
+  });
+
+  it("does not read the verb may as the month", () => {
+    assert.equal(rangeAt("did it pass may 3 votes"), null);
+    assert.equal(rangeAt("prices in may rise"), null);
+    assert.equal(
+      rangeAt("what happened on may 3").from,
+      "2026-05-03T00:00:00.000Z",
+    );
+    assert.equal(
+      rangeAt("What happened May 3?").from,
+      "2026-05-03T00:00:00.000Z",
+    );
+    assert.equal(rangeAt("news from may 3rd").from, "2026-05-03T00:00:00.000Z");
+    assert.equal(rangeAt("headlines in may?").from, "2026-05-01T00:00:00.000Z");
+  });
+});
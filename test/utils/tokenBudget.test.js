@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  TokenBudget,
+  estimateTokens,
+  trimToTokens,
+} from "../../src/utils/tokenBudget.js";
+
+const render = (item, content) => `[${item.id}] ${content}\n`;
+const getContent = (item) => item.content;
+
+describe("token estimates", () => {
+  it("counts characters per provider tokenizer", () => {
+    assert.equal(estimateTokens(""), 0);
+    assert.equal(estimateTokens("abcdefgh"), 2);
+    assert.equal(estimateTokens("a".repeat(38), "openai"), 10);
+  });
+
+  it("trims to the budget at a word boundary", () => {
+    const text = "one two three four five six seven eight nine ten";
+    assert.equal(trimToTokens(text, 100), text);
+    assert.equal(trimToTokens(text, 5), "one two three four...");
+  });
+});
+
+describe("TokenBudget", () => {
+  it("limits the prompt to the budget and the context window", () => {
+    const small = new TokenBudget({
+      contextWindow: 1000,
+      completionReserve: 200,
+      promptBudget: 6000,
+    });
+    assert.equal(small.limit, 800);
+
+    const large = new TokenBudget({
+      contextWindow: 100000,
+      completionReserve: 200,
+      promptBudget: 6000,
+    });
+    assert.equal(large.limit, 6000);
+  });
+
+  it("reserves fixed sections and fits ranked items best-first", () => {
+    const budget = new TokenBudget({
+      contextWindow: 1000,
+      completionReserve: 900,
+      promptBudget: 1000,
+    });
+    assert.equal(budget.limit, 100);
+    budget.reserve("system", "x".repeat(80)); // 20 tokens
+
+    const items = [
+      { id: 1, content: "a ".repeat(60) }, // 30 tokens of content
+      { id: 2, content: "b ".repeat(120) }, // 60 tokens
+      { id: 3, content: "c ".repeat(60) },
+    ];
+    const fitted = budget.fit("context", items, {
+      render,
+      getContent,
+      minItemTokens: 10,
+    });
+
+    assert.deepEqual(
+      fitted.map((block) => block.item.id),
+      [1, 2],
+    );
+    assert.equal(budget.trimmed.context, 1);
+    assert.equal(budget.dropped.context, 1);
+    assert.ok(budget.used <= budget.limit);
+
+    const report = budget.report();
+    assert.equal(report.sections.system, 20);
+    assert.equal(report.used, report.sections.system + report.sections.context);
+    assert.equal(report.remaining, budget.limit - report.used);
+  });
+
+  it("caps each item and respects a section maximum", () => {
+    const budget = new TokenBudget({ promptBudget: 1000 });
+    const fitted = budget.fit(
+      "history",
+      [
+        { id: 1, content: "word ".repeat(100) },
+        { id: 2, content: "word ".repeat(100) },
+      ],
+      {
+        render,
+        getContent,
+        maxTokens: 60,
+        maxItemTokens: 40,
+        minItemTokens: 20,
+      },
+    );
+
+    assert.equal(fitted.length, 1);
+    assert.ok(budget.sections.history <= 60);
+    assert.equal(budget.dropped.history, 1);
+  });
+});